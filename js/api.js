@@ -1,37 +1,245 @@
 // API utility functions for interacting with the RESTful Table API
+
+// Sample EONET response served when the live events feed cannot be reached
+const EONET_FIXTURE_URL = 'fixtures/eonet-events.json';
+
+// Earth imagery covers this many degrees (width and height) around the requested point
+const EARTH_IMAGERY_DIM = 0.15;
+const EARTH_IMAGERY_INTERVAL_DAYS = 180;
+
+// Other NASA services reached through makeRequest('nasa/<service>/...') and the setting holding their base URL.
+// Unlike api.nasa.gov they do not take an API key.
+const NASA_SERVICE_URL_SETTINGS = {
+    eonet: 'eonetBaseURL',
+    power: 'powerBaseURL',
+    modis: 'modisBaseURL'
+};
+
+// Imports are sent as tables/<table>/batch requests of at most this many records and this many bytes of JSON.
+// The reference server refuses bodies over 1 MB and batches over 1000 records; polygon geometries make records
+// large, so the byte limit is usually the one that splits a batch.
+const IMPORT_BATCH_SIZE = 500;
+const IMPORT_BATCH_BYTES = 512 * 1024;
+
+// tables/<table>/batch creates every record in the body's records array in one write
+function isBatchEndpoint(endpoint) {
+    return /^tables\/[^/?]+\/batch$/.test(endpoint);
+}
+
+// Error carrying the HTTP status of a failed request (404 for unknown ids, etc.)
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
 class InvasiveSpeciesAPI {
     constructor() {
-        this.baseURL = '';  // Use relative URLs - configure this for your backend
         this.currentUser = null;
-        this.useMockData = true; // Use mock data for now (set to false when backend is available)
-        this.nasaApiKey = 'tIGJe2mWKLPUNRdhKRJdu3ExjUJuXzYvwHu6spgc';
-        this.nasaBaseURL = 'https://api.nasa.gov';
+        this.applyConfig(appConfig.getAll());
+        appConfig.onChange(config => this.applyConfig(config));
         this.mockData = this.initializeMockData();
+        this.storage = null;
+        this.storageReady = this.setStorage(createDefaultStore());
+    }
+
+    // Backend settings come from the runtime configuration (js/config.js)
+    applyConfig(config) {
+        this.baseURL = config.baseURL;
+        this.useMockData = config.useMockData;
+        
+        // Climate series come from NASA POWER or the offline stub (js/climate.js)
+        this.climateProvider = createClimateProvider(config.climateProvider, endpoint => this.makeRequest(endpoint));
+        
+        // NDVI series come from the MODIS/VIIRS web service or a local table (js/vegetation.js)
+        this.ndviProvider = createNdviProvider(config.ndviProvider, (endpoint, options) => this.makeRequest(endpoint, options), {
+            product: config.ndviProduct,
+            tableURL: config.ndviTableURL
+        });
+        
+        // Cached NASA responses and imagery URLs belong to the old key/endpoint
+        const nasaSettings = `${config.nasaBaseURL}|${config.nasaApiKey}|${config.eonetBaseURL}|${config.powerBaseURL}|${config.climateProvider}`;
+        if (this.nasaSettings && this.nasaSettings !== nasaSettings) {
+            requestCache.clear();
+        }
+        this.nasaSettings = nasaSettings;
+    }
+
+    // Swap the storage backend behind the local data layer and load its data
+    setStorage(store) {
+        this.storage = store;
+        this.storageReady = store.init(this.mockData)
+            .then(snapshot => {
+                this.mockData = snapshot;
+                console.log(`Local data loaded from ${store.name} storage`);
+            })
+            .catch(async error => {
+                console.warn('Local storage backend failed, falling back to memory:', error);
+                this.storage = new MemoryStore();
+                this.mockData = await this.storage.init(this.mockData);
+            });
+        return this.storageReady;
+    }
+
+    // Write a created/updated record through to the storage backend
+    async persistRecord(table, record) {
+        try {
+            await this.storage.put(table, record);
+        } catch (error) {
+            console.error(`Failed to persist ${table} record ${record.id}:`, error);
+            throw error;
+        }
+        return record;
+    }
+
+    // Write many created records through to the storage backend in one go
+    async persistRecords(table, records) {
+        try {
+            await this.storage.putMany(table, records);
+        } catch (error) {
+            console.error(`Failed to persist ${records.length} ${table} records:`, error);
+            throw error;
+        }
+        return records;
+    }
+
+    // Permanently remove a record from the storage backend
+    async removeStoredRecord(table, id) {
+        try {
+            await this.storage.delete(table, id);
+        } catch (error) {
+            console.error(`Failed to remove ${table} record ${id}:`, error);
+            throw error;
+        }
+    }
+
+    // Next numeric id for a local table, so ids stay unique after permanent deletes
+    nextMockId(table) {
+        const maxId = this.mockData[table].reduce((max, record) => {
+            const numericId = parseInt(record.id, 10);
+            return Number.isNaN(numericId) ? max : Math.max(max, numericId);
+        }, 0);
+        return String(maxId + 1);
+    }
+
+    // Append a revision when a record of an audited table changes (see js/history.js)
+    async recordRevision(table, before, after, action) {
+        if (!isAuditedTable(table)) return null;
+        
+        const revision = buildRevision(table, before, after, action, this.currentUser ? this.currentUser.full_name : 'Anonymous');
+        if (!revision) return null;
+        
+        revision.id = this.nextMockId(HISTORY_TABLE);
+        this.mockData[HISTORY_TABLE].push(revision);
+        await this.persistRecord(HISTORY_TABLE, revision);
+        return revision;
+    }
+
+    // Revisions for many [before, after] changes of one action, stored in one write
+    async recordRevisions(table, changes, action) {
+        if (!isAuditedTable(table)) return [];
+        
+        const changedBy = this.currentUser ? this.currentUser.full_name : 'Anonymous';
+        const revisions = changes
+            .map(([before, after]) => buildRevision(table, before, after, action, changedBy))
+            .filter(Boolean);
+        revisions.forEach(revision => {
+            revision.id = this.nextMockId(HISTORY_TABLE);
+            this.mockData[HISTORY_TABLE].push(revision);
+        });
+        await this.persistRecords(HISTORY_TABLE, revisions);
+        return revisions;
+    }
+
+    // Create many records with batch requests within IMPORT_BATCH_SIZE and IMPORT_BATCH_BYTES. Stops at the first
+    // batch that fails: returns the records created before it, how many were not saved and the error.
+    async createRecords(table, newRecords) {
+        const encoder = new TextEncoder();
+        const batches = [];
+        let batch = [];
+        let batchBytes = 0;
+        newRecords.forEach(record => {
+            const bytes = encoder.encode(JSON.stringify(record)).length + 1;
+            if (batch.length > 0 && (batch.length >= IMPORT_BATCH_SIZE || batchBytes + bytes > IMPORT_BATCH_BYTES)) {
+                batches.push(batch);
+                batch = [];
+                batchBytes = 0;
+            }
+            batch.push(record);
+            batchBytes += bytes;
+        });
+        if (batch.length > 0) batches.push(batch);
+
+        const created = [];
+        for (const records of batches) {
+            try {
+                const response = await this.makeRequest(`tables/${table}/batch`, {
+                    method: 'POST',
+                    body: JSON.stringify({ records })
+                });
+                created.push(...response.data);
+            } catch (error) {
+                const message = error.status === 413 ? 'A batch of records was too large for the server' : error.message;
+                return { data: created, failed: newRecords.length - created.length, error: message };
+            }
+        }
+        return { data: created, failed: 0, error: null };
+    }
+
+    // Discard locally stored changes and re-seed from the bundled mock data
+    async resetLocalData() {
+        await this.storageReady;
+        await this.storage.clear();
+        this.mockData = this.initializeMockData();
+        return this.setStorage(this.storage);
     }
 
     // Generic API request handler
     async makeRequest(endpoint, options = {}) {
+        await appConfig.ready;
+        
         // Use NASA API data when available
         if (endpoint.startsWith('nasa/')) {
             return this.handleNasaRequest(endpoint, options);
         }
         
+        // Validate writes against the table schema before they reach the mock layer or the backend
+        const method = options.method || 'GET';
+        if (endpoint.startsWith('tables/') && ['POST', 'PATCH', 'PUT'].includes(method) && options.body) {
+            const table = endpoint.split(/[/?]/)[1];
+            if (isBatchEndpoint(endpoint)) {
+                assertValidRecords(table, JSON.parse(options.body).records);
+            } else {
+                assertValidRecord(table, JSON.parse(options.body), { partial: method === 'PATCH' });
+            }
+        }
+        
         // Use mock data when backend is not available
         if (this.useMockData) {
             return this.handleMockRequest(endpoint, options);
         }
         
         try {
+            const { headers, ...fetchOptions } = options;
             const response = await fetch(`${this.baseURL}${endpoint}`, {
+                ...fetchOptions,
                 headers: {
                     'Content-Type': 'application/json',
-                    ...options.headers
-                },
-                ...options
+                    // Lets the server attribute revisions to the signed-in user
+                    ...(this.currentUser ? { 'X-User-Name': encodeURIComponent(this.currentUser.full_name) } : {}),
+                    ...headers
+                }
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                // The reference server answers 422 with per-field errors
+                const body = await response.json().catch(() => null);
+                if (body && body.errors) {
+                    throw new ValidationError(body.errors);
+                }
+                throw new ApiError(response.status, `HTTP error! status: ${response.status}`);
             }
 
             // Handle empty responses (e.g., DELETE requests)
@@ -46,15 +254,46 @@ class InvasiveSpeciesAPI {
         }
     }
 
+    // Query a table in local data or on the REST backend (see js/query.js for parameters)
+    async queryTable(table, params = {}) {
+        await appConfig.ready;
+        if (this.useMockData) {
+            await this.storageReady;
+            return queryRecords(this.mockData[STORAGE_TABLES[table]], params);
+        }
+
+        const queryString = buildQueryString(params);
+        return await this.makeRequest(`tables/${table}${queryString ? '?' + queryString : ''}`);
+    }
+
+    // Soft-delete a record (sets deleted_at/deleted_by); pass { permanent: true } to purge it
+    async deleteRecord(table, id, options = {}) {
+        return await this.makeRequest(`tables/${table}/${id}${options.permanent ? '?permanent=true' : ''}`, {
+            method: 'DELETE',
+            body: JSON.stringify({ deleted_by: this.currentUser ? this.currentUser.full_name : 'Unknown' })
+        });
+    }
+
+    // Bring a soft-deleted record back out of the trash
+    async restoreRecord(table, id) {
+        return await this.makeRequest(`tables/${table}/${id}/restore`, {
+            method: 'POST'
+        });
+    }
+
+    // Soft-deleted records of a table, most recently deleted first
+    async getDeletedRecords(table, params = {}) {
+        return await this.queryTable(table, { sort: '-deleted_at', limit: 1000, ...params, deleted: 'only' });
+    }
+
     // Species API methods - now enhanced with NASA Earth data
     async getSpecies(params = {}) {
         try {
             // Get enhanced species data with NASA Earth imagery and environmental data
-            const enhancedSpecies = await this.getEnhancedSpeciesData();
-            return { data: enhancedSpecies, total: enhancedSpecies.length };
+            return await this.getEnhancedSpeciesData(params);
         } catch (error) {
             console.warn('NASA API unavailable, falling back to mock data:', error);
-            const queryString = new URLSearchParams(params).toString();
+            const queryString = buildQueryString(params);
             const endpoint = `tables/invasive_species${queryString ? '?' + queryString : ''}`;
             return await this.handleMockRequest(endpoint);
         }
@@ -78,15 +317,18 @@ class InvasiveSpeciesAPI {
         });
     }
 
+    async deleteSpecies(id) {
+        return await this.deleteRecord('invasive_species', id);
+    }
+
     // Sighting Reports API methods - enhanced with NASA satellite data
     async getReports(params = {}) {
         try {
             // Get enhanced reports with NASA satellite imagery
-            const enhancedReports = await this.getEnhancedReportsData();
-            return { data: enhancedReports, total: enhancedReports.length };
+            return await this.getEnhancedReportsData(params);
         } catch (error) {
             console.warn('NASA API unavailable, falling back to mock data:', error);
-            const queryString = new URLSearchParams(params).toString();
+            const queryString = buildQueryString(params);
             const endpoint = `tables/sighting_reports${queryString ? '?' + queryString : ''}`;
             return await this.handleMockRequest(endpoint);
         }
@@ -94,8 +336,10 @@ class InvasiveSpeciesAPI {
 
     async getReportById(id) {
         // If using mock data, find in local data
+        await appConfig.ready;
         if (this.useMockData) {
-            const report = this.mockData.reports.find(r => r.id === id);
+            await this.storageReady;
+            const report = this.mockData.reports.find(r => r.id === id && !r.deleted_at);
             if (report) {
                 // Get species information
                 const species = this.mockData.species.find(s => s.id === report.species_id);
@@ -106,11 +350,19 @@ class InvasiveSpeciesAPI {
                     }
                 };
             } else {
-                throw new Error('Report not found');
+                throw new ApiError(404, `sighting_reports record ${id} not found`);
             }
         }
         
-        return await this.makeRequest(`tables/sighting_reports/${id}`);
+        const response = await this.makeRequest(`tables/sighting_reports/${id}`);
+        const report = response.data;
+        try {
+            const species = await this.getSpeciesById(report.species_id);
+            report.species_name = species.data ? species.data.scientific_name : 'Unknown Species';
+        } catch (error) {
+            report.species_name = 'Unknown Species';
+        }
+        return { data: report };
     }
 
     async createReport(reportData) {
@@ -129,6 +381,165 @@ class InvasiveSpeciesAPI {
         });
     }
 
+    async deleteReport(id) {
+        return await this.deleteRecord('sighting_reports', id);
+    }
+
+    // Revisions of a report, oldest first
+    async getReportHistory(id) {
+        return await this.queryTable(HISTORY_TABLE, {
+            record_table: 'sighting_reports',
+            record_id: id,
+            sort: 'changed_at,id',
+            limit: 1000
+        });
+    }
+
+    // NDVI series stored for a report; fetched from the NDVI provider and stored the first time (or on refresh)
+    async getReportNdvi(reportId, { refresh = false } = {}) {
+        const stored = await this.getStoredNdvi(reportId);
+        if (stored && !refresh) {
+            return { data: stored };
+        }
+        
+        const report = await this.getNdviReport(reportId);
+        const { start, end } = getNdviWindow(report.report_date || report.created_at);
+        const series = await this.ndviProvider.getSeries(parseFloat(report.latitude), parseFloat(report.longitude), start, end, { reportId });
+        return await this.saveReportNdvi(reportId, series, stored);
+    }
+    
+    // Ingest a locally supplied NDVI table (CSV) for one report, replacing its stored series
+    async importReportNdvi(reportId, csvText) {
+        const report = await this.getNdviReport(reportId);
+        const { start, end } = getNdviWindow(report.report_date || report.created_at);
+        const provider = new TableNdviProvider(parseNdviTable(csvText));
+        const series = await provider.getSeries(parseFloat(report.latitude), parseFloat(report.longitude), start, end, { reportId });
+        if (series.observations.length === 0) {
+            throw new Error(`The table has no NDVI values for this report between ${start} and ${end}`);
+        }
+        return await this.saveReportNdvi(reportId, series, await this.getStoredNdvi(reportId));
+    }
+    
+    async getStoredNdvi(reportId) {
+        const stored = await this.queryTable(NDVI_TABLE, { report_id: String(reportId), sort: '-retrieved_at', limit: 1 });
+        return stored.data[0] || null;
+    }
+    
+    async getNdviReport(reportId) {
+        const result = await this.getReportById(reportId);
+        if (!result || !result.data) {
+            throw new ApiError(404, `sighting_reports record ${reportId} not found`);
+        }
+        return result.data;
+    }
+    
+    async saveReportNdvi(reportId, series, existing) {
+        const record = {
+            report_id: String(reportId),
+            source: series.provider,
+            product: series.product,
+            latitude: series.latitude,
+            longitude: series.longitude,
+            start: series.start,
+            end: series.end,
+            observations: series.observations,
+            retrieved_at: new Date().toISOString()
+        };
+        
+        if (existing) {
+            return await this.makeRequest(`tables/${NDVI_TABLE}/${existing.id}`, { method: 'PUT', body: JSON.stringify(record) });
+        }
+        return await this.makeRequest(`tables/${NDVI_TABLE}`, { method: 'POST', body: JSON.stringify(record) });
+    }
+
+    // Imported satellite detections (see js/detections.js), e.g. { species_id, acquisition_date__gte, bbox }
+    async getDetections(params = {}) {
+        return await this.queryTable(DETECTION_TABLE, { sort: '-acquisition_date,id', ...params });
+    }
+
+    // Import a detection dataset; invalid rows are reported back and detections already stored are skipped.
+    // When a batch fails, failed and failure tell how many detections were not saved and why.
+    async importDetections(dataset) {
+        const species = await this.queryTable('invasive_species', { limit: 1000 });
+        const { records, errors } = parseDetectionDataset(dataset, species.data);
+        const existing = await this.queryTable(DETECTION_TABLE, { limit: 100000 });
+        const keys = new Set(existing.data.map(getDetectionKey));
+        const importedAt = new Date().toISOString();
+        const newRecords = [];
+        let skipped = 0;
+
+        records.forEach(record => {
+            const key = getDetectionKey(record);
+            if (keys.has(key)) {
+                skipped++;
+                return;
+            }
+            keys.add(key);
+            newRecords.push({ ...record, imported_at: importedAt });
+        });
+
+        const created = await this.createRecords(DETECTION_TABLE, newRecords);
+        return { imported: created.data.length, skipped, errors, failed: created.failed, failure: created.error };
+    }
+
+    // GeoJSON FeatureCollection of sightings, monitoring sites and detections (see js/geojson.js).
+    // filters: { layers: ['sighting', 'monitoring', 'detection'], speciesId, start, end }, dates YYYY-MM-DD inclusive
+    async exportGeoJSON(filters = {}) {
+        const layers = filters.layers || Object.keys(GEOJSON_LAYER_TABLES);
+        const species = await this.queryTable('invasive_species', { limit: 1000 });
+        const recordsByLayer = {};
+        for (const layer of layers) {
+            const records = await this.queryTable(GEOJSON_LAYER_TABLES[layer], { limit: 100000 });
+            recordsByLayer[layer] = filterExportRecords(layer, records.data, filters);
+        }
+
+        return buildFeatureCollection(recordsByLayer, species.data, {
+            name: 'Invasive plant sightings, monitoring sites and detections',
+            exported_at: new Date().toISOString(),
+            filters: { layers, species_id: filters.speciesId || null, start: filters.start || null, end: filters.end || null }
+        });
+    }
+
+    // Features mapped to records and validated without saving anything, for the import preview
+    async previewGeoJSONImport(table, features, mapping) {
+        if (!GEOJSON_IMPORT_TABLES.includes(table)) {
+            throw new ApiError(400, `Features cannot be imported into ${table}`);
+        }
+        const species = await this.queryTable('invasive_species', { limit: 1000 });
+        return previewFeatureImport(table, features, mapping, species.data);
+    }
+
+    // Create a report or monitoring location from every valid feature; invalid ones are reported back.
+    // When a batch fails, failed and failure tell how many features were not saved and why.
+    async importGeoJSON(table, features, mapping) {
+        const preview = await this.previewGeoJSONImport(table, features, mapping);
+        const importedAt = new Date().toISOString();
+        const errors = preview.rows
+            .filter(row => Object.keys(row.errors).length > 0)
+            .map(row => ({ index: row.index, errors: row.errors }));
+        const newRecords = preview.rows
+            .filter(row => Object.keys(row.errors).length === 0)
+            .map(row => ({ ...row.record, imported_at: importedAt }));
+
+        const created = await this.createRecords(table, newRecords);
+        return { imported: created.data.length, skipped: preview.skipped, errors, failed: created.failed, failure: created.error };
+    }
+
+    // Darwin Core Archive of sighting reports as a zip (see js/darwin-core.js).
+    // options: { verifiedOnly, generalizeSensitive, generalizeDegrees }
+    async exportDarwinCoreArchive(options = {}) {
+        const species = await this.queryTable('invasive_species', { limit: 1000 });
+        const reports = await this.queryTable('sighting_reports', { limit: 100000 });
+        const contact = this.currentUser ? { name: this.currentUser.full_name, email: this.currentUser.email } : {};
+        const result = buildDarwinCoreArchive(reports.data, species.data, { ...options, contact });
+
+        return {
+            archive: createZipArchive(result.files),
+            occurrences: result.occurrences,
+            generalized: result.generalized
+        };
+    }
+
     async verifyReport(id, verifierName, status, notes = '') {
         const verificationData = {
             verification_status: status,
@@ -137,24 +548,12 @@ class InvasiveSpeciesAPI {
             verification_notes: notes
         };
         
-        // If using mock data, update the local mock data
-        if (this.useMockData) {
-            const report = this.mockData.reports.find(r => r.id === id);
-            if (report) {
-                Object.assign(report, verificationData);
-                return { data: report };
-            } else {
-                throw new Error('Report not found');
-            }
-        }
-        
         return await this.updateReport(id, verificationData);
     }
 
     // Monitoring Locations API methods
     async getMonitoringLocations(params = {}) {
-        // Always use mock data for monitoring locations since we don't have a backend
-        return { data: this.mockData.locations, total: this.mockData.locations.length };
+        return await this.queryTable('monitoring_locations', params);
     }
 
     async getLocationById(id) {
@@ -175,10 +574,27 @@ class InvasiveSpeciesAPI {
         });
     }
 
+    async deleteLocation(id) {
+        return await this.deleteRecord('monitoring_locations', id);
+    }
+
+    // Outline a report's or monitoring location's infestation (GeoJSON Polygon/MultiPolygon), or clear it with null
+    async saveExtent(table, id, geometry) {
+        if (!['sighting_reports', 'monitoring_locations'].includes(table)) {
+            throw new ApiError(400, `Extents cannot be attached to ${table}`);
+        }
+        return await this.makeRequest(`tables/${table}/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                extent: geometry,
+                extent_area_hectares: geometry ? Math.round(geometryAreaHectares(geometry) * 100) / 100 : null
+            })
+        });
+    }
+
     // Users API methods
     async getUsers(params = {}) {
-        // Always use mock data for users since we don't have a backend
-        return { data: this.mockData.users, total: this.mockData.users.length };
+        return await this.queryTable('users', params);
     }
 
     async getUserById(id) {
@@ -205,6 +621,10 @@ class InvasiveSpeciesAPI {
         });
     }
 
+    async deleteUser(id) {
+        return await this.deleteRecord('users', id);
+    }
+
     // Search and filtering methods
     async searchSpecies(query) {
         const params = {
@@ -216,7 +636,8 @@ class InvasiveSpeciesAPI {
 
     async getReportsByThreatLevel(threatLevel) {
         const params = {
-            search: threatLevel,
+            threat_assessment: threatLevel,
+            sort: '-report_date',
             limit: 100
         };
         return await this.getReports(params);
@@ -225,7 +646,7 @@ class InvasiveSpeciesAPI {
     async getRecentReports(limit = 10) {
         const params = {
             limit: limit,
-            sort: 'created_at'
+            sort: '-report_date,-created_at'
         };
         return await this.getReports(params);
     }
@@ -260,10 +681,11 @@ class InvasiveSpeciesAPI {
         } catch (error) {
             console.warn('Error getting enhanced stats, using basic data:', error);
             // Fallback to basic stats
-            const species = this.mockData.species;
-            const reports = this.mockData.reports;
-            const locations = this.mockData.locations;
-            const users = this.mockData.users;
+            await this.storageReady;
+            const species = this.mockData.species.filter(s => !s.deleted_at);
+            const reports = this.mockData.reports.filter(r => !r.deleted_at);
+            const locations = this.mockData.locations.filter(l => !l.deleted_at);
+            const users = this.mockData.users.filter(u => !u.deleted_at);
 
             return {
                 totalSpecies: species.length,
@@ -350,11 +772,26 @@ class InvasiveSpeciesAPI {
         return distribution;
     }
 
+    // Outlined infestation area (hectares) per species from reports with an extent
+    getInfestedAreaBySpecies(reports, species) {
+        const names = {};
+        species.forEach(s => {
+            names[s.id] = s.scientific_name;
+        });
+        const distribution = {};
+        reports.forEach(r => {
+            if (!r.extent || !r.extent_area_hectares) return;
+            const name = names[r.species_id] || 'Unknown Species';
+            distribution[name] = Math.round(((distribution[name] || 0) + r.extent_area_hectares) * 100) / 100;
+        });
+        return distribution;
+    }
+
     // User authentication simulation (simplified for static site)
     async authenticateUser(email, name, userType) {
         try {
             // Try to find existing user
-            const users = await this.getUsers({ search: email, limit: 1 });
+            const users = await this.getUsers({ email: email, limit: 1 });
             let user;
 
             if (users.data && users.data.length > 0) {
@@ -374,7 +811,8 @@ class InvasiveSpeciesAPI {
                     specialization: [],
                     verified_identifier: false
                 };
-                user = await this.createUser(userData);
+                const created = await this.createUser(userData);
+                user = created.data || created;
             }
 
             this.currentUser = user;
@@ -408,6 +846,7 @@ class InvasiveSpeciesAPI {
                     description: 'A highly invasive flowering shrub that forms dense thickets, crowding out native vegetation.',
                     flowering_period: 'Year-round in warm climates',
                     habitat_types: ['Forest', 'Grassland', 'Urban'],
+                    climate_classes: ['Af', 'Am', 'Aw', 'Cfa', 'Cwa', 'Csa'],
                     identification_features: 'Small flowers in clusters, rough leaves, black berries',
                     control_methods: 'Mechanical removal, herbicide treatment',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/7/70/Lantana_camara_-_Flickr_-_Dick_Culbert.jpg/400px-Lantana_camara_-_Flickr_-_Dick_Culbert.jpg',
@@ -425,6 +864,7 @@ class InvasiveSpeciesAPI {
                     description: 'Fast-growing vine that smothers native vegetation and can cover entire trees.',
                     flowering_period: 'Late summer',
                     habitat_types: ['Forest', 'Riparian'],
+                    climate_classes: ['Cfa', 'Cwa', 'Dfa', 'Dwa', 'Aw'],
                     identification_features: 'Large three-leaflet compound leaves, purple flowers',
                     control_methods: 'Persistent cutting, grazing, herbicide',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/2/2a/Kudzu_on_trees_in_Atlanta%2C_Georgia.jpg/400px-Kudzu_on_trees_in_Atlanta%2C_Georgia.jpg',
@@ -442,6 +882,7 @@ class InvasiveSpeciesAPI {
                     description: 'Salt-tolerant shrub that dominates riparian areas and alters soil chemistry.',
                     flowering_period: 'Spring to fall',
                     habitat_types: ['Riparian', 'Wetland'],
+                    climate_classes: ['BWh', 'BWk', 'BSh', 'BSk', 'Csa'],
                     identification_features: 'Scale-like leaves, pink flowers, feathery appearance',
                     control_methods: 'Cutting and herbicide treatment',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/4/42/Tamarix_ramosissima_flowers.jpg/400px-Tamarix_ramosissima_flowers.jpg',
@@ -459,6 +900,7 @@ class InvasiveSpeciesAPI {
                     description: 'Perennial wetland plant that forms dense stands, displacing native wetland species.',
                     flowering_period: 'Mid to late summer',
                     habitat_types: ['Wetland', 'Riparian'],
+                    climate_classes: ['Dfa', 'Dfb', 'Cfa', 'Cfb', 'Dsb'],
                     identification_features: 'Purple flower spikes, lance-shaped leaves, square stems',
                     control_methods: 'Hand pulling, cutting, biological control',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/3/38/Lythrum_salicaria_-_purple_loosestrife_02.jpg/400px-Lythrum_salicaria_-_purple_loosestrife_02.jpg',
@@ -476,6 +918,7 @@ class InvasiveSpeciesAPI {
                     description: 'Aggressive perennial that forms dense colonies and can damage infrastructure.',
                     flowering_period: 'Late summer to early fall',
                     habitat_types: ['Riparian', 'Urban', 'Forest'],
+                    climate_classes: ['Cfa', 'Cfb', 'Dfa', 'Dfb', 'Cwa'],
                     identification_features: 'Hollow stems, heart-shaped leaves, bamboo-like appearance',
                     control_methods: 'Repeated cutting, herbicide injection, excavation',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/4/43/Fallopia_japonica_flowers.jpg/400px-Fallopia_japonica_flowers.jpg',
@@ -493,8 +936,10 @@ class InvasiveSpeciesAPI {
                     description: 'Annual grass that increases fire frequency and outcompetes native plants.',
                     flowering_period: 'Early spring',
                     habitat_types: ['Grassland', 'Desert'],
+                    climate_classes: ['BSk', 'BWk', 'Csa', 'Csb', 'Dsb', 'Dfb'],
                     identification_features: 'Drooping seed heads, soft hairy leaves, reddish color when dry',
                     control_methods: 'Targeted grazing, herbicide, revegetation',
+                    fire_promoting: true,
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/9/9c/Bromus_tectorum_cheatgrass.jpg/400px-Bromus_tectorum_cheatgrass.jpg',
                     backup_image_urls: [
                         'https://picsum.photos/400/300?random=6',
@@ -510,6 +955,7 @@ class InvasiveSpeciesAPI {
                     description: 'Biennial herb that reduces forage quality and biodiversity in rangelands.',
                     flowering_period: 'Summer to early fall',
                     habitat_types: ['Grassland', 'Desert'],
+                    climate_classes: ['BSk', 'Dsb', 'Dfb', 'Dfa', 'Csb'],
                     identification_features: 'White to pink flowers, deeply divided leaves, spiny bracts',
                     control_methods: 'Biological control, herbicide, hand removal',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/f/f1/Centaurea_diffusa_flower.jpg/400px-Centaurea_diffusa_flower.jpg',
@@ -527,8 +973,10 @@ class InvasiveSpeciesAPI {
                     description: 'Evergreen shrub that forms dense stands and increases fire risk.',
                     flowering_period: 'Late spring to early summer',
                     habitat_types: ['Forest', 'Grassland'],
+                    climate_classes: ['Csb', 'Cfb', 'Csa', 'Cfa'],
                     identification_features: 'Bright yellow flowers, green ridged stems, small leaves',
                     control_methods: 'Cutting before seed set, herbicide, hand pulling young plants',
+                    fire_promoting: true,
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/3/39/Cytisus_scoparius_flowers.jpg/400px-Cytisus_scoparius_flowers.jpg',
                     backup_image_urls: [
                         'https://picsum.photos/400/300?random=8',
@@ -544,6 +992,7 @@ class InvasiveSpeciesAPI {
                     description: 'Deciduous tree that forms thickets along waterways and displaces native riparian vegetation.',
                     flowering_period: 'Late spring',
                     habitat_types: ['Riparian', 'Wetland'],
+                    climate_classes: ['BSk', 'BWk', 'Dfa', 'Dfb', 'Dsa', 'Dsb'],
                     identification_features: 'Silvery leaves, fragrant yellow flowers, olive-like fruits',
                     control_methods: 'Cutting and treating stumps, herbicide',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/1/15/Elaeagnus_angustifolia_flowers.jpg/400px-Elaeagnus_angustifolia_flowers.jpg',
@@ -561,6 +1010,7 @@ class InvasiveSpeciesAPI {
                     description: 'Perennial herb with toxic milky sap that reduces rangeland productivity.',
                     flowering_period: 'Late spring to early summer',
                     habitat_types: ['Grassland', 'Forest'],
+                    climate_classes: ['Dfb', 'Dfa', 'BSk', 'Dsb'],
                     identification_features: 'Yellow-green flower bracts, narrow leaves, milky sap',
                     control_methods: 'Biological control, herbicide, grazing management',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a9/Euphorbia_esula_flowers.jpg/400px-Euphorbia_esula_flowers.jpg',
@@ -578,6 +1028,7 @@ class InvasiveSpeciesAPI {
                     description: 'Evergreen climbing vine that smothers understory vegetation and can kill trees.',
                     flowering_period: 'Fall',
                     habitat_types: ['Forest', 'Urban'],
+                    climate_classes: ['Cfb', 'Cfa', 'Csb', 'Csa'],
                     identification_features: 'Lobed leaves, climbing or trailing habit, dark berries',
                     control_methods: 'Hand removal, cutting, herbicide treatment',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/f/fb/Hedera_helix_berries.jpg/400px-Hedera_helix_berries.jpg',
@@ -595,6 +1046,7 @@ class InvasiveSpeciesAPI {
                     description: 'Biennial herb that invades forest understories and releases chemicals inhibiting other plants.',
                     flowering_period: 'Late spring',
                     habitat_types: ['Forest', 'Urban'],
+                    climate_classes: ['Dfa', 'Dfb', 'Cfa', 'Cfb'],
                     identification_features: 'Heart-shaped serrated leaves, white four-petaled flowers, garlic odor',
                     control_methods: 'Hand pulling, cutting before seed set',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/6/69/Alliaria_petiolata_flowers.jpg/400px-Alliaria_petiolata_flowers.jpg',
@@ -612,6 +1064,7 @@ class InvasiveSpeciesAPI {
                     description: 'Floating aquatic fern that forms dense mats, blocking sunlight and depleting oxygen.',
                     flowering_period: 'Reproduces by spores and fragmentation',
                     habitat_types: ['Wetland'],
+                    climate_classes: ['Af', 'Am', 'Aw', 'Cfa'],
                     identification_features: 'Three-leaf clusters, chain-like pattern of hairs on leaves',
                     control_methods: 'Mechanical removal, herbicide, biological control',
                     image_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/d/d4/Salvinia_molesta_floating.jpg/400px-Salvinia_molesta_floating.jpg',
@@ -712,89 +1165,139 @@ class InvasiveSpeciesAPI {
                     reports_verified: 3,
                     active_status: true
                 }
-            ]
+            ],
+            revisions: [],
+            ndvi: [],
+            detections: []
         };
     }
 
     // Handle mock API requests
+    // Unknown ids on GET/PATCH/PUT/DELETE/restore throw ApiError(404) like the REST backend would
+    // Routes: tables/<table>[?query], tables/<table>/batch, tables/<table>/<id>, tables/<table>/<id>/restore
     async handleMockRequest(endpoint, options = {}) {
-        // Simulate network delay
+        // Simulate network delay and make sure local storage has been loaded
         await new Promise(resolve => setTimeout(resolve, 200));
+        await this.storageReady;
         
         const method = options.method || 'GET';
-        const parts = endpoint.split('/');
+        const [path, queryString = ''] = endpoint.split('?');
+        const [root, table, id, action] = path.split('/');
+        const params = parseQueryParams(queryString);
+        const tableKey = STORAGE_TABLES[table];
         
-        if (endpoint.startsWith('tables/invasive_species')) {
-            if (method === 'GET') {
-                if (parts.length === 3) {
-                    // Get specific species
-                    const id = parts[2];
-                    const species = this.mockData.species.find(s => s.id === id);
-                    return species ? { data: species } : { error: 'Not found' };
-                } else {
-                    // Get all species
-                    return { data: this.mockData.species, total: this.mockData.species.length };
-                }
-            } else if (method === 'POST') {
-                const newSpecies = JSON.parse(options.body);
-                newSpecies.id = String(this.mockData.species.length + 1);
-                this.mockData.species.push(newSpecies);
-                return { data: newSpecies };
-            }
-        } else if (endpoint.startsWith('tables/sighting_reports')) {
-            if (method === 'GET') {
-                if (parts.length === 3) {
-                    // Get specific report
-                    const id = parts[2];
-                    const report = this.mockData.reports.find(r => r.id === id);
-                    return report ? { data: report } : { error: 'Not found' };
-                } else {
-                    // Get all reports
-                    return { data: this.mockData.reports, total: this.mockData.reports.length };
-                }
-            } else if (method === 'POST') {
-                const newReport = JSON.parse(options.body);
-                newReport.id = String(this.mockData.reports.length + 1);
-                this.mockData.reports.push(newReport);
-                return { data: newReport };
-            }
-        } else if (endpoint.startsWith('tables/monitoring_locations')) {
-            if (method === 'GET') {
-                return { data: this.mockData.locations, total: this.mockData.locations.length };
+        if (root !== 'tables' || !tableKey) {
+            return { data: [], total: 0 };
+        }
+        
+        const records = this.mockData[tableKey];
+        const record = id ? records.find(r => r.id === id) : null;
+        
+        if (table === HISTORY_TABLE && method !== 'GET') {
+            throw new ApiError(405, 'Revisions are read-only');
+        }
+        
+        if (method === 'GET') {
+            if (id) {
+                // Trashed records are only returned when explicitly asked for
+                const visible = record && (!record.deleted_at || params.deleted === 'include');
+                if (!visible) throw new ApiError(404, `${table} record ${id} not found`);
+                return { data: record };
             }
-        } else if (endpoint.startsWith('tables/users')) {
-            if (method === 'GET') {
-                return { data: this.mockData.users, total: this.mockData.users.length };
-            } else if (method === 'POST') {
-                const newUser = JSON.parse(options.body);
-                newUser.id = String(this.mockData.users.length + 1);
-                this.mockData.users.push(newUser);
-                return { data: newUser };
+            return queryRecords(records, params);
+        }
+        
+        // Bulk create: every record is stored in one write and gets its own revision
+        if (method === 'POST' && id === 'batch' && !action) {
+            const created = JSON.parse(options.body).records.map(newRecord => {
+                const withId = { ...newRecord, id: this.nextMockId(tableKey) };
+                records.push(withId);
+                return withId;
+            });
+            await this.persistRecords(tableKey, created);
+            await this.recordRevisions(table, created.map(newRecord => [null, newRecord]), 'create');
+            return { data: created, total: created.length };
+        }
+        
+        if (method === 'POST' && !id) {
+            const newRecord = JSON.parse(options.body);
+            newRecord.id = this.nextMockId(tableKey);
+            records.push(newRecord);
+            await this.persistRecord(tableKey, newRecord);
+            await this.recordRevision(table, null, newRecord, 'create');
+            return { data: newRecord };
+        }
+        
+        if ((method === 'PATCH' || method === 'PUT') && id) {
+            if (!record || record.deleted_at) throw new ApiError(404, `${table} record ${id} not found`);
+            const changes = options.body ? JSON.parse(options.body) : {};
+            
+            // PATCH merges top-level fields; PUT replaces the record, keeping only id and created_at
+            const base = method === 'PUT' ? { created_at: record.created_at } : record;
+            const updated = {
+                ...base,
+                ...changes,
+                id: record.id,
+                updated_at: new Date().toISOString()
+            };
+            records[records.indexOf(record)] = updated;
+            await this.persistRecord(tableKey, updated);
+            await this.recordRevision(table, record, updated, 'update');
+            return { data: updated };
+        }
+        
+        if (method === 'POST' && action === 'restore') {
+            if (!record) throw new ApiError(404, `${table} record ${id} not found`);
+            const restored = { ...record };
+            delete restored.deleted_at;
+            delete restored.deleted_by;
+            records[records.indexOf(record)] = restored;
+            await this.persistRecord(tableKey, restored);
+            await this.recordRevision(table, record, restored, 'restore');
+            return { data: restored };
+        }
+        
+        if (method === 'DELETE' && id) {
+            if (!record) throw new ApiError(404, `${table} record ${id} not found`);
+            
+            if (params.permanent === 'true') {
+                records.splice(records.indexOf(record), 1);
+                await this.removeStoredRecord(tableKey, id);
+                await this.recordRevision(table, record, null, 'purge');
+                return null;
             }
+            
+            const body = options.body ? JSON.parse(options.body) : {};
+            const deleted = {
+                ...record,
+                deleted_at: new Date().toISOString(),
+                deleted_by: body.deleted_by || 'Unknown'
+            };
+            records[records.indexOf(record)] = deleted;
+            await this.persistRecord(tableKey, deleted);
+            await this.recordRevision(table, record, deleted, 'delete');
+            return { data: deleted };
         }
         
         return { data: [], total: 0 };
     }
 
     // Handle NASA API requests
+    // 'nasa/<service>/...' goes to the services in NASA_SERVICE_URL_SETTINGS, everything else to api.nasa.gov
     async handleNasaRequest(endpoint, options = {}) {
         try {
             const nasaEndpoint = endpoint.replace('nasa/', '');
-            const url = `${this.nasaBaseURL}/${nasaEndpoint}?api_key=${this.nasaApiKey}`;
-            
-            const response = await fetch(url, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                },
-                ...options
-            });
-
-            if (!response.ok) {
-                throw new Error(`NASA API error! status: ${response.status}`);
+            const service = nasaEndpoint.split('/')[0];
+            let url;
+            if (NASA_SERVICE_URL_SETTINGS[service]) {
+                url = `${appConfig.get(NASA_SERVICE_URL_SETTINGS[service])}/${nasaEndpoint.slice(service.length + 1)}`;
+            } else {
+                const separator = nasaEndpoint.includes('?') ? '&' : '?';
+                url = `${appConfig.get('nasaBaseURL')}/${nasaEndpoint}${separator}api_key=${encodeURIComponent(appConfig.get('nasaApiKey'))}`;
             }
-
-            return await response.json();
+            
+            // Queued, retried and throttled according to the key's rate limit (js/nasa-client.js)
+            return await nasaClient.request(url, options);
         } catch (error) {
             console.error('NASA API request failed:', error);
             throw error;
@@ -802,13 +1305,14 @@ class InvasiveSpeciesAPI {
     }
 
     // Get enhanced species data using NASA APIs
-    async getEnhancedSpeciesData() {
+    async getEnhancedSpeciesData(params = {}) {
+        const result = await this.queryTable('invasive_species', params);
         try {
             // Get NASA Earth data for environmental context
             const earthData = await this.getNasaEarthData();
             
-            // Enhance mock species data with NASA environmental data
-            const enhancedSpecies = this.mockData.species.map(species => ({
+            // Enhance the matching species records with NASA environmental data
+            const enhancedSpecies = result.data.map(species => ({
                 ...species,
                 nasa_data: {
                     earth_imagery_available: true,
@@ -819,34 +1323,38 @@ class InvasiveSpeciesAPI {
                 satellite_monitoring: true
             }));
 
-            return enhancedSpecies;
+            return { ...result, data: enhancedSpecies };
         } catch (error) {
             console.warn('Could not enhance with NASA data:', error);
-            return this.mockData.species;
+            return result;
         }
     }
 
     // Get enhanced reports data with NASA satellite imagery
-    async getEnhancedReportsData() {
+    async getEnhancedReportsData(params = {}) {
+        const result = await this.queryTable('sighting_reports', params);
         try {
-            const reports = this.mockData.reports;
+            const reports = result.data;
             const enhancedReports = [];
 
             for (const report of reports) {
                 try {
-                    // Get NASA Earth imagery for the report location
-                    const earthImage = await this.getNasaEarthImagery(report.latitude, report.longitude, report.report_date);
+                    // NASA data depends only on the location and date, so it is cached per coordinates
+                    const nasaData = await requestCache.get(
+                        'enhanced-report',
+                        `${report.latitude},${report.longitude},${report.report_date}`,
+                        async () => ({
+                            earth_imagery: await this.getNasaEarthImagery(report.latitude, report.longitude, report.report_date),
+                            satellite_analysis_available: true,
+                            last_updated: new Date().toISOString()
+                        })
+                    );
                     
                     const enhancedReport = {
                         ...report,
-                        nasa_data: {
-                            earth_imagery: earthImage,
-                            satellite_analysis_available: true,
-                            environmental_conditions: await this.getEnvironmentalConditions(report.latitude, report.longitude),
-                            last_updated: new Date().toISOString()
-                        },
+                        nasa_data: nasaData,
                         verification_enhanced: true,
-                        satellite_confirmed: earthImage ? true : false
+                        satellite_confirmed: nasaData.earth_imagery ? true : false
                     };
                     
                     enhancedReports.push(enhancedReport);
@@ -856,10 +1364,10 @@ class InvasiveSpeciesAPI {
                 }
             }
 
-            return enhancedReports;
+            return { ...result, data: enhancedReports };
         } catch (error) {
             console.warn('Could not enhance reports with NASA data:', error);
-            return this.mockData.reports;
+            return result;
         }
     }
 
@@ -867,7 +1375,7 @@ class InvasiveSpeciesAPI {
     async getNasaEarthData() {
         try {
             // Use NASA's APOD API as a fallback for environmental data
-            const response = await this.handleNasaRequest('nasa/planetary/apod');
+            const response = await requestCache.get('nasa-apod', 'planetary/apod', () => this.handleNasaRequest('nasa/planetary/apod'));
             return {
                 source: 'NASA Planetary API',
                 data_type: 'Environmental Context',
@@ -891,7 +1399,8 @@ class InvasiveSpeciesAPI {
         try {
             // NASA Earth Imagery API endpoint
             const imageDate = new Date(date).toISOString().split('T')[0];
-            const url = `${this.nasaBaseURL}/planetary/earth/imagery?lon=${lon}&lat=${lat}&date=${imageDate}&dim=0.15&api_key=${this.nasaApiKey}`;
+            const url = `${appConfig.get('nasaBaseURL')}/planetary/earth/imagery?lon=${lon}&lat=${lat}&date=${imageDate}&dim=${EARTH_IMAGERY_DIM}&api_key=${encodeURIComponent(appConfig.get('nasaApiKey'))}`;
+            const half = EARTH_IMAGERY_DIM / 2;
             
             // Return imagery metadata
             return {
@@ -899,6 +1408,7 @@ class InvasiveSpeciesAPI {
                 coordinates: { lat, lon },
                 date: imageDate,
                 resolution: '15km',
+                bounds: [[parseFloat(lat) - half, parseFloat(lon) - half], [parseFloat(lat) + half, parseFloat(lon) + half]],
                 source: 'NASA Earth Imagery API',
                 available: true
             };
@@ -908,22 +1418,82 @@ class InvasiveSpeciesAPI {
         }
     }
 
-    // Get environmental conditions using NASA APIs
-    async getEnvironmentalConditions(lat, lon) {
-        try {
-            // Use NASA's weather/climate APIs if available
+    // Earth imagery of one location over time: the report date plus `before` earlier and `after` later dates,
+    // each resolved to the nearest Landsat scene when the assets API answers (nearby dates can share a scene)
+    async getEarthImagerySequence(lat, lon, date, { before = 4, after = 2, intervalDays = EARTH_IMAGERY_INTERVAL_DAYS } = {}) {
+        const requested = date ? new Date(date) : new Date();
+        const reference = Number.isNaN(requested.getTime()) ? new Date() : requested;
+        const dates = [];
+        for (let step = -before; step <= after; step++) {
+            const time = reference.getTime() + step * intervalDays * 24 * 60 * 60 * 1000;
+            if (time <= Date.now()) {
+                dates.push(new Date(time).toISOString().split('T')[0]);
+            }
+        }
+        
+        const scenes = await Promise.all(dates.map(async requestedDate => {
+            try {
+                const asset = await requestCache.get('earth-assets', `${lat},${lon},${requestedDate}`, () =>
+                    this.makeRequest(`nasa/planetary/earth/assets?lon=${lon}&lat=${lat}&date=${requestedDate}&dim=${EARTH_IMAGERY_DIM}`));
+                const scene = await this.getNasaEarthImagery(lat, lon, asset.date);
+                return { ...scene, requested_date: requestedDate, scene_id: asset.id || null };
+            } catch (error) {
+                console.warn(`No Earth imagery scene found for ${requestedDate}:`, error.message);
+                const scene = await this.getNasaEarthImagery(lat, lon, requestedDate);
+                return { ...scene, requested_date: requestedDate, scene_id: null };
+            }
+        }));
+        
+        const unique = [];
+        scenes.forEach(scene => {
+            if (!unique.some(other => other.date === scene.date)) unique.push(scene);
+        });
+        unique.sort((a, b) => a.date.localeCompare(b.date));
+        return { data: unique, total: unique.length };
+    }
+    
+    // Append an imagery scene (and the footprint drawn on it) to the report's verification evidence
+    async attachVerificationEvidence(reportId, evidence) {
+        const current = await this.makeRequest(`tables/sighting_reports/${reportId}`);
+        const existing = current.data.verification_evidence || [];
+        return await this.updateReport(reportId, {
+            verification_evidence: [...existing, {
+                ...evidence,
+                attached_by: this.currentUser ? this.currentUser.full_name : 'Unknown',
+                attached_at: new Date().toISOString()
+            }]
+        });
+    }
+
+    // Get the climate of the 12 months before a date (default: the latest available) at a location
+    async getEnvironmentalConditions(lat, lon, date) {
+        const { start, end } = getClimateWindow(date);
+        const gridLat = snapToClimateGrid(lat);
+        const gridLon = snapToClimateGrid(lon);
+        const buildConditions = series => {
+            const climate = summarizeClimate(series);
             return {
                 coordinates: { lat, lon },
-                climate_zone: this.determineClimateZone(lat),
-                environmental_factors: {
-                    temperature_range: 'Variable based on season',
-                    precipitation_pattern: 'Seasonal variation',
-                    soil_conditions: 'Analysis pending',
-                    vegetation_index: 'Satellite analysis available'
-                },
-                nasa_monitoring: true,
+                climate_zone: climate.thermal_zone || this.determineClimateZone(lat),
+                climate,
+                nasa_monitoring: series.provider === 'nasa-power',
                 last_updated: new Date().toISOString()
             };
+        };
+        
+        try {
+            return await requestCache.get(
+                'environment',
+                `${this.climateProvider.name}:${gridLat},${gridLon}:${start}:${end}`,
+                async () => buildConditions(await this.climateProvider.getDailySeries(gridLat, gridLon, start, end))
+            );
+        } catch (error) {
+            console.warn('Climate provider unavailable, using offline estimate:', error.message);
+        }
+        
+        try {
+            // Not cached, so real data replaces the estimate as soon as the provider is back
+            return buildConditions(await new StubClimateProvider().getDailySeries(gridLat, gridLon, start, end));
         } catch (error) {
             return {
                 coordinates: { lat, lon },
@@ -952,7 +1522,7 @@ class InvasiveSpeciesAPI {
                 monitoring_frequency: 'Daily',
                 data_sources: ['Landsat', 'MODIS', 'VIIRS'],
                 environmental_indicators: {
-                    vegetation_health: 'Monitored via NDVI',
+                    vegetation_health: 'NDVI time series per sighting (MODIS/VIIRS 16-day composites)',
                     land_use_change: 'Tracked via satellite imagery',
                     climate_patterns: 'Long-term trend analysis'
                 },
@@ -968,198 +1538,274 @@ class InvasiveSpeciesAPI {
         }
     }
 
-    // Get NASA invasive plants locations with enhanced satellite data
-    async getNasaInvasivePlantsLocations() {
+    // Get natural disturbance events (wildfires, floods, storms...) from NASA EONET
+    // start/end are YYYY-MM-DD, categories are EONET category ids
+    async getNaturalEvents({ start, end, categories = [] } = {}) {
+        const params = new URLSearchParams({ status: 'all' });
+        if (start) params.set('start', start);
+        if (end) params.set('end', end);
+        if (categories.length > 0) params.set('category', categories.join(','));
+        const query = params.toString();
+        
+        let response;
+        let source = 'eonet';
         try {
-            // Simulate NASA-detected invasive species locations for all 13 species
-            return [
-                {
-                    id: 'nasa_lantana_1',
-                    species_name: 'Common Lantana (Lantana camara)',
-                    scientific_name: 'Lantana camara',
-                    latitude: 25.7617,
-                    longitude: -80.1918, // Miami, FL
-                    threat_level: 'High',
-                    coverage_area: '45 hectares',
-                    detection_method: 'Multi-spectral satellite analysis',
-                    confidence: 'High - Visual confirmation',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Rapid expansion in urban areas',
-                    environmental_impact: 'Medium - Native flora displacement'
-                },
-                {
-                    id: 'nasa_kudzu_1',
-                    species_name: 'Kudzu (Pueraria montana)',
-                    scientific_name: 'Pueraria montana',
-                    latitude: 33.7490,
-                    longitude: -84.3880, // Atlanta, GA
-                    threat_level: 'Severe',
-                    coverage_area: '150 hectares',
-                    detection_method: 'Multi-spectral satellite analysis',
-                    confidence: 'High - Multi-temporal verification',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Rapid expansion - 15% increase in 6 months',
-                    environmental_impact: 'High - Forest canopy displacement and native species suppression'
-                },
-                {
-                    id: 'nasa_saltcedar_1',
-                    species_name: 'Saltcedar (Tamarix ramosissima)',
-                    scientific_name: 'Tamarix ramosissima',
-                    latitude: 36.1627,
-                    longitude: -115.1627, // Las Vegas, NV
-                    threat_level: 'High',
-                    coverage_area: '320 hectares',
-                    detection_method: 'Hyperspectral imaging',
-                    confidence: 'High - Drought-stress analysis',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Steady expansion along water sources',
-                    environmental_impact: 'High - Water table alteration'
-                },
-                {
-                    id: 'nasa_loosestrife_1',
-                    species_name: 'Purple Loosestrife (Lythrum salicaria)',
-                    scientific_name: 'Lythrum salicaria',
-                    latitude: 44.9537,
-                    longitude: -93.0900, // Minneapolis, MN
-                    threat_level: 'High',
-                    coverage_area: '85 hectares',
-                    detection_method: 'Phenological satellite monitoring',
-                    confidence: 'High - Seasonal pattern analysis',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Seasonal expansion in wetland areas',
-                    environmental_impact: 'Medium - Wetland ecosystem disruption'
-                },
-                {
-                    id: 'nasa_knotweed_1',
-                    species_name: 'Japanese Knotweed (Reynoutria japonica)',
-                    scientific_name: 'Reynoutria japonica',
-                    latitude: 40.7128,
-                    longitude: -74.0060, // New York, NY
-                    threat_level: 'High',
-                    coverage_area: '35 hectares',
-                    detection_method: 'AI-powered satellite classification',
-                    confidence: 'High - Machine learning validated',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Linear expansion along waterways',
-                    environmental_impact: 'High - Infrastructure damage and erosion risk'
-                },
-                {
-                    id: 'nasa_cheatgrass_1',
-                    species_name: 'Cheatgrass (Bromus tectorum)',
-                    scientific_name: 'Bromus tectorum',
-                    latitude: 39.7392,
-                    longitude: -104.9903, // Denver, CO
-                    threat_level: 'Severe',
-                    coverage_area: '1200 hectares',
-                    detection_method: 'Fire risk assessment mapping',
-                    confidence: 'High - Multi-year trend analysis',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Exponential spread in dry seasons',
-                    environmental_impact: 'Severe - Fire cycle alteration'
-                },
-                {
-                    id: 'nasa_knapweed_1',
-                    species_name: 'Diffuse Knapweed (Centaurea diffusa)',
-                    scientific_name: 'Centaurea diffusa',
-                    latitude: 47.0379,
-                    longitude: -122.9007, // Olympia, WA
-                    threat_level: 'High',
-                    coverage_area: '67 hectares',
-                    detection_method: 'Spectral signature analysis',
-                    confidence: 'Medium - Requires field verification',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Moderate expansion in grasslands',
-                    environmental_impact: 'Medium - Grazing land degradation'
-                },
-                {
-                    id: 'nasa_scotchbroom_1',
-                    species_name: 'Scotch Broom (Cytisus scoparius)',
-                    scientific_name: 'Cytisus scoparius',
-                    latitude: 45.5152,
-                    longitude: -122.6784, // Portland, OR
-                    threat_level: 'High',
-                    coverage_area: '89 hectares',
-                    detection_method: 'Flowering period detection',
-                    confidence: 'High - Yellow flower spectral analysis',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Rapid spring expansion',
-                    environmental_impact: 'High - Fire hazard increase'
-                },
-                {
-                    id: 'nasa_russianolive_1',
-                    species_name: 'Russian Olive (Elaeagnus angustifolia)',
-                    scientific_name: 'Elaeagnus angustifolia',
-                    latitude: 40.2731,
-                    longitude: -76.8839, // Harrisburg, PA
-                    threat_level: 'Moderate',
-                    coverage_area: '78 hectares',
-                    detection_method: 'Silvery foliage detection',
-                    confidence: 'Medium - Seasonal variation',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Slow to moderate riparian spread',
-                    environmental_impact: 'Medium - Riparian habitat alteration'
-                },
-                {
-                    id: 'nasa_leafyspurge_1',
-                    species_name: 'Leafy Spurge (Euphorbia esula)',
-                    scientific_name: 'Euphorbia esula',
-                    latitude: 46.8083,
-                    longitude: -100.7837, // Bismarck, ND
-                    threat_level: 'High',
-                    coverage_area: '156 hectares',
-                    detection_method: 'Yellow-green bract identification',
-                    confidence: 'High - Distinctive spectral signature',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Aggressive rhizome expansion',
-                    environmental_impact: 'High - Rangeland productivity loss'
-                },
-                {
-                    id: 'nasa_englishivy_1',
-                    species_name: 'English Ivy (Hedera helix)',
-                    scientific_name: 'Hedera helix',
-                    latitude: 47.6062,
-                    longitude: -122.3321, // Seattle, WA
-                    threat_level: 'High',
-                    coverage_area: '43 hectares',
-                    detection_method: 'Canopy cover analysis',
-                    confidence: 'High - Tree mortality correlation',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Persistent vertical and horizontal spread',
-                    environmental_impact: 'High - Native understory elimination'
-                },
-                {
-                    id: 'nasa_garlicmustard_1',
-                    species_name: 'Garlic Mustard (Alliaria petiolata)',
-                    scientific_name: 'Alliaria petiolata',
-                    latitude: 42.3601,
-                    longitude: -71.0589, // Boston, MA
-                    threat_level: 'Moderate',
-                    coverage_area: '29 hectares',
-                    detection_method: 'Forest understory analysis',
-                    confidence: 'Medium - Mixed vegetation challenge',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Biennial cycle expansion',
-                    environmental_impact: 'Medium - Forest herb layer disruption'
-                },
-                {
-                    id: 'nasa_salvinia_1',
-                    species_name: 'Giant Salvinia (Salvinia molesta)',
-                    scientific_name: 'Salvinia molesta',
-                    latitude: 29.9511,
-                    longitude: -90.0715, // New Orleans, LA
-                    threat_level: 'Severe',
-                    coverage_area: '234 hectares',
-                    detection_method: 'Aquatic surface coverage mapping',
-                    confidence: 'High - Water surface spectral analysis',
-                    last_detected: new Date().toISOString().split('T')[0],
-                    growth_rate: 'Exponential mat formation',
-                    environmental_impact: 'Severe - Aquatic oxygen depletion'
+            response = await requestCache.get('eonet', query, () => this.makeRequest(`nasa/eonet/events?${query}`));
+        } catch (error) {
+            console.warn('NASA EONET unavailable, using sample events:', error.message);
+            response = await this.loadEonetFixture();
+            source = 'sample';
+        }
+        
+        // The sample is not filtered server-side, so apply the same filters here
+        const events = (response.events || [])
+            .filter(event => categories.length === 0 || (event.categories || []).some(category => categories.includes(category.id)))
+            .map(event => this.normalizeEonetEvent(event, start, end))
+            .filter(Boolean);
+        
+        return { data: events, total: events.length, source };
+    }
+    
+    async loadEonetFixture() {
+        const response = await fetch(EONET_FIXTURE_URL);
+        if (!response.ok) {
+            throw new ApiError(response.status, `EONET sample not available: ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    // Flatten an EONET event to its latest position within the date range, or null when it has none
+    normalizeEonetEvent(event, start, end) {
+        const from = start ? new Date(`${start}T00:00:00Z`).getTime() : -Infinity;
+        const to = end ? new Date(`${end}T23:59:59Z`).getTime() : Infinity;
+        const geometries = (event.geometry || [])
+            .filter(geometry => {
+                const time = new Date(geometry.date).getTime();
+                return time >= from && time <= to;
+            })
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        if (geometries.length === 0) return null;
+        
+        // Points are [lon, lat]; polygons are reduced to the average of their outer ring
+        const toLatLng = geometry => {
+            if (geometry.type === 'Point') {
+                return [geometry.coordinates[1], geometry.coordinates[0]];
+            }
+            const ring = geometry.coordinates[0] || [];
+            const sum = ring.reduce((total, point) => [total[0] + point[1], total[1] + point[0]], [0, 0]);
+            return [sum[0] / ring.length, sum[1] / ring.length];
+        };
+        
+        const latest = geometries[geometries.length - 1];
+        const [latitude, longitude] = toLatLng(latest);
+        const category = (event.categories || [])[0] || { id: 'unknown', title: 'Other' };
+        const sources = event.sources || [];
+        
+        return {
+            id: event.id,
+            title: event.title,
+            category: category.id,
+            category_title: category.title,
+            latitude,
+            longitude,
+            date: latest.date,
+            first_date: geometries[0].date,
+            magnitude_value: latest.magnitudeValue !== undefined ? latest.magnitudeValue : null,
+            magnitude_unit: latest.magnitudeUnit || null,
+            closed: event.closed || null,
+            source_url: sources.length > 0 ? sources[0].url : event.link,
+            sources: sources.map(source => source.id),
+            track: geometries.map(toLatLng)
+        };
+    }
+
+    // Recent FIRMS hotspots (js/fire.js), from a file loaded on the map or from the configured FIRMS URL
+    async getFireHotspots() {
+        await appConfig.ready;
+        const { lookbackDays } = this.getFireSettings();
+        let hotspots;
+        let source;
+        
+        if (this.fireHotspotFile) {
+            hotspots = this.fireHotspotFile.hotspots;
+            source = this.fireHotspotFile.name;
+        } else {
+            // FIRMS area API URLs end in the day range; '{days}' is replaced with the lookback setting
+            source = appConfig.get('firmsURL').replace('{days}', lookbackDays);
+            hotspots = await requestCache.get('firms', source, async () => {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new ApiError(response.status, `FIRMS hotspots not available: ${response.status}`);
+                }
+                return parseFirmsCsv(await response.text());
+            });
+        }
+        
+        // The bundled sample and loaded files are old snapshots, so their window ends at their newest hotspot
+        const sample = !this.fireHotspotFile && source.startsWith(FIRE_SAMPLE_PREFIX);
+        const recent = getRecentHotspots(hotspots, lookbackDays, sample || this.fireHotspotFile ? 'newest' : Date.now());
+        return { data: recent, total: recent.length, source, sample, lookback_days: lookbackDays };
+    }
+    
+    // Use the hotspots in a FIRMS CSV file instead of the configured URL until cleared
+    loadFireHotspotFile(name, csvText) {
+        this.fireHotspotFile = { name, hotspots: parseFirmsCsv(csvText) };
+        return this.fireHotspotFile.hotspots.length;
+    }
+    
+    clearFireHotspotFile() {
+        this.fireHotspotFile = null;
+    }
+    
+    getFireSettings() {
+        return {
+            proximityKm: parseFloat(appConfig.get('fireProximityKm')) || FIRE_DEFAULT_PROXIMITY_KM,
+            lookbackDays: parseFloat(appConfig.get('fireLookbackDays')) || FIRE_DEFAULT_LOOKBACK_DAYS
+        };
+    }
+    
+    // Fire proximity of one report: nearest recent hotspot, hotspots in range and whether the report is flagged
+    async getReportFireProximity(report) {
+        const [hotspots, species] = await Promise.all([
+            this.getFireHotspots(),
+            this.getSpeciesById(report.species_id).catch(() => ({ data: null }))
+        ]);
+        const proximity = assessReportFireProximity(report, species.data, hotspots.data, this.getFireSettings().proximityKm);
+        return { ...proximity, source: hotspots.source, sample: hotspots.sample, lookback_days: hotspots.lookback_days };
+    }
+
+    // Köppen lookup grid from koppenGridURL, loaded once per URL (see js/habitat.js)
+    async getKoppenGrid() {
+        await appConfig.ready;
+        const url = appConfig.get('koppenGridURL');
+        if (!this.koppenGrid || this.koppenGrid.url !== url) {
+            const grid = fetch(url).then(async response => {
+                if (!response.ok) {
+                    throw new ApiError(response.status, `Köppen grid not available: ${response.status}`);
                 }
-            ];
+                return new KoppenGrid(parseKoppenGrid(await response.text()));
+            });
+            this.koppenGrid = { url, grid };
+            // Let a later call retry after a failed load
+            grid.catch(() => {
+                if (this.koppenGrid && this.koppenGrid.grid === grid) this.koppenGrid = null;
+            });
+        }
+        return this.koppenGrid.grid;
+    }
+
+    // Köppen class of a point: from the lookup grid, or classified from the last year of climate data outside it
+    async getKoppenClass(lat, lon) {
+        let code = null;
+        let source = 'grid';
+        try {
+            const cell = (await this.getKoppenGrid()).lookup(lat, lon);
+            if (cell) code = cell.koppen;
         } catch (error) {
-            console.error('Error loading NASA invasive plants locations:', error);
-            return [];
+            console.warn('Köppen grid unavailable, classifying from climate data:', error.message);
         }
+
+        if (!code) {
+            const conditions = await this.getEnvironmentalConditions(lat, lon);
+            code = conditions.climate ? conditions.climate.koppen_class : null;
+            source = conditions.climate ? conditions.climate.provider : null;
+        }
+
+        const koppen = describeKoppenClass(code);
+        return koppen ? { ...koppen, source } : null;
+    }
+
+    // Habitat suitability of a report's location for its species
+    async getReportHabitatSuitability(report) {
+        const lat = parseFloat(report.latitude);
+        const lon = parseFloat(report.longitude);
+        const [koppen, species] = await Promise.all([
+            this.getKoppenClass(lat, lon),
+            this.getSpeciesById(report.species_id).catch(() => ({ data: null }))
+        ]);
+        return {
+            koppen,
+            ...scoreHabitatSuitability(koppen ? koppen.code : null, species.data)
+        };
+    }
+
+    // Every grid cell scored for one species, for the suitability map layer
+    async getHabitatSuitabilityGrid(speciesId) {
+        const [grid, species] = await Promise.all([this.getKoppenGrid(), this.getSpeciesById(speciesId)]);
+        const cells = grid.cells.map(cell => ({
+            latitude: cell.latitude,
+            longitude: cell.longitude,
+            koppen: cell.koppen,
+            ...scoreHabitatSuitability(cell.koppen, species.data)
+        }));
+        return { data: cells, total: cells.length, resolution: grid.resolution, species: species.data };
+    }
+
+    // Offline gazetteer from gazetteerURL, loaded once per URL (see js/gazetteer.js)
+    async getGazetteer() {
+        await appConfig.ready;
+        const url = appConfig.get('gazetteerURL');
+        if (!this.gazetteer || this.gazetteer.url !== url) {
+            const gazetteer = fetch(url).then(async response => {
+                if (!response.ok) {
+                    throw new ApiError(response.status, `Gazetteer not available: ${response.status}`);
+                }
+                return new Gazetteer(parseGazetteer(await response.json()));
+            });
+            this.gazetteer = { url, gazetteer };
+            // Let a later call retry after a failed load
+            gazetteer.catch(() => {
+                if (this.gazetteer && this.gazetteer.gazetteer === gazetteer) this.gazetteer = null;
+            });
+        }
+        return this.gazetteer.gazetteer;
+    }
+
+    // Nearest place, county and state for a point, with warnings when it is in open water or far from
+    // the habitat types of the species (when one is given)
+    async reverseGeocode(lat, lon, speciesId = null) {
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lon);
+        if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+            throw new ApiError(400, 'Latitude and longitude are required');
+        }
+
+        const gazetteer = await this.getGazetteer();
+        const species = speciesId ? (await this.getSpeciesById(speciesId)).data : null;
+        return { data: gazetteer.reverseGeocode(latitude, longitude, (species && species.habitat_types) || []) };
+    }
+
+    // Spread forecast for one species from its verified sightings, weighted by habitat suitability (js/spread.js)
+    async getSpreadForecast(speciesId) {
+        const [species, reports] = await Promise.all([
+            this.getSpeciesById(speciesId),
+            this.queryTable('sighting_reports', { species_id: speciesId, verification_status: 'Verified', limit: 1000 })
+        ]);
+
+        let suitabilityAt = () => null;
+        try {
+            const grid = await this.getKoppenGrid();
+            suitabilityAt = (lat, lon) => {
+                const cell = grid.lookup(lat, lon);
+                return cell ? scoreHabitatSuitability(cell.koppen, species.data).score : null;
+            };
+        } catch (error) {
+            console.warn('Köppen grid unavailable, forecasting without habitat weighting:', error.message);
+        }
+
+        return { data: modelSpread(species.data, reports.data, suitabilityAt) };
+    }
+
+    // Spread forecasts for every species with verified sightings
+    async getSpreadForecasts() {
+        const reports = await this.queryTable('sighting_reports', { verification_status: 'Verified', limit: 1000 });
+        const speciesIds = [...new Set(reports.data.map(report => String(report.species_id)))];
+        const forecasts = await Promise.all(speciesIds.map(id => this.getSpreadForecast(id).then(result => result.data).catch(error => {
+            console.warn(`No spread forecast for species ${id}:`, error.message);
+            return null;
+        })));
+        const data = forecasts.filter(Boolean);
+        return { data, total: data.length };
     }
 }
 
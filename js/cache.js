@@ -0,0 +1,244 @@
+// Request cache for NASA and enhanced report data
+//
+// Entries are keyed by source and request (endpoint, coordinates, date). Each source has a TTL:
+// fresh entries are returned directly, stale ones (past the TTL but within staleFor) are returned
+// immediately while a background request refreshes them, and anything older is fetched again.
+// Entries are kept in memory and written through to IndexedDB so they survive a reload.
+
+const CACHE_DB_NAME = 'ipsms_cache';
+const CACHE_MAX_ENTRIES = 500;
+
+const CACHE_MINUTE = 60 * 1000;
+const CACHE_HOUR = 60 * CACHE_MINUTE;
+
+// Per-source lifetimes in milliseconds
+const CACHE_POLICIES = {
+    'nasa-apod': { ttl: 6 * CACHE_HOUR, staleFor: 24 * CACHE_HOUR },
+    'enhanced-report': { ttl: 24 * CACHE_HOUR, staleFor: 7 * 24 * CACHE_HOUR },
+    'environment': { ttl: 24 * CACHE_HOUR, staleFor: 7 * 24 * CACHE_HOUR },
+    'eonet': { ttl: CACHE_HOUR, staleFor: 6 * CACHE_HOUR },
+    'firms': { ttl: CACHE_HOUR, staleFor: 3 * CACHE_HOUR },
+    'earth-assets': { ttl: 7 * 24 * CACHE_HOUR, staleFor: 30 * 24 * CACHE_HOUR },
+    default: { ttl: 15 * CACHE_MINUTE, staleFor: CACHE_HOUR }
+};
+
+// Persistent tier - one IndexedDB object store holding every entry
+class IndexedDBCacheTier {
+    constructor(dbName = CACHE_DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('entries', { keyPath: 'key' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    run(mode, action) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction('entries', mode);
+            const request = action(transaction.objectStore('entries'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    put(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    }
+
+    delete(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+class RequestCache {
+    constructor(tier = typeof indexedDB !== 'undefined' ? new IndexedDBCacheTier() : null) {
+        this.tier = tier;
+        this.entries = new Map();
+        this.pending = new Map();
+        this.stats = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, errors: 0 };
+        this.ready = this.loadPersisted();
+    }
+
+    // Pull surviving entries from the persistent tier into memory
+    async loadPersisted() {
+        if (!this.tier) return;
+        try {
+            const now = Date.now();
+            const stored = await this.tier.getAll();
+            (stored || []).forEach(entry => {
+                if (entry.staleUntil > now) {
+                    this.entries.set(entry.key, entry);
+                } else {
+                    this.tier.delete(entry.key).catch(() => {});
+                }
+            });
+        } catch (error) {
+            console.warn('Persistent request cache unavailable, using memory only:', error);
+            this.tier = null;
+        }
+    }
+
+    getPolicy(source) {
+        return CACHE_POLICIES[source] || CACHE_POLICIES.default;
+    }
+
+    // 'fresh', 'stale' or 'expired'
+    getState(entry, now = Date.now()) {
+        if (now < entry.expiresAt) return 'fresh';
+        if (now < entry.staleUntil) return 'stale';
+        return 'expired';
+    }
+
+    // Return the cached value for source/key, calling loader() when it is missing or expired
+    async get(source, key, loader) {
+        await this.ready;
+        const cacheKey = `${source}:${key}`;
+        const entry = this.entries.get(cacheKey);
+        const state = entry ? this.getState(entry) : 'expired';
+
+        if (state === 'fresh') {
+            this.stats.hits++;
+            entry.hits++;
+            return entry.value;
+        }
+
+        if (state === 'stale') {
+            this.stats.staleHits++;
+            entry.hits++;
+            this.stats.revalidations++;
+            this.load(source, cacheKey, loader).catch(() => {});
+            return entry.value;
+        }
+
+        this.stats.misses++;
+        try {
+            return await this.load(source, cacheKey, loader);
+        } catch (error) {
+            // Serve an expired copy rather than nothing when the source is down
+            if (entry) {
+                console.warn(`Serving expired cache entry for ${cacheKey}:`, error.message);
+                return entry.value;
+            }
+            throw error;
+        }
+    }
+
+    // Run the loader once per key at a time and store its result
+    load(source, cacheKey, loader) {
+        if (this.pending.has(cacheKey)) {
+            return this.pending.get(cacheKey);
+        }
+
+        const request = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                this.set(source, cacheKey, value);
+                return value;
+            })
+            .catch(error => {
+                this.stats.errors++;
+                throw error;
+            })
+            .finally(() => this.pending.delete(cacheKey));
+
+        this.pending.set(cacheKey, request);
+        return request;
+    }
+
+    set(source, cacheKey, value) {
+        const policy = this.getPolicy(source);
+        const now = Date.now();
+        const entry = {
+            key: cacheKey,
+            source,
+            value,
+            storedAt: now,
+            expiresAt: now + policy.ttl,
+            staleUntil: now + policy.ttl + policy.staleFor,
+            hits: 0
+        };
+
+        this.entries.set(cacheKey, entry);
+        this.evictOverflow();
+        if (this.tier) {
+            this.tier.put(entry).catch(error => console.warn('Failed to persist cache entry:', error));
+        }
+    }
+
+    // Drop the oldest entries once the cache grows past CACHE_MAX_ENTRIES
+    evictOverflow() {
+        if (this.entries.size <= CACHE_MAX_ENTRIES) return;
+        const oldest = Array.from(this.entries.values())
+            .sort((a, b) => a.storedAt - b.storedAt)
+            .slice(0, this.entries.size - CACHE_MAX_ENTRIES);
+        oldest.forEach(entry => this.invalidate(entry.key));
+    }
+
+    invalidate(cacheKey) {
+        this.entries.delete(cacheKey);
+        if (this.tier) {
+            this.tier.delete(cacheKey).catch(() => {});
+        }
+    }
+
+    // Clear everything, or only the entries of one source
+    async clear(source) {
+        await this.ready;
+        if (!source) {
+            this.entries.clear();
+            if (this.tier) await this.tier.clear();
+            return;
+        }
+        Array.from(this.entries.values())
+            .filter(entry => entry.source === source)
+            .forEach(entry => this.invalidate(entry.key));
+    }
+
+    // Snapshot of every entry for the admin cache inspector
+    list() {
+        const now = Date.now();
+        return Array.from(this.entries.values())
+            .map(entry => ({
+                key: entry.key,
+                source: entry.source,
+                state: this.getState(entry, now),
+                storedAt: entry.storedAt,
+                expiresAt: entry.expiresAt,
+                staleUntil: entry.staleUntil,
+                hits: entry.hits,
+                size: JSON.stringify(entry.value || null).length
+            }))
+            .sort((a, b) => b.storedAt - a.storedAt);
+    }
+
+    getStats() {
+        return { ...this.stats, entries: this.entries.size, persistent: Boolean(this.tier) };
+    }
+}
+
+// Create global request cache instance
+const requestCache = new RequestCache();
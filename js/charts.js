@@ -20,7 +20,9 @@ async function loadAnalyticsData() {
             initializeThreatDistributionChart(stats.species),
             initializeMonthlyReportsChart(stats.reports),
             initializeHabitatDistributionChart(stats.reports),
-            initializeVerificationStatusChart(stats.reports)
+            initializeVerificationStatusChart(stats.reports),
+            initializeSpreadForecastChart(),
+            initializeInfestedAreaChart(stats.species, stats.reports)
         ]);
         
         console.log('Analytics charts initialized successfully with NASA integration');
@@ -311,30 +313,179 @@ async function initializeVerificationStatusChart(reports) {
     }
 }
 
-// Export data functionality
+// Initialize projected spread chart: likely occupied area per species at each forecast horizon
+async function initializeSpreadForecastChart() {
+    const ctx = document.getElementById('spread-forecast-chart');
+    if (!ctx) return;
+    
+    try {
+        // Destroy existing chart if it exists
+        if (charts.spreadForecast) {
+            charts.spreadForecast.destroy();
+        }
+        
+        const forecasts = await invasiveSpeciesAPI.getSpreadForecasts();
+        const palette = ['#7c3aed', '#059669', '#dc2626', '#2563eb', '#d97706', '#db2777', '#0891b2', '#4b5563'];
+        
+        const data = {
+            labels: SPREAD_HORIZONS.map(years => `${years} year${years === 1 ? '' : 's'}`),
+            datasets: forecasts.data.map((forecast, i) => ({
+                label: `${forecast.species_name} (${forecast.speed_km_per_year} km/yr, ${forecast.speed_source})`,
+                data: forecast.horizons.map(horizon => horizon.area_km2),
+                borderColor: palette[i % palette.length],
+                backgroundColor: palette[i % palette.length],
+                borderWidth: 2,
+                tension: 0.2,
+                pointRadius: 4
+            }))
+        };
+        
+        const config = {
+            type: 'line',
+            data: data,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            usePointStyle: true,
+                            padding: 20
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Forecast horizon'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Likely occupied area (km²)'
+                        },
+                        beginAtZero: true
+                    }
+                }
+            }
+        };
+        
+        charts.spreadForecast = new Chart(ctx, config);
+        
+    } catch (error) {
+        console.error('Error creating spread forecast chart:', error);
+    }
+}
+
+// Initialize mapped infestation area chart: total outlined extent per species
+async function initializeInfestedAreaChart(species, reports) {
+    const ctx = document.getElementById('infested-area-chart');
+    if (!ctx) return;
+    
+    try {
+        // Destroy existing chart if it exists
+        if (charts.infestedArea) {
+            charts.infestedArea.destroy();
+        }
+        
+        const distribution = invasiveSpeciesAPI.getInfestedAreaBySpecies(reports || [], species || []);
+        
+        const data = {
+            labels: Object.keys(distribution),
+            datasets: [{
+                label: 'Mapped area (ha)',
+                data: Object.values(distribution),
+                backgroundColor: '#ca8a04',
+                borderColor: '#a16207',
+                borderWidth: 1
+            }]
+        };
+        
+        const config = {
+            type: 'bar',
+            data: data,
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Outlined infestation area (ha)'
+                        },
+                        beginAtZero: true
+                    }
+                }
+            }
+        };
+        
+        charts.infestedArea = new Chart(ctx, config);
+        
+    } catch (error) {
+        console.error('Error creating infested area chart:', error);
+    }
+}
+
+// Export data functionality; tables open the export dialog for column selection and format, GeoJSON downloads directly
 async function exportData(dataType) {
     try {
         showLoading();
         
-        let data;
-        let filename;
-        
         switch (dataType) {
-            case 'species':
+            case 'species': {
                 const species = await invasiveSpeciesAPI.getSpecies({ limit: 1000 });
-                data = species.data || [];
-                filename = 'invasive_species_data.json';
+                const data = species.data || [];
+                openTabularExport({
+                    title: 'Export Species Data',
+                    filename: 'invasive_species_data',
+                    sheets: [createSheet('Species', data)],
+                    json: data
+                });
                 break;
+            }
                 
-            case 'reports':
+            case 'reports': {
                 const reports = await invasiveSpeciesAPI.getReports({ limit: 1000 });
-                data = reports.data || [];
-                filename = 'sighting_reports_data.json';
+                const species = await invasiveSpeciesAPI.getSpecies({ limit: 1000 });
+                const data = (reports.data || []).map(report => generalizeSensitiveReport(report));
+                openTabularExport({
+                    title: 'Export Reports',
+                    filename: 'sighting_reports_data',
+                    sheets: [createSheet('Reports', withSpeciesNames(data, species.data || []))],
+                    json: data
+                });
                 break;
+            }
                 
-            case 'analytics':
+            case 'geojson': {
+                const data = await invasiveSpeciesAPI.exportGeoJSON();
+                const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'invasive_species_features.geojson';
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+                
+                showSuccess(`${dataType} data exported successfully!`);
+                break;
+            }
+                
+            case 'analytics': {
                 const stats = await invasiveSpeciesAPI.getSpeciesStats();
-                data = {
+                const data = {
                     summary: {
                         totalSpecies: stats.totalSpecies,
                         totalReports: stats.totalReports,
@@ -346,38 +497,145 @@ async function exportData(dataType) {
                     habitatDistribution: invasiveSpeciesAPI.getHabitatDistribution(stats.reports),
                     monthlyReports: invasiveSpeciesAPI.getMonthlyReports(stats.reports),
                     verificationDistribution: invasiveSpeciesAPI.getVerificationDistribution(stats.reports),
+                    infestedAreaHectares: invasiveSpeciesAPI.getInfestedAreaBySpecies(stats.reports, stats.species),
                     exportDate: new Date().toISOString()
                 };
-                filename = 'analytics_summary.json';
+                openTabularExport({
+                    title: 'Export Analytics',
+                    filename: 'analytics_summary',
+                    sheets: [
+                        createSummarySheet('Summary', { ...data.summary, exportDate: data.exportDate }, 'metric', 'value'),
+                        createSummarySheet('Threat Levels', data.threatDistribution, 'threat_level', 'species'),
+                        createSummarySheet('Habitats', data.habitatDistribution, 'habitat', 'reports'),
+                        createSummarySheet('Monthly Reports', data.monthlyReports, 'month', 'reports'),
+                        createSummarySheet('Verification', data.verificationDistribution, 'verification_status', 'reports'),
+                        createSummarySheet('Infested Area', data.infestedAreaHectares, 'species', 'hectares')
+                    ],
+                    json: data
+                });
                 break;
+            }
                 
             default:
                 throw new Error('Unknown data type');
         }
         
-        // Create and download file
-        const jsonData = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonData], { type: 'application/json' });
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        showError(`Failed to export ${dataType} data`);
+    } finally {
+        hideLoading();
+    }
+}
+
+// Darwin Core Archive zip with the options chosen under Data Export
+async function downloadDarwinCoreArchive() {
+    try {
+        showLoading();
+        
+        const result = await invasiveSpeciesAPI.exportDarwinCoreArchive({
+            verifiedOnly: document.getElementById('dwc-verified-only').checked,
+            generalizeSensitive: document.getElementById('dwc-generalize-sensitive').checked,
+            generalizeDegrees: parseFloat(document.getElementById('dwc-generalize-degrees').value)
+        });
+        
+        const blob = new Blob([result.archive], { type: 'application/zip' });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = filename;
+        a.download = `dwca-sightings-${new Date().toISOString().slice(0, 10)}.zip`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
         
-        showSuccess(`${dataType} data exported successfully!`);
+        const generalized = result.generalized > 0 ? ` (${result.generalized} with generalized coordinates)` : '';
+        showSuccess(`Darwin Core Archive exported: ${result.occurrences} occurrences${generalized}`);
         
     } catch (error) {
-        console.error('Error exporting data:', error);
-        showError(`Failed to export ${dataType} data`);
+        console.error('Error exporting Darwin Core Archive:', error);
+        showError('Failed to export Darwin Core Archive: ' + error.message);
     } finally {
         hideLoading();
     }
 }
 
+// NDVI series of a report with its seasonal baseline; composites above the baseline threshold are highlighted
+function initializeNdviChart(canvas, analysis) {
+    if (!canvas) return;
+    
+    try {
+        if (charts.reportNdvi) {
+            charts.reportNdvi.destroy();
+        }
+        
+        const observations = analysis.observations;
+        const flagged = observations.map(observation => observation.anomaly !== null && observation.anomaly >= NDVI_ANOMALY_THRESHOLD);
+        
+        const config = {
+            type: 'line',
+            data: {
+                labels: observations.map(observation => observation.date),
+                datasets: [
+                    {
+                        label: 'NDVI',
+                        data: observations.map(observation => observation.ndvi),
+                        borderColor: '#059669',
+                        backgroundColor: 'rgba(5, 150, 105, 0.1)',
+                        borderWidth: 2,
+                        fill: true,
+                        tension: 0.3,
+                        pointRadius: flagged.map(isFlagged => isFlagged ? 5 : 2),
+                        pointBackgroundColor: flagged.map(isFlagged => isFlagged ? '#dc2626' : '#059669')
+                    },
+                    {
+                        label: 'Baseline (other years)',
+                        data: observations.map(observation => observation.baseline),
+                        borderColor: '#6b7280',
+                        borderWidth: 1,
+                        borderDash: [4, 4],
+                        fill: false,
+                        pointRadius: 0,
+                        spanGaps: true
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                scales: {
+                    x: {
+                        ticks: {
+                            maxTicksLimit: 8
+                        },
+                        grid: {
+                            display: false
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'NDVI'
+                        },
+                        suggestedMin: 0,
+                        suggestedMax: 1
+                    }
+                }
+            }
+        };
+        
+        charts.reportNdvi = new Chart(canvas, config);
+        
+    } catch (error) {
+        console.error('Error creating NDVI chart:', error);
+    }
+}
+
 // Refresh all charts
 async function refreshCharts() {
     if (currentSection === 'analytics') {
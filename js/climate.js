@@ -0,0 +1,262 @@
+// Climate data providers and the indicators derived from them
+//
+// A provider returns daily weather for a point and date range:
+//   { provider, latitude, longitude, start, end, days: [{ date, temperature, temperature_max, temperature_min, precipitation, humidity }] }
+// NasaPowerProvider reads the NASA POWER daily point API; StubClimateProvider generates a
+// deterministic seasonal cycle so the app still works offline. Growing degree days and
+// seasonal summaries are computed here from whichever provider answered.
+
+const CLIMATE_GDD_BASE = 10;        // °C, the usual development threshold for temperate plants
+const CLIMATE_POWER_LAG_DAYS = 7;   // POWER publishes daily data a few days behind
+const CLIMATE_GRID_DEGREES = 0.5;   // POWER's grid; nearby points share one request
+const CLIMATE_POWER_PARAMETERS = {
+    T2M: 'temperature',
+    T2M_MAX: 'temperature_max',
+    T2M_MIN: 'temperature_min',
+    PRECTOTCORR: 'precipitation',
+    RH2M: 'humidity'
+};
+
+// Meteorological seasons by month (0 = January), named for the northern hemisphere
+const CLIMATE_SEASONS = [
+    { name: 'Winter', months: [11, 0, 1], label: 'Dec-Feb' },
+    { name: 'Spring', months: [2, 3, 4], label: 'Mar-May' },
+    { name: 'Summer', months: [5, 6, 7], label: 'Jun-Aug' },
+    { name: 'Autumn', months: [8, 9, 10], label: 'Sep-Nov' }
+];
+const CLIMATE_SOUTHERN_SEASON_NAMES = { Winter: 'Summer', Spring: 'Autumn', Summer: 'Winter', Autumn: 'Spring' };
+
+class NasaPowerProvider {
+    // request(endpoint) is InvasiveSpeciesAPI.makeRequest, which routes 'nasa/power/...' to POWER
+    constructor(request) {
+        this.name = 'nasa-power';
+        this.request = request;
+    }
+
+    async getDailySeries(latitude, longitude, start, end) {
+        const params = new URLSearchParams({
+            parameters: Object.keys(CLIMATE_POWER_PARAMETERS).join(','),
+            community: 'AG',
+            latitude,
+            longitude,
+            start: start.replace(/-/g, ''),
+            end: end.replace(/-/g, ''),
+            format: 'JSON'
+        });
+        const response = await this.request(`nasa/power/temporal/daily/point?${params}`);
+        const parameters = response.properties && response.properties.parameter;
+        if (!parameters || !parameters.T2M) {
+            throw new Error('NASA POWER response has no daily data');
+        }
+
+        // Missing days are reported with a fill value (-999)
+        const fillValue = response.header && response.header.fill_value !== undefined ? response.header.fill_value : -999;
+        const days = Object.keys(parameters.T2M).sort().map(key => {
+            const day = { date: `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}` };
+            Object.entries(CLIMATE_POWER_PARAMETERS).forEach(([parameter, field]) => {
+                const value = parameters[parameter] ? parameters[parameter][key] : undefined;
+                day[field] = value === undefined || value === fillValue ? null : value;
+            });
+            return day;
+        });
+
+        return { provider: this.name, latitude, longitude, start, end, days };
+    }
+}
+
+// Offline stand-in: an annual temperature cycle that widens with latitude and a fixed rain pattern
+class StubClimateProvider {
+    constructor() {
+        this.name = 'stub';
+    }
+
+    async getDailySeries(latitude, longitude, start, end) {
+        const absLat = Math.abs(latitude);
+        const meanTemperature = 28 - 0.45 * absLat;
+        const amplitude = 0.3 * absLat;
+        const warmestDay = latitude >= 0 ? 200 : 17;
+        const days = [];
+
+        for (let time = Date.parse(`${start}T00:00:00Z`); time <= Date.parse(`${end}T00:00:00Z`); time += 24 * 60 * 60 * 1000) {
+            const date = new Date(time);
+            const dayOfYear = Math.floor((time - Date.UTC(date.getUTCFullYear(), 0, 1)) / (24 * 60 * 60 * 1000)) + 1;
+            const cycle = Math.cos(2 * Math.PI * (dayOfYear - warmestDay) / 365);
+            const temperature = meanTemperature + amplitude * cycle;
+            days.push({
+                date: date.toISOString().split('T')[0],
+                temperature: roundClimateValue(temperature),
+                temperature_max: roundClimateValue(temperature + 5),
+                temperature_min: roundClimateValue(temperature - 5),
+                precipitation: (dayOfYear * 7 + Math.round(absLat)) % 5 === 0 ? 10 : 0.5,
+                humidity: roundClimateValue(65 - 10 * cycle)
+            });
+        }
+
+        return { provider: this.name, latitude, longitude, start, end, days };
+    }
+}
+
+// Pick the configured provider ('nasa-power' or 'stub')
+function createClimateProvider(name, request) {
+    if (name === 'stub') {
+        return new StubClimateProvider();
+    }
+    return new NasaPowerProvider(request);
+}
+
+function roundClimateValue(value, decimals = 1) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+// Snap coordinates to the provider grid so reports a few hundred metres apart share data
+function snapToClimateGrid(value) {
+    return roundClimateValue(Math.round(value / CLIMATE_GRID_DEGREES) * CLIMATE_GRID_DEGREES, 2);
+}
+
+// The 12 full months before the given date (or before POWER's latest data, if earlier)
+function getClimateWindow(date) {
+    const latestAvailable = Date.now() - CLIMATE_POWER_LAG_DAYS * 24 * 60 * 60 * 1000;
+    const requested = date ? new Date(date).getTime() : NaN;
+    const reference = new Date(Number.isNaN(requested) ? latestAvailable : Math.min(requested, latestAvailable));
+    const end = new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth(), 0));
+    const start = new Date(Date.UTC(end.getUTCFullYear() - 1, end.getUTCMonth() + 1, 1));
+    return {
+        start: start.toISOString().split('T')[0],
+        end: end.toISOString().split('T')[0]
+    };
+}
+
+// Sum of daily mean temperature above the base, using (max + min) / 2
+function computeGrowingDegreeDays(days, base = CLIMATE_GDD_BASE) {
+    return roundClimateValue(days.reduce((total, day) => {
+        if (day.temperature_max === null || day.temperature_min === null) return total;
+        return total + Math.max(0, (day.temperature_max + day.temperature_min) / 2 - base);
+    }, 0), 0);
+}
+
+// Mean, extremes and totals over a set of days, ignoring missing values
+function summarizeDays(days) {
+    const values = field => days.map(day => day[field]).filter(value => value !== null && value !== undefined);
+    const mean = list => list.length > 0 ? roundClimateValue(list.reduce((a, b) => a + b, 0) / list.length) : null;
+    const temperatures = values('temperature');
+    const maxima = values('temperature_max');
+    const minima = values('temperature_min');
+    const precipitation = values('precipitation');
+
+    return {
+        days: days.length,
+        mean_temperature: mean(temperatures),
+        max_temperature: maxima.length > 0 ? roundClimateValue(Math.max(...maxima)) : null,
+        min_temperature: minima.length > 0 ? roundClimateValue(Math.min(...minima)) : null,
+        total_precipitation: precipitation.length > 0 ? roundClimateValue(precipitation.reduce((a, b) => a + b, 0)) : null,
+        mean_humidity: mean(values('humidity')),
+        growing_degree_days: computeGrowingDegreeDays(days)
+    };
+}
+
+// One summary per meteorological season, named for the hemisphere of the point
+function summarizeSeasons(days, latitude) {
+    return CLIMATE_SEASONS.map(season => ({
+        season: latitude < 0 ? CLIMATE_SOUTHERN_SEASON_NAMES[season.name] : season.name,
+        months: season.label,
+        ...summarizeDays(days.filter(day => season.months.includes(new Date(`${day.date}T00:00:00Z`).getUTCMonth())))
+    }));
+}
+
+// Mean temperature of each calendar month (0 = January) present in the series
+function computeMonthlyMeans(days) {
+    const months = {};
+    days.forEach(day => {
+        if (day.temperature === null) return;
+        const month = new Date(`${day.date}T00:00:00Z`).getUTCMonth();
+        months[month] = months[month] || [];
+        months[month].push(day.temperature);
+    });
+    return Object.keys(months).map(month => roundClimateValue(months[month].reduce((a, b) => a + b, 0) / months[month].length));
+}
+
+// Thermal zone from monthly means, using the same names as the latitude fallback
+function classifyThermalZone(monthlyMeans) {
+    if (monthlyMeans.length === 0) return null;
+    const coldest = Math.min(...monthlyMeans);
+    const warmest = Math.max(...monthlyMeans);
+    const warmMonths = monthlyMeans.filter(mean => mean >= 10).length;
+
+    if (coldest >= 18) return 'Tropical';
+    if (coldest >= 10) return 'Subtropical';
+    if (warmest < 10) return 'Arctic';
+    if (warmMonths < 4) return 'Subarctic';
+    return 'Temperate';
+}
+
+// Köppen-Geiger class from a year of daily data (the criteria of Peel et al. 2007 / Beck et al. 2018);
+// null unless every calendar month has data
+function classifyKoppenClimate(days, latitude) {
+    const temperatures = [];
+    const precipitation = [];
+    for (let month = 0; month < 12; month++) {
+        const monthDays = days.filter(day => new Date(`${day.date}T00:00:00Z`).getUTCMonth() === month);
+        const temps = monthDays.map(day => day.temperature).filter(value => value !== null && value !== undefined);
+        const rain = monthDays.map(day => day.precipitation).filter(value => value !== null && value !== undefined);
+        if (temps.length === 0 || rain.length === 0) return null;
+        temperatures.push(temps.reduce((a, b) => a + b, 0) / temps.length);
+        // Scale to the whole month so a few missing days don't read as a dry month
+        precipitation.push(rain.reduce((a, b) => a + b, 0) * monthDays.length / rain.length);
+    }
+
+    const sum = list => list.reduce((a, b) => a + b, 0);
+    const meanTemperature = sum(temperatures) / 12;
+    const annualPrecipitation = sum(precipitation);
+    const coldest = Math.min(...temperatures);
+    const warmest = Math.max(...temperatures);
+    const warmMonths = temperatures.filter(mean => mean >= 10).length;
+
+    // Summer is April-September in the northern hemisphere, October-March in the southern
+    const summerMonths = latitude >= 0 ? [3, 4, 5, 6, 7, 8] : [9, 10, 11, 0, 1, 2];
+    const summer = precipitation.filter((value, month) => summerMonths.includes(month));
+    const winter = precipitation.filter((value, month) => !summerMonths.includes(month));
+    const summerTotal = sum(summer);
+
+    let threshold = 2 * meanTemperature + 14;
+    if (summerTotal >= 0.7 * annualPrecipitation) threshold = 2 * meanTemperature + 28;
+    else if (annualPrecipitation - summerTotal >= 0.7 * annualPrecipitation) threshold = 2 * meanTemperature;
+
+    if (annualPrecipitation < 10 * threshold) {
+        return (annualPrecipitation < 5 * threshold ? 'BW' : 'BS') + (meanTemperature >= 18 ? 'h' : 'k');
+    }
+    if (coldest >= 18) {
+        const driest = Math.min(...precipitation);
+        if (driest >= 60) return 'Af';
+        return driest >= 100 - annualPrecipitation / 25 ? 'Am' : 'Aw';
+    }
+    if (warmest < 10) {
+        return warmest > 0 ? 'ET' : 'EF';
+    }
+
+    const summerDriest = Math.min(...summer);
+    const winterDriest = Math.min(...winter);
+    let season = 'f';
+    if (summerDriest < 40 && summerDriest < Math.max(...winter) / 3) season = 's';
+    else if (winterDriest < Math.max(...summer) / 10) season = 'w';
+
+    let heat = 'c';
+    if (warmest >= 22) heat = 'a';
+    else if (warmMonths >= 4) heat = 'b';
+    else if (coldest < -38) heat = 'd';
+
+    return (coldest > 0 ? 'C' : 'D') + season + heat;
+}
+
+// Everything the UI shows about a location's climate, from one provider series
+function summarizeClimate(series) {
+    return {
+        provider: series.provider,
+        period: { start: series.start, end: series.end },
+        gdd_base: CLIMATE_GDD_BASE,
+        annual: summarizeDays(series.days),
+        seasons: summarizeSeasons(series.days, series.latitude),
+        thermal_zone: classifyThermalZone(computeMonthlyMeans(series.days)),
+        koppen_class: classifyKoppenClimate(series.days, series.latitude)
+    };
+}
@@ -0,0 +1,155 @@
+// Runtime configuration for the backend, NASA APIs and map tiles
+//
+// Values are resolved in order: settings saved locally from the admin screen,
+// then config.json next to index.html (see config.example.json), then CONFIG_DEFAULTS.
+
+const CONFIG_STORAGE_KEY = 'ipsms_config';
+const CONFIG_FILE_URL = 'config.json';
+
+const CONFIG_DEFAULTS = {
+    baseURL: '',
+    useMockData: true,
+    nasaApiKey: 'DEMO_KEY',
+    nasaBaseURL: 'https://api.nasa.gov',
+    eonetBaseURL: 'https://eonet.gsfc.nasa.gov/api/v3',
+    powerBaseURL: 'https://power.larc.nasa.gov/api',
+    climateProvider: 'nasa-power',
+    modisBaseURL: 'https://modis.ornl.gov/rst/api/v1',
+    ndviProvider: 'modis',
+    ndviProduct: 'MOD13Q1',
+    ndviTableURL: 'fixtures/ndvi-sample.csv',
+    firmsURL: 'fixtures/firms-hotspots.csv',
+    fireProximityKm: 25,
+    fireLookbackDays: 7,
+    koppenGridURL: 'fixtures/koppen-grid.csv',
+    gazetteerURL: 'fixtures/gazetteer.geojson',
+    tileServerURL: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    tileAttribution: '© OpenStreetMap contributors'
+};
+
+// Keep only known keys and normalize their values
+function sanitizeConfig(values = {}) {
+    const config = {};
+    Object.keys(CONFIG_DEFAULTS).forEach(key => {
+        if (values[key] === undefined || values[key] === null) return;
+
+        if (key === 'useMockData') {
+            config[key] = values[key] === true || values[key] === 'true';
+            return;
+        }
+        if (typeof CONFIG_DEFAULTS[key] === 'number') {
+            const number = parseFloat(values[key]);
+            if (number > 0) config[key] = number; // distances and day counts; anything else falls back to the default
+            return;
+        }
+
+        let value = String(values[key]).trim();
+        if (key === 'baseURL' && value && !value.endsWith('/')) {
+            value += '/'; // endpoints are appended as 'tables/...'
+        }
+        if (['nasaBaseURL', 'eonetBaseURL', 'powerBaseURL', 'modisBaseURL'].includes(key)) {
+            value = value.replace(/\/+$/, '');
+        }
+        config[key] = value;
+    });
+    return config;
+}
+
+class AppConfig {
+    constructor() {
+        this.fileConfig = {};
+        this.localConfig = this.readLocalConfig();
+        this.listeners = [];
+        this.ready = this.loadFile();
+    }
+
+    readLocalConfig() {
+        try {
+            if (typeof localStorage === 'undefined') return {};
+            return sanitizeConfig(JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY)) || {});
+        } catch (error) {
+            console.warn('Ignoring unreadable saved settings:', error);
+            return {};
+        }
+    }
+
+    // Load deployment settings from config.json; a missing file just means defaults
+    async loadFile(url = CONFIG_FILE_URL) {
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) {
+                if (response.status !== 404) {
+                    console.warn(`Config file ${url} returned status ${response.status}`);
+                }
+                return;
+            }
+            this.fileConfig = sanitizeConfig(await response.json());
+            console.log(`Configuration loaded from ${url}`);
+            this.notify();
+        } catch (error) {
+            console.warn(`Config file ${url} not loaded, using defaults:`, error.message);
+        }
+    }
+
+    get(key) {
+        if (this.localConfig[key] !== undefined) return this.localConfig[key];
+        if (this.fileConfig[key] !== undefined) return this.fileConfig[key];
+        return CONFIG_DEFAULTS[key];
+    }
+
+    getAll() {
+        const config = {};
+        Object.keys(CONFIG_DEFAULTS).forEach(key => {
+            config[key] = this.get(key);
+        });
+        return config;
+    }
+
+    // Where a value comes from: 'local', 'file' or 'default'
+    getSource(key) {
+        if (this.localConfig[key] !== undefined) return 'local';
+        if (this.fileConfig[key] !== undefined) return 'file';
+        return 'default';
+    }
+
+    // Save settings in this browser, overriding config.json
+    save(changes) {
+        this.localConfig = { ...this.localConfig, ...sanitizeConfig(changes) };
+        this.writeLocalConfig();
+        this.notify();
+    }
+
+    // Drop locally saved settings and fall back to config.json/defaults
+    reset() {
+        this.localConfig = {};
+        this.writeLocalConfig();
+        this.notify();
+    }
+
+    writeLocalConfig() {
+        if (typeof localStorage === 'undefined') return;
+        if (Object.keys(this.localConfig).length === 0) {
+            localStorage.removeItem(CONFIG_STORAGE_KEY);
+        } else {
+            localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(this.localConfig));
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        const config = this.getAll();
+        this.listeners.forEach(listener => {
+            try {
+                listener(config);
+            } catch (error) {
+                console.error('Config listener failed:', error);
+            }
+        });
+    }
+}
+
+// Create global configuration instance
+const appConfig = new AppConfig();
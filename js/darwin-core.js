@@ -0,0 +1,178 @@
+// Darwin Core Archive export of sighting reports for GBIF and natural heritage programs
+//
+// The archive holds occurrence.txt (one tab-separated row per report with Darwin Core terms as columns),
+// meta.xml (which column holds which term) and eml.xml (dataset metadata), zipped by js/zip.js.
+// Reports are joined to invasive_species for the taxon. Reports marked sensitive_location can have their
+// coordinates generalized: snapped to the centre of a coarser grid cell, with the uncertainty widened to
+// cover the cell, the locality text left out and the change recorded in dataGeneralizations.
+
+const DWC_TERMS_NS = 'http://rs.tdwg.org/dwc/terms/';
+const DWC_DCTERMS_NS = 'http://purl.org/dc/terms/';
+const DWC_DCTERMS = ['modified'];
+const DWC_DATASET_TITLE = 'Invasive plant sightings';
+const DWC_DATASET_PUBLISHER = 'Invasive Plant Species Monitoring System';
+
+// occurrence.txt columns in order; each value reads { report, species, coordinates }
+const DWC_OCCURRENCE_TERMS = [
+    ['occurrenceID', ({ report }) => `urn:ipsms:sighting_reports:${report.id}`],
+    ['basisOfRecord', () => 'HumanObservation'],
+    ['occurrenceStatus', () => 'present'],
+    ['establishmentMeans', () => 'introduced'],
+    ['scientificName', ({ species }) => species ? species.scientific_name : ''],
+    ['vernacularName', ({ species }) => species && Array.isArray(species.common_names) ? species.common_names[0] : ''],
+    ['kingdom', () => 'Plantae'],
+    ['eventDate', ({ report }) => formatDwcDate(report.report_date || report.created_at)],
+    ['decimalLatitude', ({ coordinates }) => coordinates.latitude],
+    ['decimalLongitude', ({ coordinates }) => coordinates.longitude],
+    ['geodeticDatum', () => 'WGS84'],
+    ['coordinateUncertaintyInMeters', ({ coordinates }) => coordinates.uncertainty],
+    ['dataGeneralizations', ({ coordinates }) => coordinates.generalization],
+    ['locality', ({ report, coordinates }) => coordinates.generalization ? '' : report.location_description],
+    ['habitat', ({ report }) => report.habitat_description],
+    ['recordedBy', ({ report }) => report.reporter_name],
+    ['identificationVerificationStatus', ({ report }) => report.verification_status],
+    ['occurrenceRemarks', ({ report }) => report.notes],
+    ['modified', ({ report }) => report.updated_at || report.created_at]
+];
+
+function getDwcTermURI(term) {
+    return (DWC_DCTERMS.includes(term) ? DWC_DCTERMS_NS : DWC_TERMS_NS) + term;
+}
+
+// ISO date (YYYY-MM-DD) of a date or timestamp, or '' when unknown
+function formatDwcDate(value) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? '' : new Date(time).toISOString().slice(0, 10);
+}
+
+// Tabs and line breaks would split the row, so they become spaces
+function cleanDwcValue(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+// Coordinates to publish for a report, generalized when it is sensitive and options.generalizeSensitive is set
+function getOccurrenceCoordinates(report, options = {}) {
+    const latitude = parseFloat(report.latitude);
+    const longitude = parseFloat(report.longitude);
+    if (report.sensitive_location === true && options.generalizeSensitive) {
+        const degrees = options.generalizeDegrees || GEO_SENSITIVE_GRID_DEGREES;
+        return {
+            ...generalizeCoordinates(latitude, longitude, degrees),
+            generalization: `Coordinates generalized to the centre of a ${degrees} degree grid cell; locality withheld`
+        };
+    }
+    return { latitude, longitude, uncertainty: '', generalization: '' };
+}
+
+function buildOccurrenceFile(occurrences) {
+    const header = DWC_OCCURRENCE_TERMS.map(([term]) => term).join('\t');
+    const rows = occurrences.map(occurrence => DWC_OCCURRENCE_TERMS
+        .map(([, value]) => cleanDwcValue(value(occurrence)))
+        .join('\t'));
+    return [header, ...rows].join('\n') + '\n';
+}
+
+function buildMetaFile() {
+    const fields = DWC_OCCURRENCE_TERMS
+        .map(([term], index) => `        <field index="${index}" term="${getDwcTermURI(term)}"/>`)
+        .join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<archive xmlns="http://rs.tdwg.org/dwc/text/" metadata="eml.xml">
+    <core encoding="UTF-8" fieldsTerminatedBy="\\t" linesTerminatedBy="\\n" fieldsEnclosedBy="" ignoreHeaderLines="1" rowType="${DWC_TERMS_NS}Occurrence">
+        <files>
+            <location>occurrence.txt</location>
+        </files>
+        <id index="0"/>
+${fields}
+    </core>
+</archive>
+`;
+}
+
+// Dataset metadata in the GBIF EML profile, with the geographic and temporal coverage of the occurrences
+function buildEmlFile(occurrences, options = {}) {
+    const today = new Date().toISOString().slice(0, 10);
+    const contact = options.contact || {};
+    const party = [
+        contact.name ? `            <individualName><surName>${escapeXml(contact.name)}</surName></individualName>` : '',
+        `            <organizationName>${escapeXml(DWC_DATASET_PUBLISHER)}</organizationName>`,
+        contact.email ? `            <electronicMailAddress>${escapeXml(contact.email)}</electronicMailAddress>` : ''
+    ].filter(Boolean).join('\n');
+
+    let coverage = '';
+    if (occurrences.length > 0) {
+        const latitudes = occurrences.map(occurrence => occurrence.coordinates.latitude);
+        const longitudes = occurrences.map(occurrence => occurrence.coordinates.longitude);
+        const dates = occurrences.map(occurrence => formatDwcDate(occurrence.report.report_date || occurrence.report.created_at)).filter(Boolean).sort();
+        coverage = `
+        <coverage>
+            <geographicCoverage>
+                <geographicDescription>Locations of the exported sightings</geographicDescription>
+                <boundingCoordinates>
+                    <westBoundingCoordinate>${Math.min(...longitudes)}</westBoundingCoordinate>
+                    <eastBoundingCoordinate>${Math.max(...longitudes)}</eastBoundingCoordinate>
+                    <northBoundingCoordinate>${Math.max(...latitudes)}</northBoundingCoordinate>
+                    <southBoundingCoordinate>${Math.min(...latitudes)}</southBoundingCoordinate>
+                </boundingCoordinates>
+            </geographicCoverage>${dates.length > 0 ? `
+            <temporalCoverage>
+                <rangeOfDates>
+                    <beginDate><calendarDate>${dates[0]}</calendarDate></beginDate>
+                    <endDate><calendarDate>${dates[dates.length - 1]}</calendarDate></endDate>
+                </rangeOfDates>
+            </temporalCoverage>` : ''}
+        </coverage>`;
+    }
+
+    const selection = options.verifiedOnly ? 'verified sighting reports' : 'sighting reports of any verification status';
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<eml:eml xmlns:eml="eml://ecoinformatics.org/eml-2.1.1"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="eml://ecoinformatics.org/eml-2.1.1 http://rs.gbif.org/schema/eml-gbif-profile/1.1/eml.xsd"
+         packageId="ipsms-sightings-${today}" system="http://gbif.org" scope="system" xml:lang="en">
+    <dataset>
+        <title xml:lang="en">${escapeXml(options.title || DWC_DATASET_TITLE)}</title>
+        <creator>
+${party}
+        </creator>
+        <metadataProvider>
+${party}
+        </metadataProvider>
+        <pubDate>${today}</pubDate>
+        <language>en</language>
+        <abstract>
+            <para>${escapeXml(`Occurrences of invasive plant species from ${selection}, exported on ${today}. ` +
+                'Coordinates of sensitive locations may be generalized; see dataGeneralizations.')}</para>
+        </abstract>${coverage}
+        <contact>
+${party}
+        </contact>
+    </dataset>
+</eml:eml>
+`;
+}
+
+// Files of the archive for the reports and species.
+// options: { verifiedOnly, generalizeSensitive, generalizeDegrees, title, contact: { name, email } }
+function buildDarwinCoreArchive(reports, species = [], options = {}) {
+    const speciesMap = {};
+    species.forEach(s => {
+        speciesMap[s.id] = s;
+    });
+
+    const occurrences = reports
+        .filter(report => !options.verifiedOnly || report.verification_status === 'Verified')
+        .map(report => ({ report, species: speciesMap[report.species_id] || null, coordinates: getOccurrenceCoordinates(report, options) }))
+        .filter(occurrence => occurrence.species && !Number.isNaN(occurrence.coordinates.latitude) && !Number.isNaN(occurrence.coordinates.longitude));
+
+    return {
+        files: [
+            { name: 'occurrence.txt', content: buildOccurrenceFile(occurrences) },
+            { name: 'meta.xml', content: buildMetaFile() },
+            { name: 'eml.xml', content: buildEmlFile(occurrences, options) }
+        ],
+        occurrences: occurrences.length,
+        generalized: occurrences.filter(occurrence => occurrence.coordinates.generalization).length
+    };
+}
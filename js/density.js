@@ -0,0 +1,80 @@
+// Sighting density: the filters shared by the heatmap and hex-bin layers, and hexagonal binning
+//
+// Hex bins are pointy-top hexagons laid out in axial coordinates (q, r) over map pixel coordinates,
+// so bins keep the same on-screen size at every zoom level and are rebuilt when the zoom changes.
+// The heatmap itself is drawn by the Leaflet.heat plugin (a kernel density estimate) when it is loaded.
+
+const DENSITY_HEX_RADIUS_PX = 28;
+const DENSITY_COLORS = ['#fef3c7', '#fcd34d', '#f59e0b', '#ea580c', '#b91c1c'];
+
+// Report threat assessments on the species threat scale, as the sighting markers colour them
+const DENSITY_THREAT_LEVELS = {
+    'Immediate Action Required': 'Severe',
+    'High Risk': 'High',
+    'Moderate Risk': 'Moderate',
+    'Low Risk': 'Low'
+};
+
+function getReportThreatLevel(report, species) {
+    return DENSITY_THREAT_LEVELS[report.threat_assessment] || (species && species.threat_level) || null;
+}
+
+// Reports matching the density filters: { speciesId, threatLevel, start, end } (dates are YYYY-MM-DD, inclusive)
+function filterDensityReports(reports, speciesMap, filters = {}) {
+    return reports.filter(report => {
+        if (!report.latitude || !report.longitude) return false;
+        if (filters.speciesId && String(report.species_id) !== String(filters.speciesId)) return false;
+        if (filters.threatLevel && getReportThreatLevel(report, speciesMap[report.species_id]) !== filters.threatLevel) return false;
+
+        const date = String(report.report_date || report.created_at || '').slice(0, 10);
+        if (filters.start && (!date || date < filters.start)) return false;
+        if (filters.end && (!date || date > filters.end)) return false;
+        return true;
+    });
+}
+
+// Group points ({ x, y } in pixels, plus anything else) into hexagons of the given radius
+function binPointsToHexes(points, radius = DENSITY_HEX_RADIUS_PX) {
+    const width = Math.sqrt(3) * radius;
+    const bins = new Map();
+
+    points.forEach(point => {
+        // Fractional axial coordinates, rounded through cube coordinates to the containing hexagon
+        const fq = (point.x * Math.sqrt(3) / 3 - point.y / 3) / radius;
+        const fr = (point.y * 2 / 3) / radius;
+        const fs = -fq - fr;
+        let q = Math.round(fq);
+        let r = Math.round(fr);
+        const s = Math.round(fs);
+        const dq = Math.abs(q - fq);
+        const dr = Math.abs(r - fr);
+        const ds = Math.abs(s - fs);
+        if (dq > dr && dq > ds) q = -r - s;
+        else if (dr > ds) r = -q - s;
+
+        const key = `${q},${r}`;
+        if (!bins.has(key)) {
+            bins.set(key, { q, r, x: width * (q + r / 2), y: radius * 1.5 * r, points: [] });
+        }
+        bins.get(key).points.push(point);
+    });
+
+    return [...bins.values()];
+}
+
+// Corner pixels of the hexagon centred on (x, y)
+function getHexCorners(x, y, radius = DENSITY_HEX_RADIUS_PX) {
+    const corners = [];
+    for (let i = 0; i < 6; i++) {
+        const angle = Math.PI / 180 * (60 * i - 30);
+        corners.push({ x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) });
+    }
+    return corners;
+}
+
+// Colour of a bin on a scale from one report to the busiest bin
+function getDensityColor(count, maxCount) {
+    if (maxCount <= 1) return DENSITY_COLORS[DENSITY_COLORS.length - 1];
+    const step = Math.floor((count - 1) / (maxCount - 1) * (DENSITY_COLORS.length - 1));
+    return DENSITY_COLORS[Math.min(step, DENSITY_COLORS.length - 1)];
+}
@@ -0,0 +1,104 @@
+// Detection dataset format and importer for remotely sensed invasive plant detections
+//
+// A dataset is a GeoJSON FeatureCollection whose features carry the fields below as properties,
+// or a plain JSON array of records with a geometry field:
+//   species_id        id of the species in invasive_species (or scientific_name, resolved on import)
+//   geometry          GeoJSON Point or Polygon, [longitude, latitude] in WGS84
+//   confidence        classifier confidence between 0 and 1
+//   method            how the detection was made, e.g. 'Spectral unmixing'
+//   acquisition_date  date the source scene was acquired (YYYY-MM-DD)
+//   source_scene_id   product id of the scene the detection came from
+// Optional: sensor, area_hectares, notes. See fixtures/detections-sample.geojson.
+// Stored detections also get latitude/longitude (the point or the polygon's centroid) so they can
+// be queried by area with bbox=minLon,minLat,maxLon,maxLat and by date with acquisition_date__gte/lte.
+
+const DETECTION_TABLE = 'detections';
+const DETECTION_FIELDS = ['species_id', 'geometry', 'confidence', 'method', 'acquisition_date', 'source_scene_id', 'sensor', 'area_hectares', 'notes'];
+
+// Flatten a FeatureCollection, a single Feature or a record array into raw records
+function readDetectionDataset(dataset) {
+    const data = typeof dataset === 'string' ? JSON.parse(dataset) : dataset;
+
+    if (Array.isArray(data)) {
+        return data;
+    }
+    if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        return data.features.map(feature => ({ ...(feature.properties || {}), geometry: feature.geometry }));
+    }
+    if (data && data.type === 'Feature') {
+        return [{ ...(data.properties || {}), geometry: data.geometry }];
+    }
+    throw new Error('Detection dataset must be a GeoJSON FeatureCollection or an array of detection records');
+}
+
+// [latitude, longitude] of a Point, or the average of a Polygon's outer ring
+function getGeometryCenter(geometry) {
+    if (geometry.type === 'Point') {
+        return [geometry.coordinates[1], geometry.coordinates[0]];
+    }
+    const ring = geometry.coordinates[0].slice(0, -1); // the last position repeats the first
+    const sum = ring.reduce((total, position) => [total[0] + position[1], total[1] + position[0]], [0, 0]);
+    const round = value => Math.round(value * 1e6) / 1e6;
+    return [round(sum[0] / ring.length), round(sum[1] / ring.length)];
+}
+
+// Same species, scene and position: re-importing a dataset does not duplicate its detections
+function getDetectionKey(detection) {
+    return `${detection.species_id}|${detection.source_scene_id}|${Number(detection.latitude).toFixed(5)},${Number(detection.longitude).toFixed(5)}`;
+}
+
+// Turn raw dataset rows into detection records, collecting per-row errors instead of failing the whole file
+function parseDetectionDataset(dataset, species = []) {
+    const speciesByName = {};
+    species.forEach(s => {
+        speciesByName[String(s.scientific_name).toLowerCase()] = s.id;
+    });
+    const speciesIds = new Set(species.map(s => String(s.id)));
+
+    const records = [];
+    const errors = [];
+
+    readDetectionDataset(dataset).forEach((row, index) => {
+        const record = {};
+        DETECTION_FIELDS.forEach(field => {
+            if (row[field] !== undefined && row[field] !== null && row[field] !== '') {
+                record[field] = row[field];
+            }
+        });
+
+        const speciesErrors = {};
+        if (record.species_id === undefined && row.scientific_name) {
+            record.species_id = speciesByName[String(row.scientific_name).toLowerCase()];
+            if (record.species_id === undefined) {
+                speciesErrors.species_id = `Unknown species: ${row.scientific_name}`;
+            }
+        } else if (record.species_id !== undefined) {
+            record.species_id = String(record.species_id);
+            if (!speciesIds.has(record.species_id)) {
+                speciesErrors.species_id = `No species with id ${record.species_id}`;
+            }
+        }
+        if (typeof record.confidence === 'string') {
+            record.confidence = parseFloat(record.confidence);
+        }
+
+        // latitude/longitude are derived, so only the geometry is reported when it is unusable
+        if (record.geometry && typeof record.geometry === 'object' && !validateGeometry(record.geometry)) {
+            [record.latitude, record.longitude] = getGeometryCenter(record.geometry);
+        }
+        const rowErrors = validateRecord(DETECTION_TABLE, record);
+        if (rowErrors.geometry || !record.geometry) {
+            delete rowErrors.latitude;
+            delete rowErrors.longitude;
+        }
+        Object.assign(rowErrors, speciesErrors);
+
+        if (Object.keys(rowErrors).length > 0) {
+            errors.push({ index, errors: rowErrors });
+        } else {
+            records.push(record);
+        }
+    });
+
+    return { records, errors };
+}
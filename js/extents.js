@@ -0,0 +1,262 @@
+// Infestation extents on the species map: drawing outlines for reports and monitoring locations,
+// and rendering the stored outlines
+//
+// An extent is a GeoJSON Polygon, or a MultiPolygon when the infestation has separate patches, stored in
+// the record's extent field together with its geodesic area (extent_area_hectares, see saveExtent).
+// While drawing, each click adds a vertex; double-click or "Finish patch" closes the current patch.
+
+const EXTENT_MONITORING_COLOR = '#3b82f6';
+
+let extentLayer = null;
+let extentDrawing = null;
+
+// Polygons for the visible sighting and monitoring markers that have an extent
+function drawExtents(visibleMarkers) {
+    if (!map) return;
+
+    if (extentLayer) {
+        map.removeLayer(extentLayer);
+    }
+    extentLayer = L.layerGroup();
+
+    visibleMarkers.forEach(marker => {
+        const record = marker.reportData || marker.locationData;
+        if (!record || !record.extent) return;
+
+        const color = marker.reportData
+            ? getThreatMarkerColor(marker.reportData.threat_assessment || marker.speciesData?.threat_level)
+            : EXTENT_MONITORING_COLOR;
+        const title = marker.reportData
+            ? (marker.speciesData ? marker.speciesData.scientific_name : 'Unknown Species')
+            : (record.location_name || 'Monitoring Site');
+
+        L.geoJSON(record.extent, {
+            style: {
+                color,
+                weight: 2,
+                fillColor: color,
+                fillOpacity: 0.25,
+                dashArray: marker.reportData ? null : '6 4'
+            }
+        }).bindPopup(`
+            <div class="p-2 text-sm">
+                <p class="font-semibold text-gray-900">${title}</p>
+                <p class="text-gray-700">Infested area: ${formatHectares(record.extent_area_hectares)}</p>
+                ${record.extent.type === 'MultiPolygon' ? `<p class="text-xs text-gray-500">${record.extent.coordinates.length} patches</p>` : ''}
+            </div>
+        `).addTo(extentLayer);
+    });
+
+    extentLayer.addTo(map);
+}
+
+function formatHectares(hectares) {
+    if (hectares === null || hectares === undefined) return 'Unknown';
+    return `${Number(hectares).toLocaleString('en-US', { maximumFractionDigits: 2 })} ha`;
+}
+
+// Reviewers (see canVerifyReports) and the reporter may outline a sighting; only administrators edit
+// monitoring sites. Always false on pages without the app's user session (test-map.html).
+function canEditExtent(table, record) {
+    if (typeof canVerifyReports !== 'function' || !currentUser || !record) return false;
+    if (table === 'monitoring_locations') return isAdminUser(currentUser);
+    return canVerifyReports(currentUser) || Boolean(currentUser.email && record.reporter_email === currentUser.email);
+}
+
+// Extent summary and drawing buttons for a sighting or monitoring popup
+function createExtentPopupSection(table, record) {
+    const canDraw = canEditExtent(table, record);
+    if (!record.extent && !canDraw) return '';
+
+    return `
+        <div class="mt-2 text-xs">
+            ${record.extent ? `<p class="text-gray-700"><i class="fas fa-draw-polygon mr-1"></i>Infested area: ${formatHectares(record.extent_area_hectares)}</p>` : ''}
+            ${canDraw ? `
+                <button onclick="startExtentDrawing('${table}', '${record.id}')" class="mt-1 bg-yellow-500 text-white px-2 py-1 rounded hover:bg-yellow-600">
+                    <i class="fas fa-draw-polygon mr-1"></i>${record.extent ? 'Redraw Extent' : 'Outline Extent'}
+                </button>
+                ${record.extent ? `
+                    <button onclick="removeExtent('${table}', '${record.id}')" class="mt-1 ml-1 text-gray-600 hover:text-gray-800">
+                        <i class="fas fa-trash mr-1"></i>Remove
+                    </button>
+                ` : ''}
+            ` : ''}
+        </div>
+    `;
+}
+
+// Enter drawing mode for a record's extent; earlier patches are replaced when the new outline is saved
+function startExtentDrawing(table, id) {
+    if (!map) return;
+    if (!canEditExtent(table, findExtentRecord(table, id))) {
+        showError('You do not have permission to edit this extent');
+        return;
+    }
+    if (extentDrawing) cancelExtentDrawing();
+    map.closePopup();
+
+    const control = L.control({ position: 'topright' });
+    control.onAdd = () => {
+        const container = L.DomUtil.create('div', 'bg-white rounded shadow p-2 text-xs space-y-1');
+        container.innerHTML = `
+            <p class="font-semibold text-gray-900"><i class="fas fa-draw-polygon mr-1"></i>Outline Infestation</p>
+            <p id="extent-drawing-status" class="text-gray-600">Click around the infestation; double-click to close the patch.</p>
+            <div class="flex flex-wrap gap-1">
+                <button type="button" onclick="finishExtentPatch()" class="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300">Finish patch</button>
+                <button type="button" onclick="saveExtentDrawing()" class="bg-green-600 text-white px-2 py-1 rounded hover:bg-green-700">Save</button>
+                <button type="button" onclick="cancelExtentDrawing()" class="text-gray-600 px-2 py-1 hover:text-gray-800">Cancel</button>
+            </div>
+        `;
+        L.DomEvent.disableClickPropagation(container);
+        return container;
+    };
+    control.addTo(map);
+
+    extentDrawing = {
+        table,
+        id,
+        patches: [],
+        vertices: [],
+        layer: L.featureGroup().addTo(map),
+        activeLayer: null,
+        control
+    };
+    map.doubleClickZoom.disable();
+    map.on('click', addExtentVertex);
+    map.on('dblclick', finishExtentPatch);
+    map.getContainer().style.cursor = 'crosshair';
+}
+
+function addExtentVertex(event) {
+    if (!extentDrawing) return;
+    extentDrawing.vertices.push(event.latlng);
+    if (extentDrawing.activeLayer) {
+        extentDrawing.activeLayer.setLatLngs(extentDrawing.vertices);
+    } else {
+        extentDrawing.activeLayer = L.polygon(extentDrawing.vertices, { color: '#ca8a04', weight: 2, dashArray: '4 4' }).addTo(extentDrawing.layer);
+    }
+}
+
+// Close the patch being drawn and start a new one
+function finishExtentPatch() {
+    if (!extentDrawing) return;
+
+    // The double-click that ends a patch also registered as two clicks on the same spot
+    const vertices = extentDrawing.vertices.filter((vertex, i, all) => i === 0 || !vertex.equals(all[i - 1]));
+    if (vertices.length >= 3) {
+        const ring = vertices.map(vertex => [roundCoordinate(vertex.lng), roundCoordinate(vertex.lat)]);
+        ring.push(ring[0]);
+        extentDrawing.patches.push([ring]);
+        extentDrawing.activeLayer.setLatLngs(vertices);
+        extentDrawing.activeLayer.setStyle({ dashArray: null, fillOpacity: 0.3 });
+    } else if (extentDrawing.activeLayer) {
+        extentDrawing.layer.removeLayer(extentDrawing.activeLayer);
+    }
+    extentDrawing.vertices = [];
+    extentDrawing.activeLayer = null;
+
+    const status = document.getElementById('extent-drawing-status');
+    const geometry = getDrawnExtent();
+    if (status && geometry) {
+        status.textContent = `${extentDrawing.patches.length} patch${extentDrawing.patches.length === 1 ? '' : 'es'}, ` +
+            `${formatHectares(geometryAreaHectares(geometry))}. Draw another patch or save.`;
+    }
+}
+
+// Polygon for one patch, MultiPolygon for several, null before the first patch is closed
+function getDrawnExtent() {
+    if (!extentDrawing || extentDrawing.patches.length === 0) return null;
+    if (extentDrawing.patches.length === 1) {
+        return { type: 'Polygon', coordinates: extentDrawing.patches[0] };
+    }
+    return { type: 'MultiPolygon', coordinates: extentDrawing.patches };
+}
+
+async function saveExtentDrawing() {
+    if (!extentDrawing) return;
+    if (extentDrawing.vertices.length > 0) finishExtentPatch();
+
+    const geometry = getDrawnExtent();
+    if (!geometry) {
+        showError('Outline at least one patch with three or more points.');
+        return;
+    }
+
+    const { table, id } = extentDrawing;
+    if (!canEditExtent(table, findExtentRecord(table, id))) {
+        showError('You do not have permission to edit this extent');
+        return;
+    }
+    try {
+        const result = await invasiveSpeciesAPI.saveExtent(table, id, geometry);
+        cancelExtentDrawing();
+        refreshExtentMarker(table, result.data);
+        showSuccess(`Extent saved: ${formatHectares(result.data.extent_area_hectares)}`);
+    } catch (error) {
+        console.error('Error saving extent:', error);
+        showError('Failed to save extent: ' + error.message);
+    }
+}
+
+function cancelExtentDrawing() {
+    if (!extentDrawing) return;
+    map.removeLayer(extentDrawing.layer);
+    map.removeControl(extentDrawing.control);
+    map.off('click', addExtentVertex);
+    map.off('dblclick', finishExtentPatch);
+    map.doubleClickZoom.enable();
+    map.getContainer().style.cursor = '';
+    extentDrawing = null;
+}
+
+async function removeExtent(table, id) {
+    if (!canEditExtent(table, findExtentRecord(table, id))) {
+        showError('You do not have permission to edit this extent');
+        return;
+    }
+    if (!confirm('Remove the outlined extent?')) return;
+    try {
+        const result = await invasiveSpeciesAPI.saveExtent(table, id, null);
+        map.closePopup();
+        refreshExtentMarker(table, result.data);
+        showSuccess('Extent removed');
+    } catch (error) {
+        console.error('Error removing extent:', error);
+        showError('Failed to remove extent: ' + error.message);
+    }
+}
+
+function findExtentMarker(table, id) {
+    return markers.find(candidate => table === 'sighting_reports'
+        ? candidate.reportData && String(candidate.reportData.id) === String(id)
+        : candidate.locationData && String(candidate.locationData.id) === String(id));
+}
+
+// The report or monitoring location behind a map marker, or null when it is not on the map
+function findExtentRecord(table, id) {
+    const marker = findExtentMarker(table, id);
+    if (!marker) return null;
+    return table === 'sighting_reports' ? marker.reportData : marker.locationData;
+}
+
+// Put the saved record back on its marker and redraw
+function refreshExtentMarker(table, record) {
+    const marker = findExtentMarker(table, record.id);
+    if (marker) {
+        if (marker.reportData) {
+            marker.reportData = { ...marker.reportData, ...record };
+            marker.setPopupContent(createSightingPopup(marker.reportData, marker.speciesData, marker.fireProximity));
+        } else {
+            marker.locationData = { ...marker.locationData, ...record };
+            marker.setPopupContent(createMonitoringPopup(marker.locationData));
+        }
+    }
+    updateMapDisplay();
+}
+
+// Make the drawing tools available to inline handlers in popups and the drawing control
+window.startExtentDrawing = startExtentDrawing;
+window.finishExtentPatch = finishExtentPatch;
+window.saveExtentDrawing = saveExtentDrawing;
+window.cancelExtentDrawing = cancelExtentDrawing;
+window.removeExtent = removeExtent;
@@ -0,0 +1,119 @@
+// Active-fire hotspots from NASA FIRMS and the fire proximity of sightings
+//
+// Hotspots are read from FIRMS CSV, the format of the FIRMS area API and of FIRMS archive downloads:
+// MODIS files have brightness and a 0-100 confidence, VIIRS files bright_ti4 and l/n/h confidence.
+// Species with fire_promoting set (cheatgrass, Scotch broom) make fires more frequent or hotter, so
+// their reports are flagged when a recent hotspot lies within the configured distance.
+// Live feeds count "recent" back from now. The bundled sample and files loaded on the map cover a fixed
+// day range in the past, so for them it is counted back from the newest hotspot in the data instead.
+
+const FIRE_DEFAULT_PROXIMITY_KM = 25;
+const FIRE_DEFAULT_LOOKBACK_DAYS = 7;
+const FIRE_SAMPLE_PREFIX = 'fixtures/';
+const FIRE_VIIRS_CONFIDENCE = { l: 'low', n: 'nominal', h: 'high' };
+const FIRE_CONFIDENCE_COLORS = { low: '#fbbf24', nominal: '#f97316', high: '#dc2626' };
+
+// 'low', 'nominal' or 'high' from VIIRS letters or MODIS percentages (FIRMS uses 30 and 80 as the cut-offs)
+function normalizeFireConfidence(value) {
+    const text = String(value || '').trim().toLowerCase();
+    const percent = parseFloat(text);
+    if (Number.isNaN(percent)) return FIRE_VIIRS_CONFIDENCE[text.charAt(0)] || 'nominal';
+    if (percent < 30) return 'low';
+    if (percent < 80) return 'nominal';
+    return 'high';
+}
+
+// Parse FIRMS CSV (MODIS or VIIRS columns) into hotspots, skipping rows without a position or date
+function parseFirmsCsv(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) {
+        throw new Error('FIRMS file is empty');
+    }
+
+    const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+    const column = (...names) => header.findIndex(name => names.includes(name));
+    const columns = {
+        latitude: column('latitude'),
+        longitude: column('longitude'),
+        date: column('acq_date'),
+        time: column('acq_time'),
+        brightness: column('brightness', 'bright_ti4'),
+        frp: column('frp'),
+        confidence: column('confidence'),
+        satellite: column('satellite'),
+        instrument: column('instrument'),
+        daynight: column('daynight')
+    };
+    if (columns.latitude === -1 || columns.longitude === -1 || columns.date === -1) {
+        throw new Error('FIRMS file needs latitude, longitude and acq_date columns');
+    }
+
+    const cell = (cells, index) => index === -1 || cells[index] === undefined || cells[index] === '' ? null : cells[index];
+    const number = (cells, index) => {
+        const value = parseFloat(cell(cells, index));
+        return Number.isNaN(value) ? null : value;
+    };
+
+    return lines.slice(1).map(line => {
+        const cells = line.split(',').map(value => value.trim());
+        const date = cell(cells, columns.date);
+        // acq_time is HHMM in UTC, without leading zeros in some exports
+        const time = String(cell(cells, columns.time) || '0').padStart(4, '0');
+        const acquired = date ? new Date(`${date}T${time.slice(0, 2)}:${time.slice(2, 4)}:00Z`) : null;
+        return {
+            latitude: number(cells, columns.latitude),
+            longitude: number(cells, columns.longitude),
+            acquired_at: acquired && !Number.isNaN(acquired.getTime()) ? acquired.toISOString() : null,
+            brightness: number(cells, columns.brightness),
+            frp: number(cells, columns.frp),
+            confidence: normalizeFireConfidence(cell(cells, columns.confidence)),
+            satellite: cell(cells, columns.satellite),
+            instrument: cell(cells, columns.instrument) || (header.includes('bright_ti4') ? 'VIIRS' : 'MODIS'),
+            daynight: cell(cells, columns.daynight)
+        };
+    }).filter(hotspot => hotspot.latitude !== null && hotspot.longitude !== null && hotspot.acquired_at);
+}
+
+// Hotspots from the `days` days before `anchor` (a time in ms, or 'newest' for the newest hotspot), newest first
+function getRecentHotspots(hotspots, days = FIRE_DEFAULT_LOOKBACK_DAYS, anchor = Date.now()) {
+    if (hotspots.length === 0) return [];
+    const end = anchor === 'newest' ? Math.max(...hotspots.map(hotspot => Date.parse(hotspot.acquired_at))) : anchor;
+    const cutoff = end - days * 24 * 60 * 60 * 1000;
+    return hotspots
+        .filter(hotspot => Date.parse(hotspot.acquired_at) >= cutoff)
+        .sort((a, b) => b.acquired_at.localeCompare(a.acquired_at));
+}
+
+// Nearest hotspot to a point and how many lie within radiusKm
+function computeFireProximity(latitude, longitude, hotspots, radiusKm = FIRE_DEFAULT_PROXIMITY_KM) {
+    let nearest = null;
+    let nearestKm = null;
+    let within = 0;
+
+    hotspots.forEach(hotspot => {
+        const distance = distanceKm(latitude, longitude, hotspot.latitude, hotspot.longitude);
+        if (distance <= radiusKm) within++;
+        if (nearestKm === null || distance < nearestKm) {
+            nearest = hotspot;
+            nearestKm = distance;
+        }
+    });
+
+    return {
+        nearest,
+        nearest_km: nearestKm === null ? null : Math.round(nearestKm * 10) / 10,
+        within,
+        radius_km: radiusKm
+    };
+}
+
+// Fire proximity of a report: flagged when its species promotes fire and a hotspot is within range
+function assessReportFireProximity(report, species, hotspots, radiusKm = FIRE_DEFAULT_PROXIMITY_KM) {
+    const proximity = computeFireProximity(parseFloat(report.latitude), parseFloat(report.longitude), hotspots, radiusKm);
+    const firePromoting = Boolean(species && species.fire_promoting);
+    return {
+        ...proximity,
+        fire_promoting: firePromoting,
+        flagged: firePromoting && proximity.within > 0
+    };
+}
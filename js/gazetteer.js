@@ -0,0 +1,160 @@
+// Offline reverse geocoding for the sighting report form: the nearest named place with its county and
+// state, and checks that a picked point is plausible for the species
+//
+// The gazetteer is a GeoJSON FeatureCollection (fixtures/gazetteer.geojson by default). Point features are
+// named places with name, county, state and the habitat types found around them (the same names as the
+// species' habitat_types). Polygon or MultiPolygon features with kind 'land' outline the land the
+// gazetteer covers; points outside every outline are flagged as open water (or beyond the gazetteer).
+// A gazetteer without land features skips that check.
+
+const GAZETTEER_NEAR_KM = 2;                 // closer than this reads "near <place>" instead of a distance and bearing
+const GAZETTEER_HABITAT_RANGE_KM = 75;       // warn when no place with one of the species' habitats is this close
+const GAZETTEER_COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Places and land outlines from a gazetteer FeatureCollection
+function parseGazetteer(collection) {
+    if (!collection || !Array.isArray(collection.features)) {
+        throw new Error('Gazetteer must be a GeoJSON FeatureCollection');
+    }
+
+    const places = [];
+    const land = [];
+    collection.features.forEach(feature => {
+        const geometry = feature && feature.geometry;
+        const properties = (feature && feature.properties) || {};
+        if (!geometry) return;
+
+        if (properties.kind === 'land') {
+            if (geometry.type === 'Polygon') land.push(geometry.coordinates);
+            if (geometry.type === 'MultiPolygon') land.push(...geometry.coordinates);
+            return;
+        }
+        if (geometry.type === 'Point' && properties.name) {
+            places.push({
+                name: properties.name,
+                county: properties.county || null,
+                state: properties.state || null,
+                habitats: Array.isArray(properties.habitats) ? properties.habitats : [],
+                latitude: geometry.coordinates[1],
+                longitude: geometry.coordinates[0]
+            });
+        }
+    });
+    return { places, land };
+}
+
+// Ray casting over one [longitude, latitude] ring
+function isPointInRing(lat, lon, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Inside the outer ring and outside every hole
+function isPointInPolygon(lat, lon, rings) {
+    if (!isPointInRing(lat, lon, rings[0])) return false;
+    return !rings.slice(1).some(hole => isPointInRing(lat, lon, hole));
+}
+
+// Initial bearing from the first point to the second, in degrees clockwise from north
+function bearingDegrees(lat1, lon1, lat2, lon2) {
+    const dLon = toRadians(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+    const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+        Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function getCompassPoint(degrees) {
+    return GAZETTEER_COMPASS_POINTS[Math.round(degrees / 45) % GAZETTEER_COMPASS_POINTS.length];
+}
+
+// "12.3 km NE of Atlanta, Fulton County, GA" or "Near Atlanta, Fulton County, GA"
+function describePlace(place, distance, compassPoint) {
+    const name = [place.name, place.county, place.state].filter(Boolean).join(', ');
+    if (distance < GAZETTEER_NEAR_KM) return `Near ${name}`;
+    return `${distance.toFixed(1)} km ${compassPoint} of ${name}`;
+}
+
+class Gazetteer {
+    constructor({ places = [], land = [] } = {}) {
+        this.places = places;
+        this.land = land;
+    }
+
+    // Closest place to a point, optionally among those matching a filter; null when none match
+    nearest(lat, lon, filter = () => true) {
+        let best = null;
+        this.places.forEach(place => {
+            if (!filter(place)) return;
+            const distance = distanceKm(lat, lon, place.latitude, place.longitude);
+            if (!best || distance < best.distance_km) best = { place, distance_km: distance };
+        });
+        return best;
+    }
+
+    // true or false from the land outlines, null when the gazetteer has none
+    isOnLand(lat, lon) {
+        if (this.land.length === 0) return null;
+        return this.land.some(rings => isPointInPolygon(lat, lon, rings));
+    }
+
+    // Place description and plausibility warnings for a point. habitats are the species' habitat_types, if known.
+    reverseGeocode(lat, lon, habitats = []) {
+        const nearest = this.nearest(lat, lon);
+        const onLand = this.isOnLand(lat, lon);
+        const result = {
+            place: null,
+            county: null,
+            state: null,
+            distance_km: null,
+            direction: null,
+            description: null,
+            on_land: onLand,
+            nearest_habitat: null,
+            warnings: []
+        };
+
+        if (nearest) {
+            // Direction from the place to the point, as in "5 km NE of <place>"
+            const direction = getCompassPoint(bearingDegrees(nearest.place.latitude, nearest.place.longitude, lat, lon));
+            Object.assign(result, {
+                place: nearest.place.name,
+                county: nearest.place.county,
+                state: nearest.place.state,
+                distance_km: Math.round(nearest.distance_km * 10) / 10,
+                direction,
+                description: describePlace(nearest.place, nearest.distance_km, direction)
+            });
+        }
+
+        if (onLand === false) {
+            result.warnings.push('This point is in open water or outside the area the gazetteer covers. Check the coordinates.');
+        }
+
+        if (habitats.length > 0) {
+            const match = this.nearest(lat, lon, place => place.habitats.some(habitat => habitats.includes(habitat)));
+            if (match) {
+                result.nearest_habitat = {
+                    place: match.place.name,
+                    state: match.place.state,
+                    habitats: match.place.habitats.filter(habitat => habitats.includes(habitat)),
+                    distance_km: Math.round(match.distance_km * 10) / 10
+                };
+            }
+            if (!match || match.distance_km > GAZETTEER_HABITAT_RANGE_KM) {
+                const names = habitats.map(habitat => habitat.toLowerCase());
+                const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+                result.warnings.push(`No ${list} habitat recorded within ${GAZETTEER_HABITAT_RANGE_KM} km; this species is rarely found here.`);
+            }
+        }
+
+        return result;
+    }
+}
@@ -0,0 +1,77 @@
+// Geographic helpers shared by the map, the data layer and the reference server (Node)
+
+const GEO_EARTH_RADIUS_KM = 6371;
+const GEO_METRES_PER_DEGREE = 111320;
+// Grid size sensitive locations are generalized to when shared (about 10 km)
+const GEO_SENSITIVE_GRID_DEGREES = 0.1;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Six decimals (about 10 cm), enough for drawn geometries without float noise
+function roundCoordinate(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// Great-circle (haversine) distance in kilometres
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.pow(Math.sin(dLat / 2), 2) + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.pow(Math.sin(dLon / 2), 2);
+    return GEO_EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Area of a closed [longitude, latitude] ring in hectares, on a spherical Earth
+function polygonAreaHectares(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [lon1, lat1] = ring[i];
+        const [lon2, lat2] = ring[i + 1];
+        sum += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+    }
+    const squareKm = Math.abs(sum * GEO_EARTH_RADIUS_KM * GEO_EARTH_RADIUS_KM / 2);
+    return squareKm * 100;
+}
+
+// Area of a GeoJSON Polygon (outer ring less its holes) or MultiPolygon in hectares
+function geometryAreaHectares(geometry) {
+    const polygonArea = rings => rings.reduce((total, ring, i) => total + (i === 0 ? 1 : -1) * polygonAreaHectares(ring), 0);
+    if (geometry.type === 'Polygon') return polygonArea(geometry.coordinates);
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.reduce((total, rings) => total + polygonArea(rings), 0);
+    return 0;
+}
+
+// Centre of the grid cell of the given size holding the point, and the distance in metres to the cell's corners
+function generalizeCoordinates(latitude, longitude, degrees) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(degrees)) + 1);
+    const snap = value => Number(((Math.floor(value / degrees) + 0.5) * degrees).toFixed(decimals));
+    const cellLatitude = snap(latitude);
+    const height = degrees * GEO_METRES_PER_DEGREE;
+    const width = height * Math.cos(toRadians(cellLatitude));
+    return {
+        latitude: cellLatitude,
+        longitude: snap(longitude),
+        uncertainty: Math.ceil(Math.sqrt(height * height + width * width) / 2)
+    };
+}
+
+// Copy of a report for export. A report marked sensitive_location gets the centre of its grid cell as
+// coordinates, the cell's extent as coordinate_uncertainty_m, and no location description or outline.
+function generalizeSensitiveReport(report, degrees = GEO_SENSITIVE_GRID_DEGREES) {
+    if (!report || report.sensitive_location !== true) return report;
+    const cell = generalizeCoordinates(parseFloat(report.latitude), parseFloat(report.longitude), degrees);
+    const generalized = {
+        ...report,
+        latitude: cell.latitude,
+        longitude: cell.longitude,
+        coordinate_uncertainty_m: cell.uncertainty,
+        location_description: ''
+    };
+    delete generalized.extent;
+    return generalized;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { distanceKm, roundCoordinate, polygonAreaHectares, geometryAreaHectares, generalizeCoordinates, generalizeSensitiveReport };
+}
@@ -0,0 +1,245 @@
+// GeoJSON export of sightings, monitoring sites and detections, and import of features as reports or
+// monitoring locations
+//
+// Exported features carry the record's fields as properties, plus layer ('sighting', 'monitoring' or
+// 'detection') and species_name. The geometry is the outlined extent when a record has one (see
+// js/extents.js), the detection's own geometry for detections, and otherwise a Point; latitude and
+// longitude stay in the properties either way.
+// Imported features are turned into records through a mapping of table fields to feature properties.
+// A Point gives the latitude and longitude; a Polygon or MultiPolygon becomes the record's extent and
+// its centre the latitude and longitude. Values are converted to the field types in js/schema.js and
+// species are matched by id or scientific name, as for detection datasets (js/detections.js).
+
+const GEOJSON_LAYER_TABLES = { sighting: 'sighting_reports', monitoring: 'monitoring_locations', detection: DETECTION_TABLE };
+const GEOJSON_IMPORT_TABLES = ['sighting_reports', 'monitoring_locations'];
+
+// Nested or bulky fields left out of feature properties
+const GEOJSON_OMITTED_PROPERTIES = ['geometry', 'extent', 'nasa_data', 'verification_evidence'];
+
+// Fields set by the application rather than taken from imported features
+const GEOJSON_IMPORT_EXCLUDED_FIELDS = ['verification_status', 'verified_by', 'verification_date', 'verification_notes', 'nasa_enhanced',
+    'satellite_confirmed', 'satellite_verification_requested', 'verification_evidence', 'extent', 'extent_area_hectares'];
+
+// Other property names commonly used for a field, e.g. by Darwin Core or survey apps
+const GEOJSON_PROPERTY_ALIASES = {
+    species_id: ['species', 'scientific_name', 'scientificname', 'taxon'],
+    latitude: ['lat', 'decimallatitude', 'y'],
+    longitude: ['lon', 'lng', 'long', 'decimallongitude', 'x'],
+    location_description: ['location', 'locality', 'description'],
+    report_date: ['date', 'eventdate', 'observed_on', 'observation_date'],
+    reporter_name: ['observer', 'recordedby', 'reporter'],
+    reporter_email: ['email'],
+    notes: ['comments', 'remarks', 'occurrenceremarks'],
+    location_name: ['name', 'site', 'site_name'],
+    location_type: ['type', 'site_type'],
+    monitoring_status: ['status']
+};
+
+function normalizePropertyName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function getRecordGeometry(layer, record) {
+    if (layer === 'detection' && record.geometry) return record.geometry;
+    if (record.extent) return record.extent;
+    return { type: 'Point', coordinates: [parseFloat(record.longitude), parseFloat(record.latitude)] };
+}
+
+// Sightings marked sensitive_location are generalized first (see generalizeSensitiveReport)
+function recordToFeature(layer, sourceRecord, speciesMap = {}) {
+    const record = layer === 'sighting' ? generalizeSensitiveReport(sourceRecord) : sourceRecord;
+    const properties = { layer };
+    Object.entries(record).forEach(([key, value]) => {
+        if (!GEOJSON_OMITTED_PROPERTIES.includes(key)) properties[key] = value;
+    });
+    if (record.species_id !== undefined) {
+        const species = speciesMap[record.species_id];
+        properties.species_name = species ? species.scientific_name : null;
+    }
+    return { type: 'Feature', id: record.id, geometry: getRecordGeometry(layer, record), properties };
+}
+
+// Date a record is filtered by: report date for sightings, acquisition date for detections, none for sites
+function getRecordDate(layer, record) {
+    if (layer === 'sighting') return String(record.report_date || record.created_at || '').slice(0, 10) || null;
+    if (layer === 'detection') return String(record.acquisition_date || '').slice(0, 10) || null;
+    return null;
+}
+
+// Records of each layer matching the export filters: { layers, speciesId, start, end } (dates are YYYY-MM-DD, inclusive)
+function filterExportRecords(layer, records, filters = {}) {
+    return records.filter(record => {
+        if (layer !== 'monitoring' && filters.speciesId && String(record.species_id) !== String(filters.speciesId)) return false;
+        if (layer !== 'monitoring' && (filters.start || filters.end)) {
+            const date = getRecordDate(layer, record);
+            if (!date) return false;
+            if (filters.start && date < filters.start) return false;
+            if (filters.end && date > filters.end) return false;
+        }
+        const latitude = parseFloat(record.latitude);
+        const longitude = parseFloat(record.longitude);
+        return (layer === 'detection' && record.geometry) || (!Number.isNaN(latitude) && !Number.isNaN(longitude));
+    });
+}
+
+// FeatureCollection from { sighting: [...], monitoring: [...], detection: [...] }
+function buildFeatureCollection(recordsByLayer, species = [], metadata = {}) {
+    const speciesMap = {};
+    species.forEach(s => {
+        speciesMap[s.id] = s;
+    });
+
+    const features = [];
+    Object.keys(GEOJSON_LAYER_TABLES).forEach(layer => {
+        (recordsByLayer[layer] || []).forEach(record => features.push(recordToFeature(layer, record, speciesMap)));
+    });
+    return { type: 'FeatureCollection', ...metadata, features };
+}
+
+// Features of a FeatureCollection, a single Feature or a bare geometry
+function readGeoJSONFeatures(dataset) {
+    const data = typeof dataset === 'string' ? JSON.parse(dataset) : dataset;
+
+    if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        return data.features.filter(feature => feature && feature.type === 'Feature');
+    }
+    if (data && data.type === 'Feature') {
+        return [data];
+    }
+    if (data && ['Point', 'Polygon', 'MultiPolygon'].includes(data.type)) {
+        return [{ type: 'Feature', geometry: data, properties: {} }];
+    }
+    throw new Error('GeoJSON file must contain a FeatureCollection, a Feature or a geometry');
+}
+
+// Every property name used by the features, in first-seen order
+function getFeaturePropertyNames(features) {
+    const names = new Set();
+    features.forEach(feature => Object.keys(feature.properties || {}).forEach(name => names.add(name)));
+    return [...names];
+}
+
+// Table fields a feature property can be mapped to
+function getImportFields(table) {
+    return Object.keys(SCHEMAS[table]).filter(field => !GEOJSON_IMPORT_EXCLUDED_FIELDS.includes(field));
+}
+
+// Initial mapping of table field -> property name, by name or a known alias
+function suggestPropertyMapping(table, propertyNames) {
+    const byName = {};
+    propertyNames.forEach(name => {
+        byName[normalizePropertyName(name)] = name;
+    });
+
+    const mapping = {};
+    getImportFields(table).forEach(field => {
+        const candidates = [field, ...(GEOJSON_PROPERTY_ALIASES[field] || [])].map(normalizePropertyName);
+        const match = candidates.find(candidate => byName[candidate] !== undefined);
+        if (match) mapping[field] = byName[match];
+    });
+    return mapping;
+}
+
+// Convert a property value to a field's schema type; values that cannot be converted are kept for validation to report
+function convertPropertyValue(rule, value) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    switch (rule.type) {
+        case 'number':
+        case 'integer': {
+            if (typeof value === 'number') return value;
+            const number = Number(String(value).trim());
+            return Number.isNaN(number) ? value : number;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (['true', 'yes', 'y', '1'].includes(text)) return true;
+            if (['false', 'no', 'n', '0'].includes(text)) return false;
+            return value;
+        }
+        case 'array':
+            return Array.isArray(value) ? value : String(value).split(';').map(item => item.trim()).filter(Boolean);
+        case 'string':
+            return typeof value === 'string' ? value.trim() : String(value);
+        default:
+            return value;
+    }
+}
+
+// Average of the outer ring positions of a Polygon or of every polygon in a MultiPolygon, as [latitude, longitude]
+function getExtentCenter(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const positions = polygons.flatMap(rings => rings[0].slice(0, -1)); // the last position repeats the first
+    const round = value => Math.round(value * 1e6) / 1e6;
+    const sum = positions.reduce((total, position) => [total[0] + position[1], total[1] + position[0]], [0, 0]);
+    return [round(sum[0] / positions.length), round(sum[1] / positions.length)];
+}
+
+// One feature as a record for the table, with the errors validation would report for it
+function mapFeatureToRecord(table, feature, mapping, species = []) {
+    const properties = feature.properties || {};
+    const schema = SCHEMAS[table];
+    const record = {};
+    const errors = {};
+
+    Object.entries(mapping).forEach(([field, property]) => {
+        if (!property || !schema[field]) return;
+        const value = convertPropertyValue(schema[field], properties[property]);
+        if (value !== undefined) record[field] = value;
+    });
+
+    // Species by id, or by scientific name when the mapped value is not an id
+    if (table === 'sighting_reports' && record.species_id !== undefined) {
+        const value = String(record.species_id);
+        const match = species.find(s => String(s.id) === value) ||
+            species.find(s => String(s.scientific_name).toLowerCase() === value.toLowerCase());
+        if (match) {
+            record.species_id = match.id;
+        } else {
+            errors.species_id = `Unknown species: ${value}`;
+        }
+    }
+
+    const geometry = feature.geometry;
+    if (geometry && geometry.type === 'Point') {
+        if (record.latitude === undefined && Array.isArray(geometry.coordinates)) record.latitude = geometry.coordinates[1];
+        if (record.longitude === undefined && Array.isArray(geometry.coordinates)) record.longitude = geometry.coordinates[0];
+    } else if (geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')) {
+        const message = validateExtent(geometry);
+        if (message) {
+            errors.geometry = message;
+        } else {
+            record.extent = geometry;
+            record.extent_area_hectares = Math.round(geometryAreaHectares(geometry) * 100) / 100;
+            const [latitude, longitude] = getExtentCenter(geometry);
+            if (record.latitude === undefined) record.latitude = latitude;
+            if (record.longitude === undefined) record.longitude = longitude;
+        }
+    } else if (record.latitude === undefined || record.longitude === undefined) {
+        errors.geometry = geometry ? `Unsupported geometry: ${geometry.type}` : 'Feature has no geometry';
+    }
+
+    if (table === 'sighting_reports') {
+        record.verification_status = 'Pending';
+    }
+
+    return { record, errors: { ...validateRecord(table, record), ...errors } };
+}
+
+// Every feature mapped and validated, for the preview and the import. Features exported from another
+// layer (a layer property naming a different table) are skipped.
+function previewFeatureImport(table, features, mapping, species = []) {
+    const rows = [];
+    let skipped = 0;
+    features.forEach((feature, index) => {
+        const layer = feature.properties && feature.properties.layer;
+        if (layer && GEOJSON_LAYER_TABLES[layer] && GEOJSON_LAYER_TABLES[layer] !== table) {
+            skipped++;
+            return;
+        }
+        rows.push({ index, ...mapFeatureToRecord(table, feature, mapping, species) });
+    });
+    const valid = rows.filter(row => Object.keys(row.errors).length === 0).length;
+    return { rows, valid, invalid: rows.length - valid, skipped };
+}
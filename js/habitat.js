@@ -0,0 +1,159 @@
+// Köppen-Geiger climate classes and how well a location's climate suits a species
+//
+// Locations are classified from a lookup grid: CSV rows of cell-centre latitude, longitude and Köppen code,
+// e.g. points exported from the Beck et al. (2018) maps. The bundled fixtures/koppen-grid.csv is a coarse
+// 1° approximation of the contiguous United States; points outside the grid are classified from the
+// climate provider's last 12 months instead (classifyKoppenClimate in js/climate.js).
+// Species list the classes they are known to thrive in (climate_classes). A location scores 100 when its
+// class is one of them, and less the further its class is from the closest one.
+
+const HABITAT_KOPPEN_CLASSES = {
+    Af: 'Tropical rainforest',
+    Am: 'Tropical monsoon',
+    Aw: 'Tropical savanna',
+    BWh: 'Hot desert',
+    BWk: 'Cold desert',
+    BSh: 'Hot semi-arid',
+    BSk: 'Cold semi-arid',
+    Csa: 'Mediterranean, hot summer',
+    Csb: 'Mediterranean, warm summer',
+    Csc: 'Mediterranean, cold summer',
+    Cwa: 'Humid subtropical, dry winter',
+    Cwb: 'Subtropical highland, dry winter',
+    Cwc: 'Subpolar oceanic, dry winter',
+    Cfa: 'Humid subtropical',
+    Cfb: 'Oceanic',
+    Cfc: 'Subpolar oceanic',
+    Dsa: 'Continental, dry hot summer',
+    Dsb: 'Continental, dry warm summer',
+    Dsc: 'Subarctic, dry summer',
+    Dsd: 'Subarctic, dry summer, very cold winter',
+    Dwa: 'Continental, dry winter, hot summer',
+    Dwb: 'Continental, dry winter, warm summer',
+    Dwc: 'Subarctic, dry winter',
+    Dwd: 'Subarctic, dry winter, very cold winter',
+    Dfa: 'Humid continental, hot summer',
+    Dfb: 'Humid continental, warm summer',
+    Dfc: 'Subarctic',
+    Dfd: 'Subarctic, very cold winter',
+    ET: 'Tundra',
+    EF: 'Ice cap'
+};
+const HABITAT_KOPPEN_GROUPS = { A: 'Tropical', B: 'Arid', C: 'Temperate', D: 'Continental', E: 'Polar' };
+
+// Main groups whose climates grade into each other, so a species of one may survive in the other
+const HABITAT_NEIGHBOUR_GROUPS = { A: ['C'], B: ['C', 'D'], C: ['A', 'B', 'D'], D: ['B', 'C', 'E'], E: ['D'] };
+
+const HABITAT_MATCH_SCORES = { exact: 100, subtype: 75, group: 50, neighbour: 25 };
+const HABITAT_SUITABILITY_LEVELS = [
+    { min: 75, label: 'High', color: '#dc2626' },
+    { min: 50, label: 'Moderate', color: '#f97316' },
+    { min: 25, label: 'Low', color: '#facc15' },
+    { min: 0, label: 'Unsuitable', color: '#9ca3af' }
+];
+
+function normalizeKoppenCode(value) {
+    const text = String(value || '').trim();
+    const code = Object.keys(HABITAT_KOPPEN_CLASSES).find(key => key.toLowerCase() === text.toLowerCase());
+    return code || null;
+}
+
+// Name and main group of a class code, or null for an unknown code
+function describeKoppenClass(code) {
+    const normalized = normalizeKoppenCode(code);
+    if (!normalized) return null;
+    return {
+        code: normalized,
+        name: HABITAT_KOPPEN_CLASSES[normalized],
+        group: HABITAT_KOPPEN_GROUPS[normalized.charAt(0)]
+    };
+}
+
+// Parse a lookup grid CSV (latitude, longitude, koppen) into cells, skipping rows with an unknown class
+function parseKoppenGrid(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) {
+        throw new Error('Köppen grid is empty');
+    }
+
+    const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+    const latIndex = header.findIndex(name => name === 'latitude' || name === 'lat');
+    const lonIndex = header.findIndex(name => name === 'longitude' || name === 'lon');
+    const classIndex = header.findIndex(name => name === 'koppen' || name === 'class');
+    if (latIndex === -1 || lonIndex === -1 || classIndex === -1) {
+        throw new Error('Köppen grid needs latitude, longitude and koppen columns');
+    }
+
+    return lines.slice(1).map(line => {
+        const cells = line.split(',').map(value => value.trim());
+        return {
+            latitude: parseFloat(cells[latIndex]),
+            longitude: parseFloat(cells[lonIndex]),
+            koppen: normalizeKoppenCode(cells[classIndex])
+        };
+    }).filter(cell => !Number.isNaN(cell.latitude) && !Number.isNaN(cell.longitude) && cell.koppen);
+}
+
+// Regular grid of cell centres; the cell size is the smallest spacing between centres
+class KoppenGrid {
+    constructor(cells) {
+        this.cells = cells;
+        this.index = new Map();
+        if (cells.length === 0) return;
+
+        const spacing = values => {
+            const sorted = [...new Set(values)].sort((a, b) => a - b);
+            const steps = sorted.slice(1).map((value, i) => value - sorted[i]);
+            return steps.length > 0 ? Math.min(...steps) : 1;
+        };
+        this.resolution = Math.min(spacing(cells.map(cell => cell.latitude)), spacing(cells.map(cell => cell.longitude)));
+        this.origin = { latitude: cells[0].latitude, longitude: cells[0].longitude };
+        cells.forEach(cell => this.index.set(this.getCellKey(cell.latitude, cell.longitude), cell));
+    }
+
+    getCellKey(latitude, longitude) {
+        const row = Math.round((latitude - this.origin.latitude) / this.resolution);
+        const column = Math.round((longitude - this.origin.longitude) / this.resolution);
+        return `${row},${column}`;
+    }
+
+    // The cell containing a point, or null outside the grid
+    lookup(latitude, longitude) {
+        if (this.cells.length === 0) return null;
+        return this.index.get(this.getCellKey(latitude, longitude)) || null;
+    }
+}
+
+// How close two classes are: same class, same type (first two letters), same group or a neighbouring group
+function compareKoppenClasses(a, b) {
+    if (a === b) return HABITAT_MATCH_SCORES.exact;
+    if (a.slice(0, 2) === b.slice(0, 2)) return HABITAT_MATCH_SCORES.subtype;
+    if (a.charAt(0) === b.charAt(0)) return HABITAT_MATCH_SCORES.group;
+    if ((HABITAT_NEIGHBOUR_GROUPS[a.charAt(0)] || []).includes(b.charAt(0))) return HABITAT_MATCH_SCORES.neighbour;
+    return 0;
+}
+
+function getSuitabilityLevel(score) {
+    return HABITAT_SUITABILITY_LEVELS.find(level => score >= level.min);
+}
+
+// Suitability (0-100) of a location's class for a species; score is null when either side is unknown
+function scoreHabitatSuitability(koppenClass, species) {
+    const speciesClasses = ((species && species.climate_classes) || []).map(normalizeKoppenCode).filter(Boolean);
+    const code = normalizeKoppenCode(koppenClass);
+    if (!code || speciesClasses.length === 0) {
+        return { score: null, level: null, matched_class: null, species_classes: speciesClasses };
+    }
+
+    let best = { score: -1, matched_class: null };
+    speciesClasses.forEach(speciesClass => {
+        const score = compareKoppenClasses(code, speciesClass);
+        if (score > best.score) best = { score, matched_class: speciesClass };
+    });
+    return {
+        score: best.score,
+        level: getSuitabilityLevel(best.score).label,
+        matched_class: best.matched_class,
+        species_classes: speciesClasses
+    };
+}
@@ -0,0 +1,52 @@
+// Revision history for audited tables, shared by the local data layer (browser) and the reference server (Node)
+//
+// Every create, update, delete, restore and purge of an audited record appends one revision:
+//   { id, record_table, record_id, action, changed_by, changed_at, changes: [{ field, old_value, new_value }] }
+// Revisions live in their own table, which only accepts reads, so past decisions can never be rewritten.
+
+const HISTORY_TABLE = 'revisions';
+const HISTORY_AUDITED_TABLES = ['sighting_reports'];
+
+// Bookkeeping fields that change on every write and would only add noise
+const HISTORY_IGNORED_FIELDS = ['id', 'updated_at'];
+
+function isAuditedTable(table) {
+    return HISTORY_AUDITED_TABLES.includes(table);
+}
+
+// List the fields that differ between two versions of a record
+function diffRecords(before, after) {
+    const previous = before || {};
+    const next = after || {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+    return Array.from(fields)
+        .filter(field => !HISTORY_IGNORED_FIELDS.includes(field))
+        .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+        .map(field => ({
+            field,
+            old_value: previous[field] === undefined ? null : previous[field],
+            new_value: next[field] === undefined ? null : next[field]
+        }));
+}
+
+// Build the revision for a write, or null when an update changed nothing
+function buildRevision(table, before, after, action, changedBy) {
+    const changes = diffRecords(before, after);
+    if (action === 'update' && changes.length === 0) {
+        return null;
+    }
+
+    return {
+        record_table: table,
+        record_id: String((after || before).id),
+        action,
+        changed_by: changedBy || 'Unknown',
+        changed_at: new Date().toISOString(),
+        changes
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HISTORY_TABLE, isAuditedTable, diffRecords, buildRevision };
+}
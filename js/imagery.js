@@ -0,0 +1,299 @@
+// Earth imagery viewer for verifying reports
+//
+// Shows NASA Earth imagery of a report location over time on its own Leaflet map, so it can be
+// zoomed and panned. Two scenes are compared with a swipe: the earlier one left of the divider, the
+// later one right of it. Verifiers can outline the suspected infestation footprint and attach the
+// scene, the comparison date and the footprint to the report as verification evidence.
+
+const IMAGERY_FOOTPRINT_STYLE = { color: '#facc15', weight: 2, fillOpacity: 0.2 };
+
+let imageryViewer = null;
+
+// Open the viewer for a report (called from the map popup and the verification modal)
+async function viewNasaImagery(reportId) {
+    closeImageryViewer();
+
+    let report;
+    try {
+        const result = await invasiveSpeciesAPI.getReportById(reportId);
+        report = result.data;
+    } catch (error) {
+        console.error('Error loading report for imagery:', error);
+        showError('Failed to load report imagery: ' + error.message);
+        return;
+    }
+
+    const canAttach = typeof canVerifyReports === 'function' && canVerifyReports(currentUser);
+    const modal = document.createElement('div');
+    modal.id = 'imagery-viewer';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-75 z-50 flex items-center justify-center p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-xl max-w-5xl w-full max-h-full overflow-auto">
+            <div class="p-4 border-b flex justify-between items-center">
+                <h3 class="text-lg font-semibold text-gray-900">
+                    <i class="fas fa-satellite mr-2 text-blue-600"></i>NASA Earth Imagery - Report #${String(report.id).substring(0, 8)}
+                </h3>
+                <button onclick="closeImageryViewer()" class="text-gray-500 hover:text-gray-700">
+                    <i class="fas fa-times text-xl"></i>
+                </button>
+            </div>
+            <div class="p-4 space-y-3">
+                <div class="flex flex-wrap items-center gap-3 text-sm">
+                    <label class="font-medium text-gray-700">Before:</label>
+                    <select id="imagery-before" class="px-2 py-1 border border-gray-300 rounded text-sm" onchange="showImageryScenes()"></select>
+                    <label class="font-medium text-gray-700">After:</label>
+                    <select id="imagery-after" class="px-2 py-1 border border-gray-300 rounded text-sm" onchange="showImageryScenes()"></select>
+                    <span id="imagery-status" class="text-xs text-gray-500">Finding scenes...</span>
+                </div>
+                <div class="relative">
+                    <div id="imagery-map" style="height: 480px; width: 100%;" class="rounded-lg"></div>
+                    <div id="imagery-divider" class="absolute top-0 bottom-0 pointer-events-none" style="left: 50%; width: 2px; background: white; box-shadow: 0 0 4px rgba(0,0,0,0.6); z-index: 500;"></div>
+                </div>
+                <input type="range" id="imagery-swipe" min="0" max="100" value="50" class="w-full" oninput="updateImagerySwipe()" title="Drag to compare the two scenes">
+                <div id="imagery-filmstrip" class="flex space-x-2 overflow-x-auto pb-1"></div>
+                <div class="flex flex-wrap items-center gap-3 text-sm">
+                    <button id="imagery-draw" onclick="toggleFootprintDrawing()" class="bg-yellow-500 text-white px-3 py-1 rounded hover:bg-yellow-600">
+                        <i class="fas fa-draw-polygon mr-1"></i>Draw Footprint
+                    </button>
+                    <button onclick="clearFootprint()" class="text-gray-600 hover:text-gray-800">
+                        <i class="fas fa-eraser mr-1"></i>Clear
+                    </button>
+                    <span id="imagery-footprint" class="text-xs text-gray-500">Outline the suspected infestation on the imagery.</span>
+                </div>
+                ${canAttach ? `
+                    <div class="border-t pt-3 space-y-2">
+                        <textarea id="imagery-notes" rows="2" placeholder="What does the imagery show?"
+                                  class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"></textarea>
+                        <button onclick="attachImageryEvidence()" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700">
+                            <i class="fas fa-paperclip mr-1"></i>Attach "After" Scene as Evidence
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const viewerMap = L.map('imagery-map', { zoomAnimation: false }).setView([report.latitude, report.longitude], 13);
+    L.tileLayer(appConfig.get('tileServerURL'), { attribution: appConfig.get('tileAttribution'), maxZoom: 18 }).addTo(viewerMap);
+    viewerMap.createPane('imageryAfter').style.zIndex = 450;
+    L.circleMarker([report.latitude, report.longitude], { radius: 5, color: '#dc2626', weight: 2, fillOpacity: 0 }).addTo(viewerMap);
+    viewerMap.on('move zoom resize viewreset', updateImagerySwipe);
+    viewerMap.on('click', addFootprintVertex);
+    viewerMap.on('dblclick', finishFootprint);
+
+    imageryViewer = {
+        map: viewerMap,
+        report,
+        scenes: [],
+        beforeLayer: null,
+        afterLayer: null,
+        drawing: false,
+        vertices: [],
+        footprintLayer: null,
+        footprint: null,
+        fitted: false
+    };
+
+    try {
+        const sequence = await invasiveSpeciesAPI.getEarthImagerySequence(report.latitude, report.longitude, report.report_date || report.created_at);
+        if (!imageryViewer || imageryViewer.map !== viewerMap) return; // closed while loading
+        imageryViewer.scenes = sequence.data;
+        populateImageryScenes(report.report_date || report.created_at);
+    } catch (error) {
+        console.error('Error loading imagery sequence:', error);
+        document.getElementById('imagery-status').textContent = 'Imagery unavailable';
+    }
+}
+
+// Fill the scene selectors and filmstrip; compare the earliest scene with the one closest to the report
+function populateImageryScenes(reportDate) {
+    const { scenes } = imageryViewer;
+    const options = scenes.map((scene, index) => `<option value="${index}">${formatDate(scene.date)}</option>`).join('');
+    const beforeSelect = document.getElementById('imagery-before');
+    const afterSelect = document.getElementById('imagery-after');
+    beforeSelect.innerHTML = options;
+    afterSelect.innerHTML = options;
+
+    const reportTime = new Date(reportDate).getTime();
+    let closest = scenes.length - 1;
+    scenes.forEach((scene, index) => {
+        if (Math.abs(new Date(scene.date).getTime() - reportTime) < Math.abs(new Date(scenes[closest].date).getTime() - reportTime)) {
+            closest = index;
+        }
+    });
+    beforeSelect.value = '0';
+    afterSelect.value = String(closest);
+
+    document.getElementById('imagery-filmstrip').innerHTML = scenes.map((scene, index) => `
+        <button onclick="document.getElementById('imagery-after').value = '${index}'; showImageryScenes();" class="flex-shrink-0 text-center" title="Show as the after scene">
+            <img src="${scene.url}" alt="Scene ${scene.date}" class="w-20 h-20 object-cover rounded border border-gray-300 bg-gray-100"
+                 onerror="this.style.visibility='hidden';">
+            <span class="block text-xs text-gray-600">${formatDate(scene.date)}</span>
+        </button>
+    `).join('');
+
+    showImageryScenes();
+}
+
+// Put the selected scenes on the map: before below the divider's left side, after on the right
+function showImageryScenes() {
+    if (!imageryViewer || imageryViewer.scenes.length === 0) return;
+    const { map: viewerMap, scenes } = imageryViewer;
+    const before = scenes[parseInt(document.getElementById('imagery-before').value, 10)];
+    const after = scenes[parseInt(document.getElementById('imagery-after').value, 10)];
+    const statusText = document.getElementById('imagery-status');
+
+    [imageryViewer.beforeLayer, imageryViewer.afterLayer].forEach(layer => {
+        if (layer) viewerMap.removeLayer(layer);
+    });
+
+    const failed = [];
+    const addScene = (scene, options) => L.imageOverlay(scene.url, scene.bounds, options)
+        .on('error', () => {
+            failed.push(formatDate(scene.date));
+            statusText.textContent = `Imagery for ${failed.join(', ')} could not be loaded`;
+        })
+        .addTo(viewerMap);
+
+    imageryViewer.beforeLayer = addScene(before, {});
+    imageryViewer.afterLayer = addScene(after, { pane: 'imageryAfter' });
+    statusText.textContent = `${scenes.length} scene${scenes.length === 1 ? '' : 's'}${after.scene_id ? ` - after: ${after.scene_id}` : ''}`;
+    if (!imageryViewer.fitted) {
+        viewerMap.fitBounds(after.bounds); // every scene covers the same area
+        imageryViewer.fitted = true;
+    }
+    updateImagerySwipe();
+}
+
+// Clip the after pane to the right of the swipe position
+function updateImagerySwipe() {
+    if (!imageryViewer) return;
+    const viewerMap = imageryViewer.map;
+    const position = parseInt(document.getElementById('imagery-swipe').value, 10) / 100;
+    const size = viewerMap.getSize();
+    const nw = viewerMap.containerPointToLayerPoint([0, 0]);
+    const se = viewerMap.containerPointToLayerPoint(size);
+    const dividerX = nw.x + size.x * position;
+
+    viewerMap.getPane('imageryAfter').style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${dividerX}px)`;
+    document.getElementById('imagery-divider').style.left = `${position * 100}%`;
+}
+
+function toggleFootprintDrawing() {
+    if (!imageryViewer) return;
+    if (imageryViewer.drawing) {
+        finishFootprint();
+        return;
+    }
+
+    clearFootprint();
+    imageryViewer.drawing = true;
+    imageryViewer.map.doubleClickZoom.disable();
+    imageryViewer.map.getContainer().style.cursor = 'crosshair';
+    document.getElementById('imagery-draw').innerHTML = '<i class="fas fa-check mr-1"></i>Finish Footprint';
+    document.getElementById('imagery-footprint').textContent = 'Click around the infestation; double-click or Finish to close the outline.';
+}
+
+function addFootprintVertex(event) {
+    if (!imageryViewer || !imageryViewer.drawing) return;
+    imageryViewer.vertices.push(event.latlng);
+
+    if (imageryViewer.footprintLayer) {
+        imageryViewer.footprintLayer.setLatLngs(imageryViewer.vertices);
+    } else {
+        imageryViewer.footprintLayer = L.polygon(imageryViewer.vertices, { ...IMAGERY_FOOTPRINT_STYLE, dashArray: '4 4' }).addTo(imageryViewer.map);
+    }
+}
+
+// Close the outline as a GeoJSON Polygon and show its area
+function finishFootprint() {
+    if (!imageryViewer || !imageryViewer.drawing) return;
+    imageryViewer.drawing = false;
+    imageryViewer.map.doubleClickZoom.enable();
+    imageryViewer.map.getContainer().style.cursor = '';
+    document.getElementById('imagery-draw').innerHTML = '<i class="fas fa-draw-polygon mr-1"></i>Draw Footprint';
+
+    // A double-click also fires two clicks on the same spot
+    const vertices = imageryViewer.vertices.filter((vertex, index, all) => index === 0 || !vertex.equals(all[index - 1]));
+    if (vertices.length < 3) {
+        clearFootprint();
+        document.getElementById('imagery-footprint').textContent = 'A footprint needs at least three points.';
+        return;
+    }
+
+    const ring = vertices.map(vertex => [roundCoordinate(vertex.lng), roundCoordinate(vertex.lat)]);
+    ring.push(ring[0]);
+    imageryViewer.footprint = { type: 'Polygon', coordinates: [ring] };
+    imageryViewer.footprintLayer.setLatLngs(vertices);
+    imageryViewer.footprintLayer.setStyle({ ...IMAGERY_FOOTPRINT_STYLE, dashArray: null });
+    document.getElementById('imagery-footprint').textContent = `Footprint: ${getFootprintHectares(imageryViewer.footprint)} hectares`;
+}
+
+function clearFootprint() {
+    if (!imageryViewer) return;
+    if (imageryViewer.footprintLayer) {
+        imageryViewer.map.removeLayer(imageryViewer.footprintLayer);
+    }
+    imageryViewer.footprintLayer = null;
+    imageryViewer.footprint = null;
+    imageryViewer.vertices = [];
+    document.getElementById('imagery-footprint').textContent = 'Outline the suspected infestation on the imagery.';
+}
+
+function getFootprintHectares(footprint) {
+    return Math.round(polygonAreaHectares(footprint.coordinates[0]) * 100) / 100;
+}
+
+// Attach the after scene, what it was compared with and the footprint to the report
+async function attachImageryEvidence() {
+    if (!imageryViewer || imageryViewer.scenes.length === 0) return;
+    if (!canVerifyReports(currentUser)) {
+        showError('You do not have permission to verify reports.');
+        return;
+    }
+    if (imageryViewer.drawing) finishFootprint();
+
+    const { report, scenes, footprint } = imageryViewer;
+    const before = scenes[parseInt(document.getElementById('imagery-before').value, 10)];
+    const after = scenes[parseInt(document.getElementById('imagery-after').value, 10)];
+    const notes = document.getElementById('imagery-notes').value.trim();
+
+    // The API key is left out of the stored evidence; the scene is identified by place and date
+    const evidence = {
+        type: 'earth_imagery',
+        source: after.source,
+        scene_date: after.date,
+        scene_id: after.scene_id,
+        compared_with: before.date !== after.date ? before.date : null,
+        latitude: parseFloat(report.latitude),
+        longitude: parseFloat(report.longitude),
+        dim: EARTH_IMAGERY_DIM,
+        footprint,
+        area_hectares: footprint ? getFootprintHectares(footprint) : null,
+        notes
+    };
+
+    try {
+        await invasiveSpeciesAPI.attachVerificationEvidence(report.id, evidence);
+        showSuccess(`Scene from ${formatDate(after.date)} attached to the report`);
+        if (typeof loadReportEvidence === 'function') {
+            loadReportEvidence(report.id);
+        }
+    } catch (error) {
+        console.error('Error attaching imagery evidence:', error);
+        showError('Failed to attach evidence: ' + error.message);
+    }
+}
+
+function closeImageryViewer() {
+    if (imageryViewer) {
+        imageryViewer.map.remove();
+        imageryViewer = null;
+    }
+    const modal = document.getElementById('imagery-viewer');
+    if (modal) modal.remove();
+}
+
+// Make the viewer available to inline handlers in popups and modals
+window.viewNasaImagery = viewNasaImagery;
@@ -480,6 +480,768 @@ function loadAdminDashboard() {
     
     const userActivityData = getUserActivityData();
     displayUserActivityTable(userActivityData);
+    loadSettingsForm();
+    loadCacheInspector();
+    loadDetectionSummary();
+    loadTrash();
+}
+
+const CACHE_STATE_CLASSES = {
+    fresh: 'bg-green-100 text-green-800',
+    stale: 'bg-yellow-100 text-yellow-800',
+    expired: 'bg-red-100 text-red-800'
+};
+
+// Show request cache statistics and entries in the admin section
+async function loadCacheInspector() {
+    const container = document.getElementById('admin-cache-inspector');
+    if (!container) return;
+    
+    await requestCache.ready;
+    const stats = requestCache.getStats();
+    const entries = requestCache.list();
+    const lookups = stats.hits + stats.staleHits + stats.misses;
+    const hitRate = lookups > 0 ? Math.round(((stats.hits + stats.staleHits) / lookups) * 100) : 0;
+    const now = Date.now();
+    
+    container.innerHTML = `
+        <div class="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4 text-center">
+            <div class="bg-gray-50 p-3 rounded-lg"><div class="text-xl font-bold">${stats.entries}</div><div class="text-xs text-gray-500">Entries</div></div>
+            <div class="bg-gray-50 p-3 rounded-lg"><div class="text-xl font-bold">${hitRate}%</div><div class="text-xs text-gray-500">Hit Rate</div></div>
+            <div class="bg-gray-50 p-3 rounded-lg"><div class="text-xl font-bold">${stats.staleHits}</div><div class="text-xs text-gray-500">Stale Served</div></div>
+            <div class="bg-gray-50 p-3 rounded-lg"><div class="text-xl font-bold">${stats.misses}</div><div class="text-xs text-gray-500">Misses</div></div>
+            <div class="bg-gray-50 p-3 rounded-lg"><div class="text-xl font-bold">${stats.errors}</div><div class="text-xs text-gray-500">Errors</div></div>
+        </div>
+        <p class="text-xs text-gray-500 mb-3">
+            <i class="fas ${stats.persistent ? 'fa-hdd' : 'fa-memory'} mr-1"></i>
+            ${stats.persistent ? 'Persisted in IndexedDB' : 'Memory only - entries are lost on reload'}
+        </p>
+        ${entries.length === 0 ? '<p class="text-center py-6 text-gray-500">The cache is empty</p>' : `
+            <div class="overflow-x-auto">
+                <table class="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Key</th>
+                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Age</th>
+                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Fresh For</th>
+                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Hits</th>
+                            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Size</th>
+                            <th class="px-4 py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody class="bg-white divide-y divide-gray-200">
+                        ${entries.map(entry => `
+                            <tr class="hover:bg-gray-50">
+                                <td class="px-4 py-2 whitespace-nowrap">${entry.source}</td>
+                                <td class="px-4 py-2 text-gray-600 break-all">${entry.key.slice(entry.source.length + 1)}</td>
+                                <td class="px-4 py-2"><span class="px-2 py-1 text-xs rounded-full ${CACHE_STATE_CLASSES[entry.state]}">${entry.state}</span></td>
+                                <td class="px-4 py-2 whitespace-nowrap">${formatDuration(now - entry.storedAt)}</td>
+                                <td class="px-4 py-2 whitespace-nowrap">${entry.expiresAt > now ? formatDuration(entry.expiresAt - now) : '-'}</td>
+                                <td class="px-4 py-2">${entry.hits}</td>
+                                <td class="px-4 py-2 whitespace-nowrap">${(entry.size / 1024).toFixed(1)} KB</td>
+                                <td class="px-4 py-2">
+                                    <button onclick="invalidateCacheEntry('${encodeURIComponent(entry.key)}')" class="text-red-600 hover:text-red-900" title="Invalidate">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `}
+    `;
+}
+
+function invalidateCacheEntry(encodedKey) {
+    requestCache.invalidate(decodeURIComponent(encodedKey));
+    loadCacheInspector();
+}
+
+async function clearRequestCache() {
+    if (!isAdminUser(currentUser)) {
+        showError('Access denied. Administrator privileges required.');
+        return;
+    }
+    
+    await requestCache.clear();
+    loadCacheInspector();
+    showSuccess('Request cache cleared');
+}
+
+const SETTINGS_SOURCE_LABELS = {
+    local: 'Saved in this browser',
+    file: 'From config.json',
+    default: 'Default'
+};
+
+// Fill the settings form from the runtime configuration
+async function loadSettingsForm() {
+    const form = document.getElementById('settings-form');
+    if (!form) return;
+    
+    await appConfig.ready;
+    const config = appConfig.getAll();
+    
+    Object.keys(config).forEach(key => {
+        const input = document.getElementById(`setting-${key}`);
+        if (!input) return;
+        
+        if (input.type === 'checkbox') {
+            input.checked = config[key];
+        } else {
+            input.value = config[key];
+        }
+        document.getElementById(`setting-${key}-source`).textContent = SETTINGS_SOURCE_LABELS[appConfig.getSource(key)];
+    });
+    
+    if (!form.dataset.bound) {
+        form.addEventListener('submit', saveSettings);
+        form.dataset.bound = 'true';
+    }
+}
+
+function saveSettings(event) {
+    event.preventDefault();
+    if (!isAdminUser(currentUser)) {
+        showError('Access denied. Administrator privileges required.');
+        return;
+    }
+    
+    // Only store values that differ from what is already in effect
+    const current = appConfig.getAll();
+    const changes = {};
+    Object.keys(current).forEach(key => {
+        const input = document.getElementById(`setting-${key}`);
+        if (!input) return;
+        let value = input.type === 'checkbox' ? input.checked : input.value.trim();
+        if (input.type === 'number') value = parseFloat(value);
+        if (value !== current[key]) {
+            changes[key] = value;
+        }
+    });
+    
+    try {
+        appConfig.save(changes);
+        loadSettingsForm();
+        showSuccess('Settings saved');
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        showError('Failed to save settings');
+    }
+}
+
+function resetSettings() {
+    if (!isAdminUser(currentUser)) {
+        showError('Access denied. Administrator privileges required.');
+        return;
+    }
+    
+    if (confirm('Discard the settings saved in this browser?')) {
+        appConfig.reset();
+        loadSettingsForm();
+        showSuccess('Settings reset');
+    }
+}
+
+// Count of imported satellite detections per species, with the latest acquisition date
+async function loadDetectionSummary(importResult) {
+    const container = document.getElementById('admin-detections');
+    if (!container) return;
+    
+    try {
+        const [detections, species] = await Promise.all([
+            invasiveSpeciesAPI.getDetections({ limit: 100000 }),
+            invasiveSpeciesAPI.queryTable('invasive_species', { limit: 1000 })
+        ]);
+        displayDetectionSummary(detections.data, species.data, importResult);
+    } catch (error) {
+        console.error('Error loading detections:', error);
+        container.innerHTML = '<p class="text-center py-8 text-red-600">Failed to load detections</p>';
+    }
+}
+
+function displayDetectionSummary(detections, species, importResult) {
+    const container = document.getElementById('admin-detections');
+    const speciesNames = {};
+    species.forEach(s => {
+        speciesNames[s.id] = s.scientific_name;
+    });
+    
+    const bySpecies = {};
+    detections.forEach(detection => {
+        const entry = bySpecies[detection.species_id] || { count: 0, latest: detection.acquisition_date };
+        entry.count++;
+        if (detection.acquisition_date > entry.latest) entry.latest = detection.acquisition_date;
+        bySpecies[detection.species_id] = entry;
+    });
+    
+    const result = importResult ? `
+        <div class="mb-4 p-3 rounded-lg ${importResult.errors.length > 0 || importResult.failure ? 'bg-yellow-50 text-yellow-800' : 'bg-green-50 text-green-800'} text-sm">
+            <p>Imported ${importResult.imported} detection${importResult.imported === 1 ? '' : 's'}, skipped ${importResult.skipped} already stored, rejected ${importResult.errors.length}.</p>
+            ${importResult.failure ? `
+                <p class="mt-1 font-medium">${importResult.failed} valid detection${importResult.failed === 1 ? ' was' : 's were'} not saved: ${escapeHtml(importResult.failure)}. Importing the file again adds them; detections already stored are skipped.</p>
+            ` : ''}
+            ${importResult.errors.length > 0 ? `
+                <ul class="mt-2 list-disc list-inside">
+                    ${importResult.errors.slice(0, 10).map(error => `
+                        <li>Feature ${error.index + 1}: ${Object.entries(error.errors).map(([field, message]) => `${escapeHtml(field)} - ${escapeHtml(message)}`).join('; ')}</li>
+                    `).join('')}
+                    ${importResult.errors.length > 10 ? `<li>...and ${importResult.errors.length - 10} more</li>` : ''}
+                </ul>
+            ` : ''}
+        </div>
+    ` : '';
+    
+    if (detections.length === 0) {
+        container.innerHTML = `
+            ${result}
+            <div class="text-center py-8 text-gray-500">
+                <i class="fas fa-satellite text-4xl mb-4"></i>
+                <p>No detections imported yet</p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = `
+        ${result}
+        <div class="overflow-x-auto">
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Species</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Detections</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Latest Acquisition</th>
+                    </tr>
+                </thead>
+                <tbody class="bg-white divide-y divide-gray-200">
+                    ${Object.keys(bySpecies).map(speciesId => `
+                        <tr class="hover:bg-gray-50">
+                            <td class="px-6 py-4 text-sm text-gray-900 italic">${speciesNames[speciesId] || `Species #${speciesId}`}</td>
+                            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${bySpecies[speciesId].count}</td>
+                            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${formatDate(bySpecies[speciesId].latest)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function importDetectionFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    
+    if (!isAdminUser(currentUser)) {
+        showError('Access denied. Administrator privileges required.');
+        input.value = '';
+        return;
+    }
+    
+    try {
+        const result = await invasiveSpeciesAPI.importDetections(await file.text());
+        loadDetectionSummary(result);
+        if (result.failure) {
+            showError(`Imported ${result.imported} detection${result.imported === 1 ? '' : 's'}; ${result.failed} not saved: ${result.failure}`);
+        } else {
+            showSuccess(`Imported ${result.imported} detection${result.imported === 1 ? '' : 's'}`);
+        }
+    } catch (error) {
+        console.error('Error importing detections:', error);
+        showError('Failed to import detections: ' + error.message);
+    } finally {
+        input.value = '';
+    }
+}
+
+// GeoJSON import: map feature properties to report or location fields, preview validation, then import
+let geoJSONImport = null;
+
+async function openGeoJSONImport(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    
+    if (!isAdminUser(currentUser)) {
+        showError('Access denied. Administrator privileges required.');
+        input.value = '';
+        return;
+    }
+    
+    try {
+        const features = readGeoJSONFeatures(await file.text());
+        if (features.length === 0) {
+            throw new Error('The file has no features');
+        }
+        const table = document.getElementById('geojson-import-table').value;
+        const properties = getFeaturePropertyNames(features);
+        geoJSONImport = { table, features, properties, mapping: suggestPropertyMapping(table, properties), fileName: file.name };
+        showGeoJSONImportModal();
+        await updateGeoJSONImportPreview();
+    } catch (error) {
+        console.error('Error reading GeoJSON:', error);
+        showError('Failed to read GeoJSON: ' + error.message);
+    } finally {
+        input.value = '';
+    }
+}
+
+function showGeoJSONImportModal() {
+    document.getElementById('geojson-import-modal')?.remove();
+    const { table, features, properties, mapping, fileName } = geoJSONImport;
+    const schema = SCHEMAS[table];
+    
+    const modal = document.createElement('div');
+    modal.id = 'geojson-import-modal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-xl max-w-4xl w-full max-h-full overflow-auto">
+            <div class="p-4 border-b flex justify-between items-center">
+                <h3 class="text-lg font-semibold text-gray-900">
+                    <i class="fas fa-file-import mr-2 text-blue-600"></i>Import ${features.length} feature${features.length === 1 ? '' : 's'} as ${table === 'sighting_reports' ? 'Sighting Reports' : 'Monitoring Locations'}
+                </h3>
+                <button onclick="closeGeoJSONImport()" class="text-gray-500 hover:text-gray-700">
+                    <i class="fas fa-times text-xl"></i>
+                </button>
+            </div>
+            <div class="p-4 space-y-4">
+                <p class="text-sm text-gray-600">
+                    ${escapeHtml(fileName)}: choose the feature property for each field. Latitude and longitude come from Point geometries
+                    unless mapped; Polygon and MultiPolygon features become the outlined extent.
+                </p>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    ${getImportFields(table).map(field => `
+                        <label class="flex items-center justify-between gap-2 text-sm">
+                            <span class="text-gray-700">${field}${schema[field].required ? ' *' : ''}</span>
+                            <select onchange="setGeoJSONImportMapping('${field}', this.value)" class="w-1/2 px-2 py-1 border border-gray-300 rounded text-sm">
+                                <option value="">${field === 'latitude' || field === 'longitude' ? 'From geometry' : 'Not imported'}</option>
+                                ${properties.map(property => `<option value="${escapeHtml(property)}" ${mapping[field] === property ? 'selected' : ''}>${escapeHtml(property)}</option>`).join('')}
+                            </select>
+                        </label>
+                    `).join('')}
+                </div>
+                <div id="geojson-import-preview" class="border-t pt-4">
+                    <p class="text-center py-4 text-gray-500">Validating...</p>
+                </div>
+            </div>
+            <div class="p-4 border-t flex justify-end gap-2">
+                <button onclick="closeGeoJSONImport()" class="px-4 py-2 text-gray-600 hover:text-gray-800">Cancel</button>
+                <button id="geojson-import-commit" onclick="commitGeoJSONImport()" disabled class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50">
+                    Import
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+function setGeoJSONImportMapping(field, property) {
+    if (!geoJSONImport) return;
+    if (property) {
+        geoJSONImport.mapping[field] = property;
+    } else {
+        delete geoJSONImport.mapping[field];
+    }
+    updateGeoJSONImportPreview();
+}
+
+// Validate every feature with the current mapping and show the first rows
+async function updateGeoJSONImportPreview() {
+    const container = document.getElementById('geojson-import-preview');
+    const commit = document.getElementById('geojson-import-commit');
+    if (!geoJSONImport || !container) return;
+    
+    const { table, features, mapping } = geoJSONImport;
+    try {
+        const preview = await invasiveSpeciesAPI.previewGeoJSONImport(table, features, mapping);
+        const nameField = table === 'sighting_reports' ? 'species_id' : 'location_name';
+        const rows = preview.rows.slice(0, 20);
+        
+        container.innerHTML = `
+            <p class="text-sm mb-2">
+                <span class="text-green-700 font-medium">${preview.valid} ready to import</span>,
+                <span class="${preview.invalid > 0 ? 'text-red-700 font-medium' : 'text-gray-500'}">${preview.invalid} with errors</span>
+                ${preview.skipped > 0 ? `<span class="text-gray-500">, ${preview.skipped} from other layers skipped</span>` : ''}
+            </p>
+            <div class="overflow-x-auto">
+                <table class="min-w-full text-xs">
+                    <thead class="bg-gray-50 text-gray-500 uppercase">
+                        <tr>
+                            <th class="px-2 py-1 text-left">#</th>
+                            <th class="px-2 py-1 text-left">${nameField === 'species_id' ? 'Species' : 'Name'}</th>
+                            <th class="px-2 py-1 text-left">Location</th>
+                            <th class="px-2 py-1 text-left">Extent</th>
+                            <th class="px-2 py-1 text-left">Validation</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200">
+                        ${rows.map(row => {
+                            const errors = Object.entries(row.errors);
+                            return `
+                                <tr class="${errors.length > 0 ? 'bg-red-50' : ''}">
+                                    <td class="px-2 py-1">${row.index + 1}</td>
+                                    <td class="px-2 py-1">${row.record[nameField] !== undefined ? escapeHtml(row.record[nameField]) : '-'}</td>
+                                    <td class="px-2 py-1">${typeof row.record.latitude === 'number' && typeof row.record.longitude === 'number' ? `${row.record.latitude.toFixed(4)}, ${row.record.longitude.toFixed(4)}` : '-'}</td>
+                                    <td class="px-2 py-1">${row.record.extent ? `${row.record.extent_area_hectares} ha` : '-'}</td>
+                                    <td class="px-2 py-1">
+                                        ${errors.length === 0
+                                            ? '<span class="text-green-700"><i class="fas fa-check mr-1"></i>OK</span>'
+                                            : errors.map(([field, message]) => `<p class="text-red-700">${escapeHtml(field)}: ${escapeHtml(message)}</p>`).join('')}
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${preview.rows.length > rows.length ? `<p class="text-xs text-gray-500 mt-2">Showing the first ${rows.length} of ${preview.rows.length} features</p>` : ''}
+        `;
+        commit.disabled = preview.valid === 0;
+        commit.textContent = `Import ${preview.valid} feature${preview.valid === 1 ? '' : 's'}`;
+    } catch (error) {
+        console.error('Error validating GeoJSON import:', error);
+        container.innerHTML = `<p class="text-center py-4 text-red-600">Validation failed: ${escapeHtml(error.message)}</p>`;
+        commit.disabled = true;
+    }
+}
+
+async function commitGeoJSONImport() {
+    if (!geoJSONImport) return;
+    const { table, features, mapping } = geoJSONImport;
+    
+    try {
+        showLoading();
+        const result = await invasiveSpeciesAPI.importGeoJSON(table, features, mapping);
+        closeGeoJSONImport();
+        const leftOut = result.errors.length > 0 ? `; ${result.errors.length} with errors were left out` : '';
+        if (result.failure) {
+            showError(`Partial import: ${result.imported} feature${result.imported === 1 ? '' : 's'} saved, ${result.failed} not saved (${result.failure})${leftOut}`);
+        } else {
+            showSuccess(`Imported ${result.imported} feature${result.imported === 1 ? '' : 's'}${leftOut}`);
+        }
+    } catch (error) {
+        console.error('Error importing GeoJSON:', error);
+        showError('Failed to import GeoJSON: ' + error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+function closeGeoJSONImport() {
+    document.getElementById('geojson-import-modal')?.remove();
+    geoJSONImport = null;
+}
+
+// Export dialog shared by every data export: pick and order the columns of each sheet (see js/tabular.js),
+// then download an Excel workbook, CSV (a zip of one file per sheet when there are several) or the original JSON
+let tabularExport = null;
+
+// options: { title, filename (without extension), sheets: [{ name, columns, rows }], json }
+function openTabularExport(options) {
+    tabularExport = {
+        ...options,
+        format: 'xlsx',
+        active: 0,
+        sheets: options.sheets.map(sheet => ({
+            ...sheet,
+            columns: sheet.columns.map(key => ({ key, selected: true }))
+        }))
+    };
+    showTabularExportModal();
+}
+
+function showTabularExportModal() {
+    document.getElementById('tabular-export-modal')?.remove();
+    const { title, sheets, format } = tabularExport;
+
+    const modal = document.createElement('div');
+    modal.id = 'tabular-export-modal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-xl max-w-2xl w-full max-h-full overflow-auto">
+            <div class="p-4 border-b flex justify-between items-center">
+                <h3 class="text-lg font-semibold text-gray-900">
+                    <i class="fas fa-file-export mr-2 text-green-600"></i>${escapeHtml(title)}
+                </h3>
+                <button onclick="closeTabularExport()" class="text-gray-500 hover:text-gray-700">
+                    <i class="fas fa-times text-xl"></i>
+                </button>
+            </div>
+            <div class="p-4 space-y-4">
+                <div class="flex flex-wrap items-center gap-4 text-sm">
+                    <label class="flex items-center gap-2">
+                        <span class="text-gray-700">Format</span>
+                        <select onchange="setTabularExportFormat(this.value)" class="px-2 py-1 border border-gray-300 rounded text-sm">
+                            <option value="xlsx" ${format === 'xlsx' ? 'selected' : ''}>Excel workbook (.xlsx)</option>
+                            <option value="csv" ${format === 'csv' ? 'selected' : ''}>CSV</option>
+                            ${tabularExport.json !== undefined ? `<option value="json" ${format === 'json' ? 'selected' : ''}>JSON</option>` : ''}
+                        </select>
+                    </label>
+                    ${sheets.length > 1 ? `
+                        <label class="flex items-center gap-2">
+                            <span class="text-gray-700">Sheet</span>
+                            <select onchange="setTabularExportSheet(Number(this.value))" class="px-2 py-1 border border-gray-300 rounded text-sm">
+                                ${sheets.map((sheet, i) => `<option value="${i}" ${i === tabularExport.active ? 'selected' : ''}>${escapeHtml(sheet.name)} (${sheet.rows.length} rows)</option>`).join('')}
+                            </select>
+                        </label>
+                    ` : `<span class="text-gray-500">${sheets[0].rows.length} row${sheets[0].rows.length === 1 ? '' : 's'}</span>`}
+                </div>
+                <div id="tabular-export-columns" class="${format === 'json' ? 'hidden' : ''}"></div>
+            </div>
+            <div class="p-4 border-t flex justify-end gap-2">
+                <button onclick="closeTabularExport()" class="px-4 py-2 text-gray-600 hover:text-gray-800">Cancel</button>
+                <button onclick="downloadTabularExport()" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700">
+                    <i class="fas fa-download mr-2"></i>Download
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    showTabularExportColumns();
+}
+
+// Column checkboxes of the active sheet, in export order
+function showTabularExportColumns() {
+    const container = document.getElementById('tabular-export-columns');
+    if (!container) return;
+    const columns = tabularExport.sheets[tabularExport.active].columns;
+    const selected = columns.filter(column => column.selected).length;
+
+    container.innerHTML = `
+        <div class="flex justify-between items-center mb-2 text-sm">
+            <span class="text-gray-700">${selected} of ${columns.length} columns</span>
+            <span>
+                <button onclick="setAllTabularExportColumns(true)" class="text-blue-600 hover:text-blue-800">All</button>
+                <button onclick="setAllTabularExportColumns(false)" class="ml-2 text-blue-600 hover:text-blue-800">None</button>
+            </span>
+        </div>
+        <div class="border rounded-lg divide-y max-h-80 overflow-y-auto">
+            ${columns.map((column, i) => `
+                <div class="flex items-center justify-between px-3 py-1 text-sm">
+                    <label class="flex items-center ${column.selected ? 'text-gray-900' : 'text-gray-400'}">
+                        <input type="checkbox" class="mr-2 rounded" ${column.selected ? 'checked' : ''} onchange="toggleTabularExportColumn(${i}, this.checked)">
+                        ${escapeHtml(column.key)}
+                    </label>
+                    <span>
+                        <button onclick="moveTabularExportColumn(${i}, -1)" ${i === 0 ? 'disabled' : ''} class="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move up">
+                            <i class="fas fa-arrow-up"></i>
+                        </button>
+                        <button onclick="moveTabularExportColumn(${i}, 1)" ${i === columns.length - 1 ? 'disabled' : ''} class="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" title="Move down">
+                            <i class="fas fa-arrow-down"></i>
+                        </button>
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function setTabularExportFormat(format) {
+    tabularExport.format = format;
+    document.getElementById('tabular-export-columns').classList.toggle('hidden', format === 'json');
+}
+
+function setTabularExportSheet(index) {
+    tabularExport.active = index;
+    showTabularExportColumns();
+}
+
+function toggleTabularExportColumn(index, selected) {
+    tabularExport.sheets[tabularExport.active].columns[index].selected = selected;
+    showTabularExportColumns();
+}
+
+function setAllTabularExportColumns(selected) {
+    tabularExport.sheets[tabularExport.active].columns.forEach(column => {
+        column.selected = selected;
+    });
+    showTabularExportColumns();
+}
+
+function moveTabularExportColumn(index, offset) {
+    const columns = tabularExport.sheets[tabularExport.active].columns;
+    const target = index + offset;
+    if (target < 0 || target >= columns.length) return;
+    [columns[index], columns[target]] = [columns[target], columns[index]];
+    showTabularExportColumns();
+}
+
+function downloadTabularExport() {
+    const { filename, format, json } = tabularExport;
+    // Sheets without rows or selected columns are left out; a sheet with rows needs at least one column
+    const sheets = tabularExport.sheets.map(sheet => ({
+        name: sheet.name,
+        rows: sheet.rows,
+        columns: sheet.columns.filter(column => column.selected).map(column => column.key)
+    })).filter(sheet => sheet.rows.length > 0 || sheet.columns.length > 0);
+
+    if (format !== 'json') {
+        const missing = sheets.find(sheet => sheet.columns.length === 0);
+        if (missing) {
+            showError(`Select at least one column for ${missing.name}`);
+            return;
+        }
+        if (sheets.length === 0) {
+            showError('There is nothing to export');
+            return;
+        }
+    }
+
+    let blob;
+    let extension;
+    if (format === 'xlsx') {
+        blob = new Blob([createXlsxWorkbook(sheets)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+        extension = 'xlsx';
+    } else if (format === 'csv' && sheets.length === 1) {
+        // The byte order mark lets Excel read the file as UTF-8
+        blob = new Blob(['\ufeff' + buildCsv(sheets[0].columns, sheets[0].rows)], { type: 'text/csv' });
+        extension = 'csv';
+    } else if (format === 'csv') {
+        const files = getXlsxSheetNames(sheets).map((name, i) => ({ name: `${name}.csv`, content: '\ufeff' + buildCsv(sheets[i].columns, sheets[i].rows) }));
+        blob = new Blob([createZipArchive(files)], { type: 'application/zip' });
+        extension = 'zip';
+    } else {
+        blob = new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' });
+        extension = 'json';
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${filename}.${extension}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    closeTabularExport();
+    showSuccess(`Exported ${filename}.${extension}`);
+}
+
+function closeTabularExport() {
+    document.getElementById('tabular-export-modal')?.remove();
+    tabularExport = null;
+}
+
+// Tables shown in the admin trash, with how to label their records
+const TRASH_TABLES = {
+    sighting_reports: { label: 'Report', icon: 'fa-clipboard-list', describe: r => `#${r.id} ${r.location_description || ''}` },
+    invasive_species: { label: 'Species', icon: 'fa-leaf', describe: r => r.scientific_name || `#${r.id}` },
+    monitoring_locations: { label: 'Location', icon: 'fa-map-pin', describe: r => r.location_name || `#${r.id}` },
+    users: { label: 'User', icon: 'fa-user', describe: r => `${r.full_name || 'Unknown'} (${r.email || 'no email'})` }
+};
+
+// Load soft-deleted records from every table into the admin trash view
+async function loadTrash() {
+    const container = document.getElementById('admin-trash');
+    if (!container) return;
+    
+    try {
+        const results = await Promise.all(Object.keys(TRASH_TABLES).map(async table => {
+            const response = await invasiveSpeciesAPI.getDeletedRecords(table);
+            return (response.data || []).map(record => ({ table, record }));
+        }));
+        const items = results.flat().sort((a, b) => String(b.record.deleted_at).localeCompare(String(a.record.deleted_at)));
+        displayTrash(items);
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        container.innerHTML = '<p class="text-center py-8 text-red-600">Failed to load deleted records</p>';
+    }
+}
+
+function displayTrash(items) {
+    const container = document.getElementById('admin-trash');
+    
+    if (items.length === 0) {
+        container.innerHTML = `
+            <div class="text-center py-8 text-gray-500">
+                <i class="fas fa-trash-alt text-4xl mb-4"></i>
+                <p>Trash is empty</p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="overflow-x-auto">
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted By</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                </thead>
+                <tbody class="bg-white divide-y divide-gray-200">
+                    ${items.map(({ table, record }) => {
+                        const info = TRASH_TABLES[table];
+                        return `
+                            <tr class="hover:bg-gray-50">
+                                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                    <i class="fas ${info.icon} mr-2 text-gray-400"></i>${info.label}
+                                </td>
+                                <td class="px-6 py-4 text-sm text-gray-900">${escapeHtml(info.describe(record))}</td>
+                                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${formatDate(record.deleted_at)}</td>
+                                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${escapeHtml(record.deleted_by || 'Unknown')}</td>
+                                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                    <div class="flex space-x-3">
+                                        <button onclick="restoreDeletedRecord('${table}', '${record.id}')" 
+                                                class="text-green-600 hover:text-green-900" title="Restore">
+                                            <i class="fas fa-undo mr-1"></i>Restore
+                                        </button>
+                                        <button onclick="purgeDeletedRecord('${table}', '${record.id}')" 
+                                                class="text-red-600 hover:text-red-900" title="Delete Permanently">
+                                            <i class="fas fa-times mr-1"></i>Delete Forever
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function restoreDeletedRecord(table, id) {
+    if (!isAdminUser(currentUser)) {
+        showError('Access denied. Administrator privileges required.');
+        return;
+    }
+    
+    try {
+        await invasiveSpeciesAPI.restoreRecord(table, id);
+        showSuccess(`${TRASH_TABLES[table].label} restored`);
+        loadTrash();
+    } catch (error) {
+        console.error('Error restoring record:', error);
+        showError('Failed to restore record');
+    }
+}
+
+async function purgeDeletedRecord(table, id) {
+    if (!isAdminUser(currentUser)) {
+        showError('Access denied. Administrator privileges required.');
+        return;
+    }
+    
+    if (!confirm('Permanently delete this record? This action cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        await invasiveSpeciesAPI.deleteRecord(table, id, { permanent: true });
+        showSuccess(`${TRASH_TABLES[table].label} permanently deleted`);
+        loadTrash();
+    } catch (error) {
+        console.error('Error purging record:', error);
+        showError('Failed to delete record');
+    }
 }
 
 // Display user activity table
@@ -723,19 +1485,12 @@ function exportUserActivity() {
             data: activityData
         };
         
-        const jsonData = JSON.stringify(exportData, null, 2);
-        const blob = new Blob([jsonData], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `user_activity_export_${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        showSuccess('User activity data exported successfully!');
+        openTabularExport({
+            title: 'Export User Activity',
+            filename: `user_activity_export_${new Date().toISOString().split('T')[0]}`,
+            sheets: [createSheet('User Activity', activityData)],
+            json: exportData
+        });
         
     } catch (error) {
         console.error('Error exporting user activity:', error);
@@ -956,6 +1711,12 @@ function initializeApp() {
     // Setup session refresh and monitoring
     setupSessionRefresh();
     
+    // Reflect NASA rate limiting and outages in the header badge
+    if (typeof nasaClient !== 'undefined' && !window.nasaStatusListening) {
+        nasaClient.onStatusChange(updateNasaStatusBadge);
+        window.nasaStatusListening = true;
+    }
+    
     // Initialize Tailwind config
     tailwind.config = {
         theme: {
@@ -1151,6 +1912,31 @@ async function loadSectionData(sectionName) {
     }
 }
 
+const NASA_STATUS_STYLES = {
+    ok: { classes: 'bg-blue-100 text-blue-800', label: 'NASA Enhanced' },
+    throttled: { classes: 'bg-yellow-100 text-yellow-800', label: 'NASA Throttled' },
+    degraded: { classes: 'bg-red-100 text-red-800', label: 'NASA Degraded' }
+};
+
+// Update the header badge from the NASA client's status
+function updateNasaStatusBadge(state) {
+    const badge = document.getElementById('nasa-status');
+    const text = document.getElementById('nasa-status-text');
+    if (!badge || !text) return;
+    
+    Object.values(NASA_STATUS_STYLES).forEach(style => badge.classList.remove(...style.classes.split(' ')));
+    const style = NASA_STATUS_STYLES[state.status] || NASA_STATUS_STYLES.ok;
+    badge.classList.add(...style.classes.split(' '));
+    text.textContent = style.label;
+    badge.title = state.detail || '';
+    
+    // Problems are shown even before the dashboard has revealed the badge
+    if (state.status !== 'ok') {
+        badge.classList.remove('hidden');
+        badge.classList.add('flex');
+    }
+}
+
 // Load dashboard data
 async function loadDashboardData() {
     try {
@@ -1328,6 +2114,12 @@ function displaySpecies(species) {
                         <i class="fas fa-calendar mr-2"></i>
                         <span>Flowers: ${s.flowering_period || 'Unknown'}</span>
                     </div>
+                    ${s.climate_classes && s.climate_classes.length > 0 ? `
+                        <div class="flex items-center text-sm text-gray-500" title="Köppen-Geiger climate classes">
+                            <i class="fas fa-globe-americas mr-2"></i>
+                            <span>Climates: ${s.climate_classes.join(', ')}</span>
+                        </div>
+                    ` : ''}
                     ${s.satellite_monitoring ? `
                         <div class="flex items-center text-sm text-blue-600">
                             <i class="fas fa-satellite mr-2"></i>
@@ -1385,14 +2177,65 @@ async function loadReportFormData() {
             speciesSelect.innerHTML = '<option value="">Select a species...</option>' +
                 species.data.map(s => `<option value="${s.id}">${s.scientific_name}</option>`).join('');
         }
+        
+        initializeReportLocationMap();
     } catch (error) {
         console.error('Error loading report form data:', error);
     }
 }
 
 // Handle report form submission
+// Report fields mapped to the form inputs that hold them
+const REPORT_FORM_FIELDS = {
+    species_id: 'species-select',
+    confidence_level: 'confidence-level',
+    latitude: 'latitude',
+    longitude: 'longitude',
+    location_description: 'location-description',
+    population_size: 'population-size',
+    threat_assessment: 'threat-assessment',
+    reporter_name: 'reporter-name',
+    reporter_email: 'reporter-email',
+    reporter_type: 'reporter-type',
+    habitat_description: 'habitat-description',
+    notes: 'additional-notes',
+    follow_up_required: 'follow-up-required',
+    sensitive_location: 'sensitive-location'
+};
+
+// Show validation messages under the matching inputs; returns the messages with no input
+function showFieldErrors(form, fieldMap, errors) {
+    clearFieldErrors(form);
+    const unmatched = [];
+    
+    Object.entries(errors).forEach(([field, message]) => {
+        const input = fieldMap[field] && document.getElementById(fieldMap[field]);
+        if (!input) {
+            unmatched.push(`${field}: ${message}`);
+            return;
+        }
+        input.classList.add('border-red-500');
+        const errorText = document.createElement('p');
+        errorText.className = 'field-error text-sm text-red-600 mt-1';
+        errorText.textContent = message;
+        input.insertAdjacentElement('afterend', errorText);
+    });
+    
+    const firstInvalid = form.querySelector('.border-red-500');
+    if (firstInvalid) {
+        firstInvalid.focus();
+    }
+    return unmatched;
+}
+
+function clearFieldErrors(form) {
+    form.querySelectorAll('.field-error').forEach(element => element.remove());
+    form.querySelectorAll('.border-red-500').forEach(element => element.classList.remove('border-red-500'));
+}
+
 async function handleReportSubmission(event) {
     event.preventDefault();
+    clearFieldErrors(event.target);
     showLoading();
     
     try {
@@ -1411,6 +2254,7 @@ async function handleReportSubmission(event) {
             habitat_description: document.getElementById('habitat-description').value,
             notes: document.getElementById('additional-notes').value,
             follow_up_required: document.getElementById('follow-up-required').checked,
+            sensitive_location: document.getElementById('sensitive-location').checked,
             verification_status: 'Pending',
             nasa_enhanced: true,
             satellite_verification_requested: true
@@ -1419,13 +2263,21 @@ async function handleReportSubmission(event) {
         await invasiveSpeciesAPI.createReport(reportData);
         showSuccess('Report submitted successfully with NASA satellite verification! Thank you for your contribution.');
         event.target.reset();
+        resetReportLocation();
         
         // Optionally redirect to dashboard
         setTimeout(() => showSection('dashboard'), 2000);
         
     } catch (error) {
         console.error('Error submitting report:', error);
-        showError('Failed to submit report. Please try again.');
+        if (error instanceof ValidationError) {
+            const unmatched = showFieldErrors(event.target, REPORT_FORM_FIELDS, error.errors);
+            showError(unmatched.length > 0
+                ? `Please correct the report: ${unmatched.join('; ')}`
+                : 'Please correct the highlighted fields.');
+        } else {
+            showError('Failed to submit report. Please try again.');
+        }
     } finally {
         hideLoading();
     }
@@ -1693,19 +2545,141 @@ function logout() {
     showSuccess('Logged out successfully');
 }
 
+// Report form mini-map: pick the sighting location by clicking or dragging the pin
+let reportLocationMap = null;
+let reportLocationPin = null;
+let reportAccuracyCircle = null;
+let reportLocationRequestId = 0;
+
+// Create the mini-map on first use; the section is hidden until shown, so resize it every time
+function initializeReportLocationMap() {
+    const container = document.getElementById('report-location-map');
+    if (!container || typeof L === 'undefined') return;
+    
+    if (!reportLocationMap) {
+        reportLocationMap = L.map(container).setView([39.8283, -98.5795], 4);
+        L.tileLayer(appConfig.get('tileServerURL'), { attribution: appConfig.get('tileAttribution'), maxZoom: 18 }).addTo(reportLocationMap);
+        reportLocationMap.on('click', event => setReportLocation(event.latlng.lat, event.latlng.lng));
+        
+        ['latitude', 'longitude'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                const lat = parseFloat(document.getElementById('latitude').value);
+                const lon = parseFloat(document.getElementById('longitude').value);
+                if (!Number.isNaN(lat) && !Number.isNaN(lon)) setReportLocation(lat, lon, { fromInputs: true });
+            });
+        });
+        document.getElementById('species-select').addEventListener('change', updateReportLocationPlace);
+        // A description typed by the reporter is never replaced by the gazetteer one
+        document.getElementById('location-description').addEventListener('input', event => {
+            delete event.target.dataset.autofilled;
+        });
+    }
+    
+    setTimeout(() => reportLocationMap.invalidateSize(), 200);
+}
+
+// Move the pin and fill the coordinate inputs; accuracy is the geolocation radius in metres, if known
+function setReportLocation(lat, lon, { accuracy = null, fromInputs = false } = {}) {
+    if (!fromInputs) {
+        document.getElementById('latitude').value = lat.toFixed(6);
+        document.getElementById('longitude').value = lon.toFixed(6);
+    }
+    
+    if (reportLocationMap) {
+        if (reportLocationPin) {
+            reportLocationPin.setLatLng([lat, lon]);
+        } else {
+            reportLocationPin = L.marker([lat, lon], { draggable: true }).addTo(reportLocationMap);
+            reportLocationPin.on('dragend', () => {
+                const position = reportLocationPin.getLatLng();
+                setReportLocation(position.lat, position.lng);
+            });
+        }
+        
+        if (reportAccuracyCircle) {
+            reportLocationMap.removeLayer(reportAccuracyCircle);
+            reportAccuracyCircle = null;
+        }
+        if (accuracy) {
+            reportAccuracyCircle = L.circle([lat, lon], { radius: accuracy, color: '#2563eb', weight: 1, fillOpacity: 0.1 })
+                .bindTooltip(`Accuracy ±${Math.round(accuracy)} m`)
+                .addTo(reportLocationMap);
+            reportLocationMap.fitBounds(reportAccuracyCircle.getBounds(), { maxZoom: 16 });
+        } else if (fromInputs) {
+            reportLocationMap.setView([lat, lon], Math.max(reportLocationMap.getZoom(), 10));
+        }
+    }
+    
+    updateReportLocationPlace();
+}
+
+// Look the pin up in the gazetteer, pre-fill the description and show any warnings
+async function updateReportLocationPlace() {
+    const lat = parseFloat(document.getElementById('latitude').value);
+    const lon = parseFloat(document.getElementById('longitude').value);
+    const placeContainer = document.getElementById('report-location-place');
+    const warningsContainer = document.getElementById('report-location-warnings');
+    if (!placeContainer || !warningsContainer || Number.isNaN(lat) || Number.isNaN(lon)) return;
+    
+    const requestId = ++reportLocationRequestId;
+    try {
+        const speciesId = document.getElementById('species-select').value || null;
+        const result = await invasiveSpeciesAPI.reverseGeocode(lat, lon, speciesId);
+        if (requestId !== reportLocationRequestId) return;
+        const place = result.data;
+        
+        placeContainer.innerHTML = place.description
+            ? `<i class="fas fa-map-pin mr-1 text-gray-500"></i>${place.description}`
+            : '<span class="text-gray-500">No named place in the gazetteer</span>';
+        placeContainer.classList.remove('hidden');
+        
+        const description = document.getElementById('location-description');
+        if (place.description && (!description.value || description.dataset.autofilled)) {
+            description.value = place.description;
+            description.dataset.autofilled = 'true';
+        }
+        
+        warningsContainer.innerHTML = place.warnings
+            .map(warning => `<p><i class="fas fa-exclamation-triangle mr-1"></i>${warning}</p>`)
+            .join('');
+        warningsContainer.classList.toggle('hidden', place.warnings.length === 0);
+    } catch (error) {
+        if (requestId !== reportLocationRequestId) return;
+        console.warn('Gazetteer lookup failed:', error.message);
+        placeContainer.classList.add('hidden');
+        warningsContainer.classList.add('hidden');
+    }
+}
+
+// Clear the pin and lookup after the form is submitted
+function resetReportLocation() {
+    reportLocationRequestId++;
+    if (reportLocationPin) {
+        reportLocationMap.removeLayer(reportLocationPin);
+        reportLocationPin = null;
+    }
+    if (reportAccuracyCircle) {
+        reportLocationMap.removeLayer(reportAccuracyCircle);
+        reportAccuracyCircle = null;
+    }
+    delete document.getElementById('location-description').dataset.autofilled;
+    document.getElementById('report-location-place').classList.add('hidden');
+    document.getElementById('report-location-warnings').classList.add('hidden');
+}
+
 // Get current location
 function getCurrentLocation() {
     if (navigator.geolocation) {
         navigator.geolocation.getCurrentPosition(
             function(position) {
-                document.getElementById('latitude').value = position.coords.latitude.toFixed(6);
-                document.getElementById('longitude').value = position.coords.longitude.toFixed(6);
-                showSuccess('Location detected successfully!');
+                setReportLocation(position.coords.latitude, position.coords.longitude, { accuracy: position.coords.accuracy });
+                showSuccess(`Location detected successfully (±${Math.round(position.coords.accuracy)} m)`);
             },
             function(error) {
                 console.error('Error getting location:', error);
-                showError('Unable to get current location. Please enter coordinates manually.');
-            }
+                showError('Unable to get current location. Please pick the location on the map or enter coordinates manually.');
+            },
+            { enableHighAccuracy: true }
         );
     } else {
         showError('Geolocation is not supported by this browser.');
@@ -1981,9 +2955,9 @@ function showVerificationModal(reportId) {
                                         <div>✓ Environmental monitoring active</div>
                                         ${report.satellite_confirmed ? '<div class="text-green-600">✓ Satellite confirmed</div>' : ''}
                                         ${report.nasa_data.earth_imagery?.url ? `
-                                            <button onclick="viewNasaImagery('${report.nasa_data.earth_imagery.url}')" 
+                                            <button onclick="viewNasaImagery('${reportId}')" 
                                                     class="mt-2 bg-blue-600 text-white px-3 py-1 rounded text-xs hover:bg-blue-700">
-                                                View NASA Imagery
+                                                Compare NASA Imagery
                                             </button>
                                         ` : ''}
                                     </div>
@@ -1999,6 +2973,44 @@ function showVerificationModal(reportId) {
                                 </div>
                             `}
                             
+                            <!-- Imagery attached as verification evidence -->
+                            <div class="bg-gray-50 p-4 rounded-lg">
+                                <h5 class="font-semibold text-gray-900 mb-2">
+                                    <i class="fas fa-paperclip mr-2"></i>Imagery Evidence
+                                </h5>
+                                <div id="report-evidence" class="text-sm text-gray-500">Loading evidence...</div>
+                            </div>
+                            
+                            <!-- Climate at the report location -->
+                            ${report.latitude && report.longitude ? `
+                                <div class="bg-gray-50 p-4 rounded-lg">
+                                    <h5 class="font-semibold text-gray-900 mb-2">
+                                        <i class="fas fa-cloud-sun mr-2"></i>Climate (12 months before report)
+                                    </h5>
+                                    <div id="report-climate" class="text-sm text-gray-500">Loading climate data...</div>
+                                </div>
+                            ` : ''}
+                            
+                            <!-- Recent fire hotspots (NASA FIRMS) near the report -->
+                            ${report.latitude && report.longitude ? `
+                                <div class="bg-gray-50 p-4 rounded-lg">
+                                    <h5 class="font-semibold text-gray-900 mb-2">
+                                        <i class="fas fa-fire-alt mr-2"></i>Fire Proximity
+                                    </h5>
+                                    <div id="report-fire" class="text-sm text-gray-500">Checking recent fire hotspots...</div>
+                                </div>
+                            ` : ''}
+                            
+                            <!-- Köppen climate class and how well it suits the species -->
+                            ${report.latitude && report.longitude ? `
+                                <div class="bg-gray-50 p-4 rounded-lg">
+                                    <h5 class="font-semibold text-gray-900 mb-2">
+                                        <i class="fas fa-globe-americas mr-2"></i>Habitat Suitability
+                                    </h5>
+                                    <div id="report-suitability" class="text-sm text-gray-500">Classifying climate...</div>
+                                </div>
+                            ` : ''}
+                            
                             <!-- Location Map -->
                             ${report.latitude && report.longitude ? `
                                 <div class="bg-gray-50 p-4 rounded-lg">
@@ -2058,22 +3070,286 @@ function showVerificationModal(reportId) {
                             </div>
                         </div>
                     </div>
+                    
+                    <!-- Vegetation Index -->
+                    ${report.latitude && report.longitude ? `
+                        <div class="mt-6">
+                            <div class="flex justify-between items-center mb-3">
+                                <h4 class="font-semibold text-gray-900">
+                                    <i class="fas fa-leaf mr-2"></i>Vegetation Index (NDVI)
+                                </h4>
+                                <div class="flex items-center space-x-2">
+                                    <button type="button" onclick="loadReportNdvi('${reportId}', { refresh: true })"
+                                            class="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded hover:bg-gray-200">
+                                        <i class="fas fa-sync-alt mr-1"></i>Refresh
+                                    </button>
+                                    <label class="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded hover:bg-gray-200 cursor-pointer">
+                                        <i class="fas fa-file-import mr-1"></i>Import CSV
+                                        <input type="file" accept=".csv,text/csv" class="hidden" onchange="importReportNdviFile('${reportId}', this)">
+                                    </label>
+                                </div>
+                            </div>
+                            <div id="report-ndvi-summary" class="text-sm text-gray-500">Loading NDVI series...</div>
+                            <div id="report-ndvi-chart-container" class="hidden mt-3" style="height: 220px;">
+                                <canvas id="report-ndvi-chart"></canvas>
+                            </div>
+                        </div>
+                    ` : ''}
+                    
+                    <!-- Change History -->
+                    <div class="mt-6">
+                        <h4 class="font-semibold text-gray-900 mb-3">
+                            <i class="fas fa-history mr-2"></i>Change History
+                        </h4>
+                        <div id="report-history" class="text-sm text-gray-500">Loading history...</div>
+                    </div>
                 </div>
             </div>
         `;
         
         document.body.appendChild(modal);
+        loadReportHistory(reportId);
+        loadReportEvidence(reportId);
+        loadReportClimate(report);
+        if (report.latitude && report.longitude) {
+            loadReportNdvi(reportId);
+            loadReportFireProximity(report);
+            loadReportHabitatSuitability(report);
+        }
     }).catch(error => {
         console.error('Error loading report details:', error);
         showError('Failed to load report details for verification.');
     });
 }
 
+// Fill the verification modal's history panel with the report's revisions
+async function loadReportHistory(reportId) {
+    const container = document.getElementById('report-history');
+    if (!container) return;
+    
+    try {
+        const history = await invasiveSpeciesAPI.getReportHistory(reportId);
+        const revisions = history.data || [];
+        
+        if (revisions.length === 0) {
+            container.innerHTML = '<p>No changes recorded for this report yet.</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <ol class="space-y-3">
+                ${revisions.slice().reverse().map(revision => `
+                    <li class="bg-gray-50 p-3 rounded-lg">
+                        <div class="flex justify-between text-gray-700">
+                            <span><strong class="capitalize">${escapeHtml(revision.action)}</strong> by ${escapeHtml(revision.changed_by)}</span>
+                            <span class="text-xs text-gray-500">${new Date(revision.changed_at).toLocaleString()}</span>
+                        </div>
+                        ${revision.action === 'update' ? `
+                            <table class="mt-2 w-full text-xs">
+                                <tbody>
+                                    ${revision.changes.map(change => `
+                                        <tr class="border-t border-gray-200">
+                                            <td class="py-1 pr-2 font-medium text-gray-700">${escapeHtml(change.field)}</td>
+                                            <td class="py-1 pr-2 text-red-700 line-through">${formatHistoryValue(change.old_value)}</td>
+                                            <td class="py-1 text-green-700">${formatHistoryValue(change.new_value)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    } catch (error) {
+        console.error('Error loading report history:', error);
+        container.innerHTML = '<p class="text-red-600">Failed to load change history</p>';
+    }
+}
+
+// Fill the climate panel of the verification modal from NASA POWER (or the offline estimate)
+async function loadReportClimate(report) {
+    const container = document.getElementById('report-climate');
+    if (!container) return;
+    
+    const conditions = await invasiveSpeciesAPI.getEnvironmentalConditions(
+        parseFloat(report.latitude),
+        parseFloat(report.longitude),
+        report.report_date || report.created_at
+    );
+    container.innerHTML = createClimateSummary(conditions);
+}
+
+// List the imagery scenes attached to the report from the imagery viewer (js/imagery.js)
+async function loadReportEvidence(reportId) {
+    const container = document.getElementById('report-evidence');
+    if (!container) return;
+    
+    try {
+        const result = await invasiveSpeciesAPI.getReportById(reportId);
+        const evidence = result.data.verification_evidence || [];
+        if (evidence.length === 0) {
+            container.innerHTML = '<p>No imagery attached yet. Use Compare NASA Imagery to attach a scene.</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <ul class="space-y-2">
+                ${evidence.map(item => `
+                    <li class="text-gray-700">
+                        <div>
+                            <i class="fas fa-satellite mr-1 text-blue-600"></i>
+                            Scene ${formatDate(item.scene_date)}${item.compared_with ? ` compared with ${formatDate(item.compared_with)}` : ''}
+                            ${item.area_hectares !== null && item.area_hectares !== undefined ? ` - footprint ${item.area_hectares} ha` : ''}
+                        </div>
+                        <div class="text-xs text-gray-500">Attached by ${escapeHtml(item.attached_by || 'Unknown')} on ${formatDate(item.attached_at)}</div>
+                        ${item.notes ? `<div class="text-xs text-gray-600">${escapeHtml(item.notes)}</div>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        console.error('Error loading imagery evidence:', error);
+        container.innerHTML = '<p class="text-red-600">Failed to load imagery evidence</p>';
+    }
+}
+
+// Fill the fire proximity panel of the verification modal from recent FIRMS hotspots
+async function loadReportFireProximity(report) {
+    const container = document.getElementById('report-fire');
+    if (!container) return;
+    
+    try {
+        const proximity = await invasiveSpeciesAPI.getReportFireProximity(report);
+        const nearest = proximity.nearest
+            ? `Nearest hotspot ${proximity.nearest_km} km away, detected ${formatDate(proximity.nearest.acquired_at)} (${proximity.nearest.confidence} confidence).`
+            : 'No hotspots in the data.';
+        
+        container.innerHTML = `
+            ${proximity.flagged ? `
+                <div class="p-2 mb-2 bg-red-50 rounded text-red-800">
+                    <i class="fas fa-exclamation-triangle mr-1"></i>
+                    Fire-promoting species with ${proximity.within} hotspot${proximity.within === 1 ? '' : 's'} within ${proximity.radius_km} km - prioritize treatment before the fuel load carries fire further.
+                </div>
+            ` : ''}
+            <p class="text-gray-700">${proximity.within} hotspot${proximity.within === 1 ? '' : 's'} within ${proximity.radius_km} km in ${proximity.sample || invasiveSpeciesAPI.fireHotspotFile ? `the ${proximity.lookback_days} days up to the newest hotspot (${proximity.sample ? 'sample data' : escapeHtml(proximity.source)})` : `the last ${proximity.lookback_days} days`}. ${nearest}</p>
+            ${!proximity.fire_promoting ? '<p class="text-xs text-gray-500 mt-1">This species is not marked as fire-promoting.</p>' : ''}
+        `;
+    } catch (error) {
+        console.error('Error loading fire proximity:', error);
+        container.innerHTML = `<p class="text-red-600">Fire hotspots unavailable: ${error.message}</p>`;
+    }
+}
+
+// Fill the habitat suitability panel of the verification modal from the location's Köppen class
+async function loadReportHabitatSuitability(report) {
+    const container = document.getElementById('report-suitability');
+    if (!container) return;
+    
+    try {
+        const suitability = await invasiveSpeciesAPI.getReportHabitatSuitability(report);
+        if (!suitability.koppen) {
+            container.innerHTML = '<p class="text-gray-600">The climate class of this location could not be determined.</p>';
+            return;
+        }
+        
+        const level = suitability.score !== null ? getSuitabilityLevel(suitability.score) : null;
+        container.innerHTML = `
+            <p class="text-gray-700">
+                <strong>${suitability.koppen.code}</strong> - ${suitability.koppen.name} (${suitability.koppen.group})
+                <span class="text-xs text-gray-500">${suitability.koppen.source === 'grid' ? 'from the Köppen grid' : 'classified from the last 12 months of climate data'}</span>
+            </p>
+            ${level ? `
+                <p class="mt-1">
+                    <span class="px-2 py-0.5 rounded text-white text-xs" style="background: ${level.color};">${level.label}</span>
+                    <span class="text-gray-700 ml-1">${suitability.score}/100 for this species (closest known class ${suitability.matched_class})</span>
+                </p>
+                <p class="text-xs text-gray-500 mt-1">Thrives in: ${suitability.species_classes.join(', ')}</p>
+            ` : '<p class="text-xs text-gray-500 mt-1">No climate classes are recorded for this species.</p>'}
+        `;
+    } catch (error) {
+        console.error('Error loading habitat suitability:', error);
+        container.innerHTML = `<p class="text-red-600">Habitat suitability unavailable: ${error.message}</p>`;
+    }
+}
+
+// Fill the NDVI panel of the verification modal, fetching and storing the series on first use
+async function loadReportNdvi(reportId, options = {}) {
+    const summary = document.getElementById('report-ndvi-summary');
+    if (!summary) return;
+    
+    summary.innerHTML = options.refresh ? 'Refreshing NDVI series...' : 'Loading NDVI series...';
+    try {
+        const result = await invasiveSpeciesAPI.getReportNdvi(reportId, options);
+        displayReportNdvi(result.data);
+    } catch (error) {
+        console.error('Error loading NDVI series:', error);
+        summary.innerHTML = `<p class="text-red-600">NDVI series unavailable: ${error.message}. Import a CSV table or change the NDVI provider in Settings.</p>`;
+    }
+}
+
+async function importReportNdviFile(reportId, input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    
+    try {
+        const result = await invasiveSpeciesAPI.importReportNdvi(reportId, await file.text());
+        displayReportNdvi(result.data);
+        showSuccess(`Imported ${result.data.observations.length} NDVI values`);
+    } catch (error) {
+        console.error('Error importing NDVI table:', error);
+        showError('Failed to import NDVI table: ' + error.message);
+    } finally {
+        input.value = '';
+    }
+}
+
+function displayReportNdvi(series) {
+    const summary = document.getElementById('report-ndvi-summary');
+    const chartContainer = document.getElementById('report-ndvi-chart-container');
+    if (!summary) return;
+    
+    const analysis = analyzeNdviSeries(series.observations);
+    const product = NDVI_PRODUCTS[series.product] ? NDVI_PRODUCTS[series.product].label : 'Local table';
+    
+    if (analysis.observations.length === 0) {
+        summary.innerHTML = `<p>No NDVI values between ${formatDate(series.start)} and ${formatDate(series.end)} (${product}).</p>`;
+        chartContainer.classList.add('hidden');
+        return;
+    }
+    
+    summary.innerHTML = `
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-3 text-gray-700">
+            <div><strong>Latest:</strong> ${analysis.latest.ndvi} <span class="text-xs text-gray-500">(${formatDate(analysis.latest.date)})</span></div>
+            <div><strong>Peak:</strong> ${analysis.peak.ndvi} <span class="text-xs text-gray-500">(${formatDate(analysis.peak.date)})</span></div>
+            <div><strong>Green-up:</strong> ${analysis.green_up.map(greenUp => `${greenUp.year}: ${formatDate(greenUp.date)}`).join(', ') || 'n/a'}</div>
+            <div><strong>Above baseline:</strong> ${analysis.flagged} composite${analysis.flagged === 1 ? '' : 's'}</div>
+        </div>
+        ${analysis.notes.map(note => `
+            <p class="mt-2 p-2 bg-orange-50 rounded text-xs text-orange-800"><i class="fas fa-exclamation-triangle mr-1"></i>${note}</p>
+        `).join('')}
+        <p class="mt-2 text-xs text-gray-500">${product} · ${analysis.observations.length} composites, ${formatDate(series.start)} - ${formatDate(series.end)} · retrieved ${formatDate(series.retrieved_at)}</p>
+    `;
+    chartContainer.classList.remove('hidden');
+    initializeNdviChart(document.getElementById('report-ndvi-chart'), analysis);
+}
+
+function formatHistoryValue(value) {
+    if (value === null || value === undefined || value === '') return '<em>empty</em>';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const shortened = text.length > 80 ? `${text.substring(0, 80)}…` : text;
+    return escapeHtml(shortened);
+}
+
 function closeVerificationModal() {
     const modal = document.getElementById('verification-modal');
     if (modal) {
         modal.remove();
     }
+    if (charts.reportNdvi) {
+        charts.reportNdvi.destroy();
+        delete charts.reportNdvi;
+    }
 }
 
 async function submitVerification(event, reportId) {
@@ -2236,6 +3512,12 @@ function displayReportsTable(reports, speciesMap) {
                                 class="text-purple-600 hover:text-purple-900" title="Export Report">
                             <i class="fas fa-download"></i>
                         </button>
+                        ${canVerifyReports(currentUser) ? `
+                            <button onclick="deleteReport('${report.id}')" 
+                                    class="text-red-600 hover:text-red-900" title="Move to Trash">
+                                <i class="fas fa-trash-alt"></i>
+                            </button>
+                        ` : ''}
                     </div>
                 </td>
             </tr>
@@ -2266,66 +3548,52 @@ function setupReportsFilters() {
     }
 }
 
-async function filterReports() {
-    try {
-        // Get all reports and filters
-        const reports = await invasiveSpeciesAPI.getReports({ limit: 1000 });
-        const species = await invasiveSpeciesAPI.getSpecies({ limit: 100 });
-        
-        const searchTerm = document.getElementById('reports-search')?.value.toLowerCase() || '';
-        const verificationStatus = document.getElementById('verification-filter')?.value || '';
-        const threatLevel = document.getElementById('threat-filter-reports')?.value || '';
-        const dateRange = document.getElementById('date-filter')?.value || '';
-        
-        let filtered = reports.data || [];
-        
-        // Apply search filter
-        if (searchTerm) {
-            filtered = filtered.filter(report => 
-                report.id?.toLowerCase().includes(searchTerm) ||
-                report.location_description?.toLowerCase().includes(searchTerm) ||
-                report.reporter_name?.toLowerCase().includes(searchTerm) ||
-                report.notes?.toLowerCase().includes(searchTerm)
-            );
-        }
+// Build query parameters from the reports-management filter controls
+function getReportsFilterParams() {
+    const params = {
+        limit: 1000,
+        sort: '-report_date',
+        search: document.getElementById('reports-search')?.value.trim() || '',
+        verification_status: document.getElementById('verification-filter')?.value || '',
+        threat_assessment: document.getElementById('threat-filter-reports')?.value || ''
+    };
+    
+    // Apply date filter
+    const dateRange = document.getElementById('date-filter')?.value || '';
+    if (dateRange) {
+        const now = new Date();
+        let startDate;
         
-        // Apply verification status filter
-        if (verificationStatus) {
-            filtered = filtered.filter(report => report.verification_status === verificationStatus);
+        switch (dateRange) {
+            case 'today':
+                startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+                break;
+            case 'week':
+                startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+                break;
+            case 'month':
+                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+                break;
+            case 'quarter':
+                startDate = new Date(now.getFullYear(), now.getMonth() - 3, 1);
+                break;
         }
         
-        // Apply threat level filter
-        if (threatLevel) {
-            filtered = filtered.filter(report => report.threat_assessment === threatLevel);
+        if (startDate) {
+            params.report_date__gte = startDate.toISOString();
         }
+    }
+    
+    return params;
+}
+
+async function filterReports() {
+    try {
+        // Let the API apply search, status, threat and date filters
+        const reports = await invasiveSpeciesAPI.getReports(getReportsFilterParams());
+        const species = await invasiveSpeciesAPI.getSpecies({ limit: 100 });
         
-        // Apply date filter
-        if (dateRange) {
-            const now = new Date();
-            let startDate;
-            
-            switch (dateRange) {
-                case 'today':
-                    startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-                    break;
-                case 'week':
-                    startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                    break;
-                case 'month':
-                    startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                    break;
-                case 'quarter':
-                    startDate = new Date(now.getFullYear(), now.getMonth() - 3, 1);
-                    break;
-            }
-            
-            if (startDate) {
-                filtered = filtered.filter(report => {
-                    const reportDate = new Date(report.report_date || report.created_at);
-                    return reportDate >= startDate;
-                });
-            }
-        }
+        const filtered = reports.data || [];
         
         // Create species lookup
         const speciesMap = {};
@@ -2345,6 +3613,27 @@ async function filterReports() {
     }
 }
 
+// Move a spam or duplicate report to the trash (administrators can restore it)
+async function deleteReport(reportId) {
+    if (!canVerifyReports(currentUser)) {
+        showError('You do not have permission to delete reports');
+        return;
+    }
+    
+    if (!confirm(`Move report #${reportId} to the trash?`)) {
+        return;
+    }
+    
+    try {
+        await invasiveSpeciesAPI.deleteReport(reportId);
+        showSuccess('Report moved to trash');
+        filterReports();
+    } catch (error) {
+        console.error('Error deleting report:', error);
+        showError('Failed to delete report');
+    }
+}
+
 function getThreatColorClass(threatLevel) {
     switch (threatLevel) {
         case 'Immediate Action Required':
@@ -2360,9 +3649,11 @@ function getThreatColorClass(threatLevel) {
     }
 }
 
+// Export the reports matching the reports-management filters
 async function exportReports() {
     try {
-        const reports = await invasiveSpeciesAPI.getReports({ limit: 1000 });
+        const filters = getReportsFilterParams();
+        const reports = await invasiveSpeciesAPI.getReports(filters);
         const species = await invasiveSpeciesAPI.getSpecies({ limit: 100 });
         
         // Create enhanced export data
@@ -2370,26 +3661,22 @@ async function exportReports() {
             export_info: {
                 exported_at: new Date().toISOString(),
                 total_reports: reports.data?.length || 0,
+                filters,
                 nasa_integration: true
             },
-            reports: reports.data || [],
+            reports: (reports.data || []).map(report => generalizeSensitiveReport(report)),
             species_lookup: species.data || []
         };
         
-        // Create and download file
-        const jsonData = JSON.stringify(exportData, null, 2);
-        const blob = new Blob([jsonData], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `reports_export_${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        showSuccess('Reports exported successfully!');
+        openTabularExport({
+            title: `Export ${exportData.reports.length} Report${exportData.reports.length === 1 ? '' : 's'}`,
+            filename: `reports_export_${new Date().toISOString().split('T')[0]}`,
+            sheets: [
+                createSheet('Reports', withSpeciesNames(exportData.reports, exportData.species_lookup)),
+                createSheet('Species', exportData.species_lookup)
+            ],
+            json: exportData
+        });
         
     } catch (error) {
         console.error('Error exporting reports:', error);
@@ -2400,20 +3687,40 @@ async function exportReports() {
 async function exportSingleReport(reportId) {
     try {
         const report = await invasiveSpeciesAPI.getReportById(reportId);
-        
-        const jsonData = JSON.stringify(report.data, null, 2);
-        const blob = new Blob([jsonData], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `report_${reportId.substring(0, 8)}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        showSuccess(`Report #${reportId.substring(0, 8)} exported successfully!`);
+        const history = await invasiveSpeciesAPI.getReportHistory(reportId);
+        const species = await invasiveSpeciesAPI.getSpecies({ limit: 100 });
+        const exported = generalizeSensitiveReport(report.data);
+        
+        // A sensitive location's past positions are withheld from the history as well
+        const sensitive = report.data.sensitive_location === true;
+        const withheld = ['latitude', 'longitude', 'location_description', 'extent'];
+        const revisions = (history.data || []).map(revision => ({
+            ...revision,
+            changes: revision.changes.map(change => sensitive && withheld.includes(change.field)
+                ? { ...change, old_value: 'withheld', new_value: 'withheld' }
+                : change)
+        }));
+        
+        // One history row per changed field
+        const formatValue = value => value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        const changes = revisions.flatMap(revision => revision.changes.map(change => ({
+            changed_at: revision.changed_at,
+            changed_by: revision.changed_by,
+            action: revision.action,
+            field: change.field,
+            old_value: formatValue(change.old_value),
+            new_value: formatValue(change.new_value)
+        })));
+        
+        openTabularExport({
+            title: `Export Report #${reportId.substring(0, 8)}`,
+            filename: `report_${reportId.substring(0, 8)}`,
+            sheets: [
+                createSheet('Report', withSpeciesNames([exported], species.data || [])),
+                createSheet('Revision History', changes, ['changed_at', 'changed_by', 'action', 'field', 'old_value', 'new_value'])
+            ],
+            json: { ...exported, revision_history: revisions }
+        });
         
     } catch (error) {
         console.error('Error exporting single report:', error);
@@ -3,6 +3,35 @@
 let map = null;
 let markers = [];
 let markerClusters = null;
+let baseTileLayer = null;
+let eonetLayer = null;
+let eonetRequestId = 0;
+let fireLayer = null;
+let fireRequestId = 0;
+let suitabilityLayer = null;
+let suitabilityRequestId = 0;
+let spreadLayer = null;
+let spreadRequestId = 0;
+let heatLayer = null;
+let hexLayer = null;
+let timelineWindow = null; // { start, end } months set by the timeline (js/timeline.js)
+// Climate summaries loaded when a sighting popup is first opened, by location and date
+const sightingClimate = {};
+
+// Forecast horizons drawn on the spread layer, farthest first so nearer ones sit on top
+const SPREAD_LAYER_COLORS = { 1: '#5b21b6', 3: '#8b5cf6', 5: '#c4b5fd' };
+
+// EONET categories drawn on the natural events layer
+const EONET_EVENT_TYPES = {
+    wildfires: { label: 'Wildfires', icon: 'fa-fire', color: '#dc2626' },
+    floods: { label: 'Floods', icon: 'fa-water', color: '#2563eb' },
+    severeStorms: { label: 'Severe Storms', icon: 'fa-wind', color: '#7c3aed' },
+    volcanoes: { label: 'Volcanoes', icon: 'fa-volcano', color: '#b45309' },
+    drought: { label: 'Drought', icon: 'fa-sun', color: '#ca8a04' },
+    landslides: { label: 'Landslides', icon: 'fa-hill-rockslide', color: '#78350f' }
+};
+const EONET_DEFAULT_DAYS = 90;
+const EONET_NEARBY_KM = 50; // sightings this close to an event are flagged in its popup
 
 // Wait for Leaflet to be loaded
 function waitForLeaflet() {
@@ -58,6 +87,12 @@ async function loadMapData() {
         
         // Load and display data on map
         await loadMapMarkers();
+        buildTimeline();
+        loadDensityLayers();
+        await loadEonetLayer();
+        await loadFireLayer();
+        await loadSuitabilityLayer();
+        await loadSpreadLayer();
         
         updateMapStatus('Map loaded successfully!', 'success');
         
@@ -75,6 +110,33 @@ async function loadMapData() {
     }
 }
 
+// Replace the base tile layer, e.g. after the tile server setting changes
+function setBaseTileLayer(url, attribution) {
+    if (!map) return;
+    
+    if (baseTileLayer) {
+        map.removeLayer(baseTileLayer);
+    }
+    
+    baseTileLayer = L.tileLayer(url, {
+        attribution: attribution,
+        maxZoom: 19,
+        tileServerURL: url
+    });
+    
+    baseTileLayer.on('tileerror', function(error) {
+        console.warn('Tile loading error:', error);
+    });
+    
+    baseTileLayer.addTo(map);
+}
+
+appConfig.onChange(config => {
+    if (baseTileLayer && (baseTileLayer.getAttribution() !== config.tileAttribution || baseTileLayer.options.tileServerURL !== config.tileServerURL)) {
+        setBaseTileLayer(config.tileServerURL, config.tileAttribution);
+    }
+});
+
 // Initialize Leaflet map
 async function initializeMap() {
     try {
@@ -105,17 +167,9 @@ async function initializeMap() {
             attributionControl: true
         });
         
-        // Add tile layer with error handling
-        const tileLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors',
-            maxZoom: 19
-        });
-        
-        tileLayer.on('tileerror', function(error) {
-            console.warn('Tile loading error:', error);
-        });
-        
-        tileLayer.addTo(map);
+        // Add tile layer from the configured tile server
+        await appConfig.ready;
+        setBaseTileLayer(appConfig.get('tileServerURL'), appConfig.get('tileAttribution'));
         
         // Add map controls
         setupMapControls();
@@ -143,6 +197,17 @@ function setupMapControls() {
         const showMonitoring = document.getElementById('show-monitoring');
         const showNasaData = document.getElementById('show-nasa-data');
         const speciesFilter = document.getElementById('map-species-filter');
+        const eonetControls = ['show-eonet-events', 'eonet-category', 'eonet-start', 'eonet-end']
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+        const showFireHotspots = document.getElementById('show-fire-hotspots');
+        const fireFile = document.getElementById('fire-file');
+        const fireFileClear = document.getElementById('fire-file-clear');
+        const showSuitability = document.getElementById('show-suitability');
+        const showSpread = document.getElementById('show-spread-forecast');
+        const densityControls = ['show-heatmap', 'show-hexbins', 'density-threat', 'density-start', 'density-end']
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
         
         if (showSightings) {
             showSightings.addEventListener('change', updateMapDisplay);
@@ -164,10 +229,59 @@ function setupMapControls() {
         
         if (speciesFilter) {
             speciesFilter.addEventListener('change', updateMapDisplay);
+            speciesFilter.addEventListener('change', loadSuitabilityLayer);
+            speciesFilter.addEventListener('change', loadSpreadLayer);
+            speciesFilter.addEventListener('change', loadDensityLayers);
         } else {
             console.warn('map-species-filter select not found');
         }
         
+        if (eonetControls.length > 0) {
+            setupEonetControls();
+            eonetControls.forEach(control => control.addEventListener('change', loadEonetLayer));
+        } else {
+            console.warn('EONET controls not found');
+        }
+        
+        if (showFireHotspots) {
+            showFireHotspots.addEventListener('change', loadFireLayer);
+            if (fireFile) fireFile.addEventListener('change', () => loadFireFile(fireFile));
+            if (fireFileClear) fireFileClear.addEventListener('click', clearFireFile);
+        } else {
+            console.warn('FIRMS controls not found');
+        }
+        
+        if (showSuitability) {
+            showSuitability.addEventListener('change', loadSuitabilityLayer);
+        } else {
+            console.warn('Habitat suitability control not found');
+        }
+        
+        if (showSpread) {
+            showSpread.addEventListener('change', loadSpreadLayer);
+        } else {
+            console.warn('Spread forecast control not found');
+        }
+        
+        if (densityControls.length > 0) {
+            densityControls.forEach(control => control.addEventListener('change', loadDensityLayers));
+            // Hex bins have a fixed size on screen, so they are rebuilt for every zoom level
+            map.on('zoomend', drawHexBins);
+        } else {
+            console.warn('Density layer controls not found');
+        }
+        
+        const exportButton = document.getElementById('export-geojson');
+        if (exportButton) {
+            exportButton.addEventListener('click', exportMapGeoJSON);
+        } else {
+            console.warn('GeoJSON export button not found');
+        }
+        
+        if (!setupTimelineControls()) {
+            console.warn('Map timeline not found');
+        }
+        
         console.log('Map controls set up successfully');
         
     } catch (error) {
@@ -175,6 +289,48 @@ function setupMapControls() {
     }
 }
 
+// Download the sightings, monitoring sites and detections the map controls currently show as GeoJSON
+async function exportMapGeoJSON() {
+    const status = document.getElementById('export-geojson-status');
+    const layers = [
+        ['sighting', 'show-sightings'],
+        ['monitoring', 'show-monitoring'],
+        ['detection', 'show-nasa-data']
+    ].filter(([, id]) => document.getElementById(id)?.checked !== false).map(([layer]) => layer);
+    
+    if (layers.length === 0) {
+        showError('Turn on sightings, monitoring sites or detections to export them.');
+        return;
+    }
+    
+    try {
+        if (status) status.textContent = 'Exporting...';
+        const collection = await invasiveSpeciesAPI.exportGeoJSON({
+            layers,
+            speciesId: document.getElementById('map-species-filter')?.value || null,
+            // The timeline window is in whole months
+            start: timelineWindow ? `${timelineWindow.start}-01` : null,
+            end: timelineWindow ? `${timelineWindow.end}-31` : null
+        });
+        
+        const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/geo+json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `invasive_species_map_${new Date().toISOString().split('T')[0]}.geojson`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        if (status) status.textContent = `${collection.features.length} feature${collection.features.length === 1 ? '' : 's'} exported`;
+    } catch (error) {
+        console.error('Error exporting GeoJSON:', error);
+        if (status) status.textContent = '';
+        showError('Failed to export GeoJSON: ' + error.message);
+    }
+}
+
 // Load markers on the map
 async function loadMapMarkers() {
     try {
@@ -227,14 +383,14 @@ async function loadMapMarkers() {
             console.log('No monitoring locations data available');
         }
         
-        // Load and add NASA invasive plants data
-        console.log('Loading NASA invasive plants data...');
-        const nasaInvasiveData = await loadNasaInvasivePlantsData();
-        if (nasaInvasiveData && nasaInvasiveData.length > 0) {
-            console.log(`Adding ${nasaInvasiveData.length} NASA invasive plants markers...`);
-            addNasaInvasivePlantsMarkers(nasaInvasiveData);
+        // Add imported satellite detections
+        console.log('Loading satellite detections...');
+        const detections = await loadDetectionData();
+        if (detections.length > 0) {
+            console.log(`Adding ${detections.length} detection markers...`);
+            addDetectionMarkers(detections, speciesMap);
         } else {
-            console.log('No NASA invasive plants data available');
+            console.log('No satellite detections imported');
         }
         
         // Initialize marker clustering if available
@@ -272,9 +428,10 @@ function addSightingMarkers(reports, speciesMap) {
                 fillOpacity: 0.8
             });
             
-            // Create popup content
+            // Create popup content; the climate summary is only looked up once the popup is opened
             const popupContent = createSightingPopup(report, species);
             marker.bindPopup(popupContent);
+            marker.on('popupopen', () => loadSightingPopupClimate(marker));
             
             // Store metadata for filtering
             marker.reportData = report;
@@ -312,8 +469,8 @@ function addMonitoringMarkers(locations) {
     });
 }
 
-// Create popup content for sighting markers
-function createSightingPopup(report, species) {
+// Create popup content for sighting markers; fireProximity is set while the FIRMS layer flags the report
+function createSightingPopup(report, species, fireProximity = null) {
     const speciesName = species ? species.scientific_name : 'Unknown Species';
     const threatLevel = report.threat_assessment || species?.threat_level || 'Unknown';
     const reportDate = formatDate(report.report_date || report.created_at);
@@ -352,15 +509,44 @@ function createSightingPopup(report, species) {
                 ` : ''}
                 ${report.notes ? `<p><strong>Notes:</strong> ${report.notes.substring(0, 100)}${report.notes.length > 100 ? '...' : ''}</p>` : ''}
             </div>
+            ${fireProximity ? `
+                <div class="mt-2 p-2 bg-red-50 rounded text-xs text-red-800">
+                    <i class="fas fa-fire-alt mr-1"></i>
+                    Fire-promoting species with ${fireProximity.within} recent hotspot${fireProximity.within === 1 ? '' : 's'} within ${fireProximity.radius_km} km (nearest ${fireProximity.nearest_km} km)
+                </div>
+            ` : ''}
+            ${sightingClimate[getSightingClimateKey(report)]
+                ? createClimateSummary(sightingClimate[getSightingClimateKey(report)], { compact: true })
+                : '<p class="mt-2 text-xs text-gray-500"><i class="fas fa-spinner fa-spin mr-1"></i>Loading climate...</p>'}
             ${hasNasaData && report.nasa_data.earth_imagery.url ? `
-                <button onclick="viewNasaImagery('${report.nasa_data.earth_imagery.url}')" class="mt-2 text-xs bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700">
+                <button onclick="viewNasaImagery('${report.id}')" class="mt-2 text-xs bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700">
                     <i class="fas fa-satellite mr-1"></i>View NASA Imagery
                 </button>
             ` : ''}
+            ${createExtentPopupSection('sighting_reports', report)}
         </div>
     `;
 }
 
+function getSightingClimateKey(report) {
+    return `${report.latitude},${report.longitude},${report.report_date || report.created_at}`;
+}
+
+// Look up the climate of a sighting the first time its popup opens and redraw the popup with it
+async function loadSightingPopupClimate(marker) {
+    const report = marker.reportData;
+    const key = getSightingClimateKey(report);
+    if (key in sightingClimate) return;
+    sightingClimate[key] = null; // loading
+    
+    sightingClimate[key] = await invasiveSpeciesAPI.getEnvironmentalConditions(
+        parseFloat(report.latitude),
+        parseFloat(report.longitude),
+        report.report_date || report.created_at
+    );
+    marker.setPopupContent(createSightingPopup(marker.reportData, marker.speciesData, marker.fireProximity));
+}
+
 // Create popup content for monitoring markers
 function createMonitoringPopup(location) {
     return `
@@ -373,6 +559,7 @@ function createMonitoringPopup(location) {
                 ${location.description ? `<p><strong>Description:</strong> ${location.description}</p>` : ''}
                 ${location.access_instructions ? `<p><strong>Access:</strong> ${location.access_instructions}</p>` : ''}
             </div>
+            ${createExtentPopupSection('monitoring_locations', location)}
         </div>
     `;
 }
@@ -409,10 +596,17 @@ function updateMapDisplay() {
         // Filter by marker type
         if (marker.markerType === 'sighting' && !showSightings) return false;
         if (marker.markerType === 'monitoring' && !showMonitoring) return false;
-        if (marker.markerType === 'nasa_invasive' && !showNasaData) return false;
+        if (marker.markerType === 'detection' && !showNasaData) return false;
+        
+        // Limit dated markers to the timeline window
+        if (timelineWindow && marker.markerType !== 'monitoring') {
+            const month = getMarkerMonth(marker);
+            if (!month || month < timelineWindow.start || month > timelineWindow.end) return false;
+        }
         
         // Filter by species
-        if (selectedSpecies && marker.reportData && marker.reportData.species_id !== selectedSpecies) {
+        const record = marker.reportData || marker.detectionData;
+        if (selectedSpecies && record && String(record.species_id) !== selectedSpecies) {
             return false;
         }
         
@@ -426,6 +620,9 @@ function updateMapDisplay() {
     } else {
         filteredMarkers.forEach(marker => marker.addTo(map));
     }
+    
+    // Outlined infestation extents follow their markers (js/extents.js)
+    drawExtents(filteredMarkers);
 }
 
 // Clear all markers from map
@@ -492,107 +689,59 @@ function resizeMap() {
 window.mapFunctions = {
     loadMapData,
     resizeMap,
-    updateMapDisplay
+    updateMapDisplay,
+    loadEonetLayer,
+    loadFireLayer,
+    loadSuitabilityLayer,
+    loadSpreadLayer,
+    loadDensityLayers
 };
 
-// View NASA satellite imagery
-function viewNasaImagery(imageUrl) {
-    const modal = document.createElement('div');
-    modal.className = 'fixed inset-0 bg-black bg-opacity-75 z-50 flex items-center justify-center p-4';
-    modal.innerHTML = `
-        <div class="bg-white rounded-xl max-w-4xl w-full max-h-full overflow-auto">
-            <div class="p-4 border-b flex justify-between items-center">
-                <h3 class="text-lg font-semibold text-gray-900">
-                    <i class="fas fa-satellite mr-2 text-blue-600"></i>NASA Earth Imagery
-                </h3>
-                <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700">
-                    <i class="fas fa-times text-xl"></i>
-                </button>
-            </div>
-            <div class="p-4 text-center">
-                <img src="${imageUrl}" alt="NASA Earth Imagery" class="max-w-full h-auto rounded-lg mx-auto" 
-                     onerror="this.style.display='none'; this.nextElementSibling.style.display='block';">
-                <div style="display:none;" class="text-gray-500 py-8">
-                    <i class="fas fa-satellite text-4xl mb-4"></i>
-                    <p>NASA satellite imagery loading...</p>
-                    <p class="text-sm mt-2">Image URL: ${imageUrl}</p>
-                </div>
-            </div>
-        </div>
-    `;
-    document.body.appendChild(modal);
-}
-
-// Make the function globally available
-window.viewNasaImagery = viewNasaImagery;
-
-// Load NASA invasive plants data for map display
-async function loadNasaInvasivePlantsData() {
+// Load imported satellite detections (js/detections.js) for map display
+async function loadDetectionData() {
     try {
-        console.log('Loading NASA invasive plants data...');
-        
-        // Get NASA environmental data for multiple regions
-        const invasivePlantsLocations = await invasiveSpeciesAPI.getNasaInvasivePlantsLocations();
-        
-        console.log(`NASA invasive plants data loaded: ${invasivePlantsLocations.length} locations`);
-        return invasivePlantsLocations;
-        
+        const detections = await invasiveSpeciesAPI.getDetections({ limit: 1000 });
+        return detections.data || [];
     } catch (error) {
-        console.error('Error loading NASA invasive plants data:', error);
+        console.error('Error loading satellite detections:', error);
         return [];
     }
 }
 
-// Add NASA invasive plants markers to the map
-function addNasaInvasivePlantsMarkers(nasaData) {
-    nasaData.forEach(location => {
-        if (location.latitude && location.longitude) {
-            // Create distinctive NASA marker
-            const marker = L.marker([location.latitude, location.longitude], {
-                icon: L.divIcon({
-                    className: 'nasa-invasive-marker',
-                    html: '<div style="background: linear-gradient(45deg, #1e40af, #3b82f6); color: white; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"><i class="fas fa-satellite" style="font-size: 10px;"></i></div>',
-                    iconSize: [28, 28],
-                    iconAnchor: [14, 14]
-                })
-            });
-            
-            // Create comprehensive NASA popup
-            const popupContent = createNasaInvasivePopup(location);
-            marker.bindPopup(popupContent, { maxWidth: 400 });
-            
-            // Store metadata for filtering
-            marker.nasaData = location;
-            marker.markerType = 'nasa_invasive';
-            
-            markers.push(marker);
-        }
+// Add detection markers to the map, at the point or the centre of the detected polygon
+function addDetectionMarkers(detections, speciesMap) {
+    detections.forEach(detection => {
+        const marker = L.marker([detection.latitude, detection.longitude], {
+            icon: L.divIcon({
+                className: 'nasa-invasive-marker',
+                html: '<div style="background: linear-gradient(45deg, #1e40af, #3b82f6); color: white; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"><i class="fas fa-satellite" style="font-size: 10px;"></i></div>',
+                iconSize: [28, 28],
+                iconAnchor: [14, 14]
+            })
+        });
+        
+        marker.bindPopup(createDetectionPopup(detection, speciesMap[detection.species_id]), { maxWidth: 400 });
+        
+        // Store metadata for filtering
+        marker.detectionData = detection;
+        marker.markerType = 'detection';
+        
+        markers.push(marker);
     });
 }
 
-// Create popup content for NASA invasive species markers
-function createNasaInvasivePopup(location) {
-    // Try to find matching species from our database by scientific name
-    let speciesImage = `https://picsum.photos/300/200?random=${location.id}`;
-    let matchingSpecies = null;
-    
-    // If we have species data available, use the real image
-    if (window.speciesData) {
-        matchingSpecies = window.speciesData.find(s => 
-            s.scientific_name === location.scientific_name ||
-            s.common_name === location.species_name
-        );
-        if (matchingSpecies && matchingSpecies.image_url) {
-            speciesImage = matchingSpecies.image_url;
-        }
-    }
+// Create popup content for a satellite detection
+function createDetectionPopup(detection, species) {
+    const commonName = species && species.common_names && species.common_names.length > 0 ? species.common_names[0] : null;
+    const scientificName = species ? species.scientific_name : `Species ${detection.species_id}`;
+    const speciesImage = species && species.image_url ? species.image_url : `https://picsum.photos/300/200?random=${detection.id}`;
     
     return `
         <div class="popup-content nasa-popup">
             <div class="bg-blue-50 px-3 py-2 rounded-t-lg border-b border-blue-200">
                 <h4 class="font-semibold text-blue-900 flex items-center">
                     <i class="fas fa-satellite mr-2"></i>
-                    NASA Detected Invasive Species
+                    Satellite Detection
                 </h4>
             </div>
             
@@ -600,45 +749,359 @@ function createNasaInvasivePopup(location) {
                 <!-- Species Image -->
                 <div class="mb-3">
                     <img src="${speciesImage}" 
-                         alt="${location.species_name}" 
+                         alt="${scientificName}" 
                          class="w-full h-32 object-cover rounded-lg"
-                         onerror="if(window.handleImageError){handleImageError(this, ${JSON.stringify(matchingSpecies?.backup_image_urls || [])});}else{this.style.display='none';this.nextElementSibling.style.display='block';}">
+                         onerror="if(window.handleImageError){handleImageError(this, ${JSON.stringify(species && species.backup_image_urls ? species.backup_image_urls : [])});}else{this.style.display='none';this.nextElementSibling.style.display='block';}">
                     <div class="hidden w-full h-32 bg-gradient-to-br from-blue-400 to-blue-600 rounded-lg flex items-center justify-center">
                         <i class="fas fa-satellite text-white text-2xl"></i>
                     </div>
                 </div>
                 
                 <div>
-                    <h5 class="font-semibold text-gray-900">${location.species_name || location.scientific_name}</h5>
-                    <p class="text-sm text-gray-600 italic">${location.scientific_name}</p>
+                    <h5 class="font-semibold text-gray-900">${commonName || scientificName}</h5>
+                    <p class="text-sm text-gray-600 italic">${scientificName}</p>
                 </div>
                 
                 <div class="grid grid-cols-2 gap-2 text-sm">
                     <div>
                         <strong>Threat Level:</strong><br>
-                        <span class="px-2 py-1 rounded text-xs ${getThreatColorClass(location.threat_level)}">
-                            ${location.threat_level}
+                        <span class="px-2 py-1 rounded text-xs ${getThreatColorClass(species ? species.threat_level : '')}">
+                            ${species ? species.threat_level : 'Unknown'}
                         </span>
                     </div>
                     <div>
                         <strong>Coverage:</strong><br>
-                        <span class="text-gray-700">${location.coverage_area || 'Unknown'}</span>
+                        <span class="text-gray-700">${detection.area_hectares !== undefined ? `${detection.area_hectares} hectares` : (detection.geometry.type === 'Point' ? 'Point detection' : 'Unknown')}</span>
                     </div>
                 </div>
                 
                 <div class="text-sm space-y-1">
-                    <p><strong>Data Source:</strong> NASA Earth Observing System</p>
-                    <p><strong>Detection Method:</strong> ${location.detection_method}</p>
-                    <p><strong>Confidence:</strong> ${location.confidence}</p>
-                    <p><strong>Last Detected:</strong> ${formatDate(location.last_detected)}</p>
-                    ${location.growth_rate ? `<p><strong>Growth Pattern:</strong> ${location.growth_rate}</p>` : ''}
-                    ${location.environmental_impact ? `<p><strong>Environmental Impact:</strong> ${location.environmental_impact}</p>` : ''}
+                    <p><strong>Detection Method:</strong> ${detection.method}</p>
+                    <p><strong>Confidence:</strong> ${Math.round(detection.confidence * 100)}%</p>
+                    <p><strong>Acquired:</strong> ${formatDate(detection.acquisition_date)}${detection.sensor ? ` (${detection.sensor})` : ''}</p>
+                    <p class="break-all"><strong>Scene:</strong> ${detection.source_scene_id}</p>
+                    ${detection.notes ? `<p><strong>Notes:</strong> ${detection.notes}</p>` : ''}
                 </div>
             </div>
         </div>
     `;
 }
 
+// Climate summary for a location (see getEnvironmentalConditions), shared by the sighting popup and the verification modal
+function createClimateSummary(conditions, { compact = false } = {}) {
+    const climate = conditions && conditions.climate;
+    if (!climate) {
+        return '<p class="text-xs text-gray-500">Climate data unavailable for this location.</p>';
+    }
+    
+    const formatValue = (value, unit) => value === null || value === undefined ? 'n/a' : `${value}${unit}`;
+    const annual = climate.annual;
+    const sourceLabel = climate.provider === 'nasa-power' ? 'NASA POWER' : 'Offline estimate';
+    
+    return `
+        <div class="mt-2 p-2 bg-emerald-50 rounded text-xs text-emerald-900">
+            <p class="font-semibold">
+                <i class="fas fa-temperature-half mr-1"></i>Climate ${formatDate(climate.period.start)} - ${formatDate(climate.period.end)}
+            </p>
+            <p class="text-emerald-700">${conditions.climate_zone} zone · ${sourceLabel}</p>
+            <div class="grid grid-cols-2 gap-x-3 mt-1">
+                <span>Mean temp: ${formatValue(annual.mean_temperature, '°C')}</span>
+                <span>Range: ${formatValue(annual.min_temperature, '°C')} to ${formatValue(annual.max_temperature, '°C')}</span>
+                <span>Precipitation: ${formatValue(annual.total_precipitation, ' mm')}</span>
+                <span>Humidity: ${formatValue(annual.mean_humidity, '%')}</span>
+                <span class="col-span-2">Growing degree days (base ${climate.gdd_base}°C): <strong>${formatValue(annual.growing_degree_days, '')}</strong></span>
+            </div>
+            ${compact ? '' : `
+                <table class="mt-2 w-full">
+                    <thead>
+                        <tr class="text-left text-emerald-700">
+                            <th class="pr-2">Season</th>
+                            <th class="pr-2">Mean</th>
+                            <th class="pr-2">Precip.</th>
+                            <th class="pr-2">Humidity</th>
+                            <th>GDD</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${climate.seasons.map(season => `
+                            <tr class="border-t border-emerald-100">
+                                <td class="pr-2">${season.season} <span class="text-emerald-600">(${season.months})</span></td>
+                                <td class="pr-2">${formatValue(season.mean_temperature, '°C')}</td>
+                                <td class="pr-2">${formatValue(season.total_precipitation, ' mm')}</td>
+                                <td class="pr-2">${formatValue(season.mean_humidity, '%')}</td>
+                                <td>${formatValue(season.growing_degree_days, '')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        </div>
+    `;
+}
+
+// Fill the event type filter and default the date range to the last EONET_DEFAULT_DAYS days
+function setupEonetControls() {
+    const categorySelect = document.getElementById('eonet-category');
+    if (categorySelect) {
+        const options = ['<option value="">All Event Types</option>'];
+        Object.keys(EONET_EVENT_TYPES).forEach(id => {
+            options.push(`<option value="${id}">${EONET_EVENT_TYPES[id].label}</option>`);
+        });
+        categorySelect.innerHTML = options.join('');
+    }
+    
+    const startInput = document.getElementById('eonet-start');
+    const endInput = document.getElementById('eonet-end');
+    const today = new Date();
+    const start = new Date(today.getTime() - EONET_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+    if (startInput && !startInput.value) startInput.value = start.toISOString().split('T')[0];
+    if (endInput && !endInput.value) endInput.value = today.toISOString().split('T')[0];
+}
+
+// Load NASA EONET natural events into their own layer, above the clustered markers
+async function loadEonetLayer() {
+    if (!map) return;
+    
+    const showEvents = document.getElementById('show-eonet-events')?.checked === true;
+    const category = document.getElementById('eonet-category')?.value || '';
+    const start = document.getElementById('eonet-start')?.value || '';
+    const end = document.getElementById('eonet-end')?.value || '';
+    const statusText = document.getElementById('eonet-status');
+    const requestId = ++eonetRequestId;
+    
+    if (eonetLayer) {
+        map.removeLayer(eonetLayer);
+        eonetLayer = null;
+    }
+    if (statusText) statusText.textContent = '';
+    if (!showEvents) return;
+    
+    if (start && end && start > end) {
+        showError('The natural events start date must be before the end date.');
+        return;
+    }
+    
+    try {
+        if (statusText) statusText.textContent = 'Loading events...';
+        const categories = category ? [category] : Object.keys(EONET_EVENT_TYPES);
+        const events = await invasiveSpeciesAPI.getNaturalEvents({ start, end, categories });
+        
+        // A newer filter change has already started its own request
+        if (requestId !== eonetRequestId) return;
+        
+        eonetLayer = L.layerGroup();
+        events.data.forEach(event => addEonetEventMarker(event));
+        eonetLayer.addTo(map);
+        
+        if (statusText) {
+            statusText.textContent = `${events.total} event${events.total === 1 ? '' : 's'}${events.source === 'sample' ? ' (offline sample)' : ''}`;
+        }
+    } catch (error) {
+        console.error('Error loading NASA EONET events:', error);
+        if (statusText) statusText.textContent = 'Events unavailable';
+        showError('Failed to load natural events: ' + error.message);
+    }
+}
+
+function addEonetEventMarker(event) {
+    const type = EONET_EVENT_TYPES[event.category] || { label: event.category_title, icon: 'fa-triangle-exclamation', color: '#6b7280' };
+    
+    // Moving events (storms) also get their track
+    if (event.track.length > 1) {
+        L.polyline(event.track, { color: type.color, weight: 2, opacity: 0.7, dashArray: '4 4' }).addTo(eonetLayer);
+    }
+    
+    const marker = L.marker([event.latitude, event.longitude], {
+        icon: L.divIcon({
+            className: 'eonet-event-marker',
+            html: `<div style="background: ${type.color}; color: white; border-radius: 6px; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3); opacity: ${event.closed ? 0.6 : 1};"><i class="fas ${type.icon}" style="font-size: 11px;"></i></div>`,
+            iconSize: [28, 28],
+            iconAnchor: [14, 14]
+        }),
+        zIndexOffset: 1000
+    });
+    
+    marker.bindPopup(createEonetPopup(event, type, findNearbySightings(event)), { maxWidth: 320 });
+    marker.eonetData = event;
+    marker.addTo(eonetLayer);
+}
+
+// Sighting reports within EONET_NEARBY_KM of an event
+function findNearbySightings(event) {
+    return markers
+        .filter(marker => marker.markerType === 'sighting')
+        .filter(marker => distanceKm(event.latitude, event.longitude, marker.reportData.latitude, marker.reportData.longitude) <= EONET_NEARBY_KM)
+        .map(marker => marker.reportData);
+}
+
+function createEonetPopup(event, type, nearbySightings) {
+    const magnitude = event.magnitude_value !== null ? `${event.magnitude_value.toLocaleString()} ${event.magnitude_unit || ''}` : null;
+    
+    return `
+        <div class="popup-content">
+            <h4 class="font-semibold text-gray-900 mb-2">
+                <i class="fas ${type.icon} mr-1" style="color: ${type.color};"></i>${event.title}
+            </h4>
+            <div class="space-y-1 text-sm">
+                <p><strong>Type:</strong> ${type.label}</p>
+                <p><strong>Status:</strong> ${event.closed ? `Closed ${formatDate(event.closed)}` : 'Active'}</p>
+                <p><strong>First reported:</strong> ${formatDate(event.first_date)}</p>
+                <p><strong>Last update:</strong> ${formatDate(event.date)}</p>
+                ${magnitude ? `<p><strong>Magnitude:</strong> ${magnitude}</p>` : ''}
+                <p><strong>Sources:</strong> ${event.sources.join(', ') || 'EONET'}</p>
+                ${nearbySightings.length > 0 ? `
+                    <div class="mt-2 p-2 bg-orange-50 rounded text-xs text-orange-800">
+                        <i class="fas fa-exclamation-triangle mr-1"></i>
+                        ${nearbySightings.length} sighting${nearbySightings.length === 1 ? '' : 's'} within ${EONET_NEARBY_KM} km - disturbed ground is prone to new invasions
+                    </div>
+                ` : ''}
+            </div>
+            ${event.source_url ? `<a href="${event.source_url}" target="_blank" rel="noopener" class="mt-2 inline-block text-xs text-blue-600 hover:underline">View source <i class="fas fa-external-link-alt ml-1"></i></a>` : ''}
+        </div>
+    `;
+}
+
+// Load recent FIRMS hotspots into their own layer and flag sightings of fire-promoting species near them
+async function loadFireLayer() {
+    if (!map) return;
+    
+    const showFires = document.getElementById('show-fire-hotspots')?.checked === true;
+    const statusText = document.getElementById('fire-status');
+    const requestId = ++fireRequestId;
+    
+    if (fireLayer) {
+        map.removeLayer(fireLayer);
+        fireLayer = null;
+    }
+    if (statusText) statusText.textContent = '';
+    if (!showFires) {
+        flagFireProximity([], 0);
+        return;
+    }
+    
+    try {
+        if (statusText) statusText.textContent = 'Loading hotspots...';
+        const hotspots = await invasiveSpeciesAPI.getFireHotspots();
+        
+        // A newer toggle or file has already started its own load
+        if (requestId !== fireRequestId) return;
+        
+        const { proximityKm } = invasiveSpeciesAPI.getFireSettings();
+        const flagged = flagFireProximity(hotspots.data, proximityKm);
+        
+        fireLayer = L.layerGroup();
+        flagged.forEach(marker => {
+            // Not interactive so clicks still reach the sighting marker underneath
+            L.circle(marker.getLatLng(), {
+                radius: proximityKm * 1000,
+                color: '#dc2626',
+                weight: 1,
+                dashArray: '4 4',
+                fillOpacity: 0.05,
+                interactive: false
+            }).addTo(fireLayer);
+        });
+        hotspots.data.forEach(hotspot => addFireHotspotMarker(hotspot, proximityKm));
+        fireLayer.addTo(map);
+        
+        if (statusText) {
+            const period = hotspots.sample || invasiveSpeciesAPI.fireHotspotFile
+                ? `the ${hotspots.lookback_days} days up to the newest hotspot`
+                : `the last ${hotspots.lookback_days} days`;
+            statusText.textContent = `${hotspots.total} hotspot${hotspots.total === 1 ? '' : 's'} in ${period}` +
+                `${flagged.length > 0 ? `, ${flagged.length} fire-promoting sighting${flagged.length === 1 ? '' : 's'} nearby` : ''}` +
+                `${invasiveSpeciesAPI.fireHotspotFile ? ` (${hotspots.source})` : hotspots.sample ? ' (sample data)' : ''}`;
+        }
+    } catch (error) {
+        console.error('Error loading FIRMS hotspots:', error);
+        if (statusText) statusText.textContent = 'Hotspots unavailable';
+        showError('Failed to load fire hotspots: ' + error.message);
+    }
+}
+
+// Update sighting popups with their fire proximity and return the markers that are flagged
+function flagFireProximity(hotspots, proximityKm) {
+    const flagged = [];
+    markers.filter(marker => marker.markerType === 'sighting').forEach(marker => {
+        const proximity = hotspots.length > 0
+            ? assessReportFireProximity(marker.reportData, marker.speciesData, hotspots, proximityKm)
+            : null;
+        const fireProximity = proximity && proximity.flagged ? proximity : null;
+        if (fireProximity || marker.fireProximity) {
+            marker.fireProximity = fireProximity;
+            marker.setPopupContent(createSightingPopup(marker.reportData, marker.speciesData, fireProximity));
+        }
+        if (fireProximity) flagged.push(marker);
+    });
+    return flagged;
+}
+
+function addFireHotspotMarker(hotspot, proximityKm) {
+    const marker = L.circleMarker([hotspot.latitude, hotspot.longitude], {
+        radius: 5,
+        fillColor: FIRE_CONFIDENCE_COLORS[hotspot.confidence],
+        color: '#7f1d1d',
+        weight: 1,
+        opacity: 1,
+        fillOpacity: 0.9
+    });
+    
+    const nearby = markers.filter(other => other.fireProximity &&
+        distanceKm(hotspot.latitude, hotspot.longitude, other.reportData.latitude, other.reportData.longitude) <= proximityKm);
+    marker.bindPopup(createFireHotspotPopup(hotspot, nearby.map(other => other.reportData), proximityKm), { maxWidth: 300 });
+    marker.hotspotData = hotspot;
+    marker.addTo(fireLayer);
+}
+
+function createFireHotspotPopup(hotspot, nearbySightings, proximityKm) {
+    const acquired = new Date(hotspot.acquired_at);
+    
+    return `
+        <div class="popup-content">
+            <h4 class="font-semibold text-gray-900 mb-2">
+                <i class="fas fa-fire-alt mr-1" style="color: ${FIRE_CONFIDENCE_COLORS[hotspot.confidence]};"></i>Active Fire Hotspot
+            </h4>
+            <div class="space-y-1 text-sm">
+                <p><strong>Detected:</strong> ${formatDate(hotspot.acquired_at)} ${acquired.toISOString().slice(11, 16)} UTC${hotspot.daynight ? ` (${hotspot.daynight === 'D' ? 'day' : 'night'})` : ''}</p>
+                <p><strong>Confidence:</strong> ${hotspot.confidence}</p>
+                ${hotspot.frp !== null ? `<p><strong>Fire radiative power:</strong> ${hotspot.frp} MW</p>` : ''}
+                <p><strong>Sensor:</strong> ${hotspot.instrument}${hotspot.satellite ? ` (${hotspot.satellite})` : ''}</p>
+                ${nearbySightings.length > 0 ? `
+                    <div class="mt-2 p-2 bg-red-50 rounded text-xs text-red-800">
+                        <i class="fas fa-exclamation-triangle mr-1"></i>
+                        ${nearbySightings.length} fire-promoting sighting${nearbySightings.length === 1 ? '' : 's'} within ${proximityKm} km
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// Use a FIRMS CSV file from disk instead of the configured FIRMS URL
+async function loadFireFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    
+    try {
+        const count = invasiveSpeciesAPI.loadFireHotspotFile(file.name, await file.text());
+        document.getElementById('fire-file-clear')?.classList.remove('hidden');
+        document.getElementById('show-fire-hotspots').checked = true;
+        await loadFireLayer();
+        showSuccess(`Loaded ${count} hotspots from ${file.name}`);
+    } catch (error) {
+        console.error('Error reading FIRMS file:', error);
+        showError('Failed to read FIRMS file: ' + error.message);
+    } finally {
+        input.value = '';
+    }
+}
+
+function clearFireFile() {
+    invasiveSpeciesAPI.clearFireHotspotFile();
+    document.getElementById('fire-file-clear')?.classList.add('hidden');
+    loadFireLayer();
+}
+
 // Map status functions
 function updateMapStatus(message, type = 'info') {
     const statusElement = document.getElementById('map-status');
@@ -674,4 +1137,228 @@ function hideMapStatus() {
     if (statusElement) {
         statusElement.classList.add('hidden');
     }
-}
\ No newline at end of file
+}
+
+// Shade the Köppen grid cells by how well their climate suits the species selected in the map filter
+async function loadSuitabilityLayer() {
+    if (!map) return;
+    
+    const showSuitability = document.getElementById('show-suitability')?.checked === true;
+    const speciesId = document.getElementById('map-species-filter')?.value || '';
+    const statusText = document.getElementById('suitability-status');
+    const requestId = ++suitabilityRequestId;
+    
+    if (suitabilityLayer) {
+        map.removeLayer(suitabilityLayer);
+        suitabilityLayer = null;
+    }
+    if (statusText) statusText.textContent = '';
+    if (!showSuitability) return;
+    if (!speciesId) {
+        if (statusText) statusText.textContent = 'Select a species to score';
+        return;
+    }
+    
+    try {
+        if (statusText) statusText.textContent = 'Scoring climate grid...';
+        const grid = await invasiveSpeciesAPI.getHabitatSuitabilityGrid(speciesId);
+        
+        // The species filter or the toggle changed while the grid was loading
+        if (requestId !== suitabilityRequestId) return;
+        
+        if (grid.data.length > 0 && grid.data[0].score === null) {
+            if (statusText) statusText.textContent = 'No climate classes recorded for this species';
+            return;
+        }
+        
+        const half = grid.resolution / 2;
+        const renderer = L.canvas();
+        suitabilityLayer = L.layerGroup();
+        grid.data.filter(cell => cell.score > 0).forEach(cell => {
+            const koppen = describeKoppenClass(cell.koppen);
+            L.rectangle([[cell.latitude - half, cell.longitude - half], [cell.latitude + half, cell.longitude + half]], {
+                renderer,
+                stroke: false,
+                fillColor: getSuitabilityLevel(cell.score).color,
+                fillOpacity: 0.35
+            }).bindPopup(`
+                <div class="p-2 text-sm">
+                    <p class="font-semibold text-gray-900">${cell.level} suitability (${cell.score}/100)</p>
+                    <p class="text-gray-700">${koppen ? `${koppen.code} - ${koppen.name}` : 'Unknown'}</p>
+                    <p class="text-xs text-gray-500 mt-1">Closest species class: ${cell.matched_class}</p>
+                </div>
+            `).addTo(suitabilityLayer);
+        });
+        suitabilityLayer.addTo(map);
+        
+        if (statusText) {
+            const suitable = grid.data.filter(cell => cell.score >= HABITAT_MATCH_SCORES.subtype).length;
+            statusText.textContent = `${suitable} of ${grid.total} cells highly suitable for ${grid.species.scientific_name}`;
+        }
+    } catch (error) {
+        console.error('Error loading habitat suitability:', error);
+        if (statusText) statusText.textContent = 'Suitability unavailable';
+        showError('Failed to load habitat suitability: ' + error.message);
+    }
+}
+
+// Draw the 1, 3 and 5 year spread forecasts for the species selected in the map filter (all species if none)
+async function loadSpreadLayer() {
+    if (!map) return;
+    
+    const showSpread = document.getElementById('show-spread-forecast')?.checked === true;
+    const speciesId = document.getElementById('map-species-filter')?.value || '';
+    const statusText = document.getElementById('spread-status');
+    const requestId = ++spreadRequestId;
+    
+    if (spreadLayer) {
+        map.removeLayer(spreadLayer);
+        spreadLayer = null;
+    }
+    if (statusText) statusText.textContent = '';
+    if (!showSpread) return;
+    
+    try {
+        if (statusText) statusText.textContent = 'Modelling spread...';
+        const forecasts = speciesId
+            ? [(await invasiveSpeciesAPI.getSpreadForecast(speciesId)).data]
+            : (await invasiveSpeciesAPI.getSpreadForecasts()).data;
+        
+        // The species filter or the toggle changed while the model was running
+        if (requestId !== spreadRequestId) return;
+        
+        const renderer = L.canvas();
+        spreadLayer = L.layerGroup();
+        forecasts.forEach(forecast => {
+            if (!forecast.cell_degrees) return;
+            const halfLat = forecast.cell_degrees.latitude / 2;
+            const halfLon = forecast.cell_degrees.longitude / 2;
+            [...forecast.horizons].reverse().forEach(horizon => {
+                horizon.cells.forEach(cell => {
+                    // Not interactive so clicks still reach the sighting markers
+                    L.rectangle([[cell.latitude - halfLat, cell.longitude - halfLon], [cell.latitude + halfLat, cell.longitude + halfLon]], {
+                        renderer,
+                        stroke: false,
+                        fillColor: SPREAD_LAYER_COLORS[horizon.years],
+                        fillOpacity: 0.45,
+                        interactive: false
+                    }).addTo(spreadLayer);
+                });
+            });
+        });
+        spreadLayer.addTo(map);
+        
+        if (statusText) {
+            statusText.textContent = forecasts.length === 0
+                ? 'No verified sightings to model'
+                : forecasts.map(forecast => {
+                    const last = forecast.horizons[forecast.horizons.length - 1];
+                    return `${forecast.species_name}: ${forecast.speed_km_per_year} km/yr (${forecast.speed_source})` +
+                        `${last ? `, ${last.area_km2} km² in ${last.years} years` : ', no verified sightings'}`;
+                }).join('; ');
+        }
+    } catch (error) {
+        console.error('Error loading spread forecast:', error);
+        if (statusText) statusText.textContent = 'Forecast unavailable';
+        showError('Failed to load spread forecast: ' + error.message);
+    }
+}
+
+// Sighting reports on the map that pass the species, threat level and date filters (js/density.js)
+function getDensityReports() {
+    const sightings = markers.filter(marker => marker.markerType === 'sighting');
+    const speciesMap = {};
+    sightings.forEach(marker => {
+        if (marker.speciesData) speciesMap[marker.reportData.species_id] = marker.speciesData;
+    });
+    
+    return filterDensityReports(sightings.map(marker => marker.reportData), speciesMap, {
+        speciesId: document.getElementById('map-species-filter')?.value || '',
+        threatLevel: document.getElementById('density-threat')?.value || '',
+        start: document.getElementById('density-start')?.value || '',
+        end: document.getElementById('density-end')?.value || ''
+    });
+}
+
+// Rebuild the heatmap and hex-bin layers from the current filters
+function loadDensityLayers() {
+    if (!map) return;
+    
+    const showHeatmap = document.getElementById('show-heatmap')?.checked === true;
+    const statusText = document.getElementById('density-status');
+    
+    if (heatLayer) {
+        map.removeLayer(heatLayer);
+        heatLayer = null;
+    }
+    
+    const reports = getDensityReports();
+    if (showHeatmap) {
+        if (typeof L.heatLayer === 'function') {
+            heatLayer = L.heatLayer(reports.map(report => [parseFloat(report.latitude), parseFloat(report.longitude), 1]), {
+                radius: 25,
+                blur: 18,
+                maxZoom: 12
+            }).addTo(map);
+        } else {
+            console.warn('Leaflet.heat not available - heatmap disabled');
+            showError('Heatmap plugin not loaded; use the hex bins instead.');
+        }
+    }
+    drawHexBins();
+    
+    if (statusText) {
+        const active = showHeatmap || document.getElementById('show-hexbins')?.checked === true;
+        statusText.textContent = active ? `${reports.length} sighting${reports.length === 1 ? '' : 's'} match` : '';
+    }
+}
+
+// Aggregate the filtered sightings into hexagons sized for the current zoom
+function drawHexBins() {
+    if (!map) return;
+    
+    if (hexLayer) {
+        map.removeLayer(hexLayer);
+        hexLayer = null;
+    }
+    if (document.getElementById('show-hexbins')?.checked !== true) return;
+    
+    const zoom = map.getZoom();
+    const points = getDensityReports().map(report => {
+        const pixel = map.project([parseFloat(report.latitude), parseFloat(report.longitude)], zoom);
+        return { x: pixel.x, y: pixel.y, report };
+    });
+    const bins = binPointsToHexes(points);
+    const maxCount = Math.max(0, ...bins.map(bin => bin.points.length));
+    const speciesNames = {};
+    (window.speciesData || []).forEach(species => {
+        speciesNames[species.id] = species.scientific_name;
+    });
+    
+    hexLayer = L.layerGroup();
+    bins.forEach(bin => {
+        const corners = getHexCorners(bin.x, bin.y).map(corner => map.unproject([corner.x, corner.y], zoom));
+        const counts = {};
+        bin.points.forEach(point => {
+            const name = speciesNames[point.report.species_id] || 'Unknown species';
+            counts[name] = (counts[name] || 0) + 1;
+        });
+        const breakdown = Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([name, count]) => `<li>${name}: ${count}</li>`)
+            .join('');
+        
+        L.polygon(corners, {
+            color: '#92400e',
+            weight: 1,
+            fillColor: getDensityColor(bin.points.length, maxCount),
+            fillOpacity: 0.6
+        }).bindPopup(`
+            <div class="p-2 text-sm">
+                <p class="font-semibold text-gray-900">${bin.points.length} sighting${bin.points.length === 1 ? '' : 's'}</p>
+                <ul class="text-gray-700 mt-1">${breakdown}</ul>
+            </div>
+        `).addTo(hexLayer);
+    });
+    hexLayer.addTo(map);
+}
@@ -0,0 +1,24 @@
+// Escaping for user-entered text inserted into HTML and generated XML
+
+// Text safe inside element content and quoted attributes
+function escapeHtml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Text safe inside XML element content and quoted attributes. Control characters other than tab and
+// line breaks are not allowed in XML at all, so they are dropped.
+function escapeXml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
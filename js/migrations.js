@@ -0,0 +1,76 @@
+// Versioned data migrations, shared by the local data layer (browser) and the reference server (Node)
+//
+// Stores are seeded only once, so fields added to the seed data later never reach existing databases.
+// Each migration fills such fields in from the seed records; a store remembers the last version it ran
+// (data_version) so no migration runs twice. Values already present are never overwritten.
+
+// Stored species missing one of the traits get it from the seed species with the same scientific name
+function fillSpeciesTraits(records, seedRecords, traits) {
+    const seedByName = {};
+    seedRecords.forEach(record => {
+        seedByName[String(record.scientific_name).toLowerCase()] = record;
+    });
+
+    const changed = [];
+    records.forEach(record => {
+        const seed = seedByName[String(record.scientific_name).toLowerCase()];
+        if (!seed) return;
+        const missing = traits.filter(trait => record[trait] === undefined && seed[trait] !== undefined);
+        if (missing.length === 0) return;
+        const updated = { ...record };
+        missing.forEach(trait => {
+            updated[trait] = JSON.parse(JSON.stringify(seed[trait]));
+        });
+        changed.push(updated);
+    });
+    return changed;
+}
+
+const DATA_MIGRATIONS = [
+    {
+        version: 1,
+        table: 'invasive_species',
+        description: 'Add fire_promoting to species, for flagging sightings near fire hotspots',
+        migrate: (records, seedRecords) => fillSpeciesTraits(records, seedRecords, ['fire_promoting'])
+    },
+    {
+        version: 2,
+        table: 'invasive_species',
+        description: 'Add climate_classes to species, for habitat suitability and the spread model',
+        migrate: (records, seedRecords) => fillSpeciesTraits(records, seedRecords, ['climate_classes'])
+    }
+];
+
+const DATA_VERSION = DATA_MIGRATIONS.reduce((max, migration) => Math.max(max, migration.version), 0);
+
+// Run every migration newer than fromVersion. tables and seedTables map table names to records; returns the
+// changed records by table, later migrations seeing the changes of earlier ones.
+function runDataMigrations(tables, seedTables, fromVersion = 0) {
+    const current = { ...tables };
+    const changes = {};
+
+    DATA_MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            const changed = migration.migrate(current[migration.table] || [], seedTables[migration.table] || []);
+            if (changed.length === 0) return;
+
+            const byId = {};
+            changed.forEach(record => {
+                byId[String(record.id)] = record;
+            });
+            current[migration.table] = (current[migration.table] || []).map(record => byId[String(record.id)] || record);
+            changes[migration.table] = { ...(changes[migration.table] || {}), ...byId };
+        });
+
+    const result = {};
+    Object.entries(changes).forEach(([table, byId]) => {
+        result[table] = Object.values(byId);
+    });
+    return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DATA_VERSION, DATA_MIGRATIONS, fillSpeciesTraits, runDataMigrations };
+}
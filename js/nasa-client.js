@@ -0,0 +1,200 @@
+// Rate-limit aware transport for api.nasa.gov
+//
+// api.nasa.gov enforces an hourly quota per key and reports it in X-RateLimit-Limit and
+// X-RateLimit-Remaining. Requests go through a queue that slows down when the quota runs low
+// and pauses after a 429. Failed requests (429, 5xx, network errors) are retried with
+// exponential backoff and full jitter. The resulting status ('ok', 'throttled' or 'degraded')
+// is published to listeners so the UI can show when NASA data is degraded.
+
+const NASA_CLIENT_DEFAULTS = {
+    maxRetries: 3,
+    baseDelay: 500,             // first retry waits up to 0.5s, then 1s, 2s, ...
+    maxDelay: 30 * 1000,
+    concurrency: 2,
+    quotaWindow: 60 * 60 * 1000, // api.nasa.gov quotas are per rolling hour
+    lowQuotaFraction: 0.1,      // throttle once less than 10% of the quota is left...
+    lowQuotaMinimum: 5,         // ...or fewer than 5 requests, whichever is larger
+    maxSpacing: 60 * 1000
+};
+
+class NasaClient {
+    constructor(options = {}) {
+        this.options = { ...NASA_CLIENT_DEFAULTS, ...options };
+        this.queue = [];
+        this.active = 0;
+        this.lastStartedAt = 0;
+        this.drainTimer = null;
+        this.rateLimit = { limit: null, remaining: null, updatedAt: null, pausedUntil: 0 };
+        this.status = 'ok';
+        this.statusDetail = '';
+        this.listeners = [];
+    }
+
+    // Queue a GET/POST to a full NASA URL and resolve with the parsed JSON body
+    request(url, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ url, options, resolve, reject });
+            this.drain();
+        });
+    }
+
+    isQuotaLow() {
+        const { limit, remaining } = this.rateLimit;
+        if (remaining === null) return false;
+        const threshold = Math.max(this.options.lowQuotaMinimum, (limit || 0) * this.options.lowQuotaFraction);
+        return remaining <= threshold;
+    }
+
+    // Minimum gap between request starts: spread what is left of the quota over the window
+    getSpacing() {
+        if (!this.isQuotaLow()) return 0;
+        const spacing = this.options.quotaWindow / Math.max(this.rateLimit.remaining, 1);
+        return Math.min(spacing, this.options.maxSpacing);
+    }
+
+    drain() {
+        if (this.drainTimer) return;
+
+        const concurrency = this.isQuotaLow() ? 1 : this.options.concurrency;
+        while (this.queue.length > 0 && this.active < concurrency) {
+            const now = Date.now();
+            const wait = Math.max(this.rateLimit.pausedUntil - now, this.lastStartedAt + this.getSpacing() - now);
+            if (wait > 0) {
+                this.drainTimer = setTimeout(() => {
+                    this.drainTimer = null;
+                    this.drain();
+                }, wait);
+                return;
+            }
+
+            const job = this.queue.shift();
+            this.active++;
+            this.lastStartedAt = now;
+            this.execute(job)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    async execute(job) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+            if (attempt > 0) {
+                await this.sleep(Math.max(this.getBackoffDelay(attempt - 1), this.rateLimit.pausedUntil - Date.now()));
+            }
+
+            let response;
+            try {
+                response = await fetch(job.url, {
+                    ...job.options,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...job.options.headers
+                    }
+                });
+            } catch (error) {
+                lastError = error;
+                this.setStatus('degraded', 'NASA API unreachable - retrying');
+                continue;
+            }
+
+            this.updateRateLimit(response.headers);
+
+            if (response.ok) {
+                this.setStatus(this.isQuotaLow() ? 'throttled' : 'ok', this.describeQuota());
+                return await response.json();
+            }
+
+            lastError = new ApiError(response.status, `NASA API error! status: ${response.status}`);
+
+            if (response.status === 429) {
+                // Stop the whole queue until the quota frees up
+                const retryAfter = this.getRetryAfter(response.headers);
+                this.rateLimit.pausedUntil = Date.now() + (retryAfter !== null ? retryAfter : this.getBackoffDelay(attempt));
+                this.setStatus('degraded', 'NASA rate limit reached - requests paused');
+                continue;
+            }
+
+            if (response.status < 500) {
+                throw lastError; // other client errors will not succeed on retry and say nothing about NASA's health
+            }
+            this.setStatus('degraded', `NASA API error ${response.status} - retrying`);
+        }
+
+        this.setStatus('degraded', lastError && lastError.status === 429
+            ? 'NASA rate limit reached - showing cached or sample data'
+            : 'NASA API unavailable - showing cached or sample data');
+        throw lastError;
+    }
+
+    // Full jitter: a random delay between 0 and baseDelay * 2^attempt (capped)
+    getBackoffDelay(attempt) {
+        const cap = Math.min(this.options.maxDelay, this.options.baseDelay * Math.pow(2, attempt));
+        return Math.random() * cap;
+    }
+
+    // Retry-After in milliseconds (seconds or an HTTP date), or null
+    getRetryAfter(headers) {
+        const value = headers && headers.get('Retry-After');
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    updateRateLimit(headers) {
+        if (!headers) return;
+        const limit = parseInt(headers.get('X-RateLimit-Limit'), 10);
+        const remaining = parseInt(headers.get('X-RateLimit-Remaining'), 10);
+        if (!Number.isNaN(limit)) this.rateLimit.limit = limit;
+        if (!Number.isNaN(remaining)) {
+            this.rateLimit.remaining = remaining;
+            this.rateLimit.updatedAt = new Date().toISOString();
+        }
+    }
+
+    describeQuota() {
+        const { limit, remaining } = this.rateLimit;
+        if (remaining === null) return '';
+        return limit ? `${remaining} of ${limit} requests left this hour` : `${remaining} requests left this hour`;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+    }
+
+    setStatus(status, detail = '') {
+        if (status === this.status && detail === this.statusDetail) return;
+        this.status = status;
+        this.statusDetail = detail;
+        const state = this.getState();
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (error) {
+                console.error('NASA status listener failed:', error);
+            }
+        });
+    }
+
+    onStatusChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    getState() {
+        return {
+            status: this.status,
+            detail: this.statusDetail,
+            queued: this.queue.length,
+            rateLimit: { ...this.rateLimit }
+        };
+    }
+}
+
+// Create global NASA client instance
+const nasaClient = new NasaClient();
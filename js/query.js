@@ -0,0 +1,264 @@
+// Query engine shared by the local data layer (browser) and the reference server (Node)
+//
+// Supported parameters:
+//   search=kudzu atlanta     full-text search; every term must match some field ("quoted phrases" allowed)
+//   field=value              field filter (case-insensitive; for array fields, matches any element)
+//   field__ne=value          not equal
+//   field__in=a,b            any of the comma-separated values
+//   field__contains=text     substring match
+//   field__gt/gte/lt/lte=v   range filters for numbers and ISO dates
+//   sort=-report_date,id     multi-key sort; a leading '-' sorts descending
+//   limit=20&page=2          paging (page is 1-based), or limit=20&offset=40
+//   deleted=include|only     soft-deleted records (deleted_at set) are hidden unless asked for
+//   bbox=minLon,minLat,maxLon,maxLat   records whose latitude/longitude fall inside the box
+// Nested fields can be addressed with dots, e.g. nasa_data.earth_imagery.date
+
+const QUERY_RESERVED_PARAMS = ['search', 'sort', 'limit', 'page', 'offset', 'deleted', 'bbox'];
+const QUERY_DEFAULT_LIMIT = 100;
+const QUERY_FILTER_OPERATORS = ['ne', 'in', 'contains', 'gt', 'gte', 'lt', 'lte'];
+
+// Normalize URLSearchParams, a query string or a plain object into a plain object
+function parseQueryParams(input) {
+    if (!input) return {};
+    if (typeof input === 'string') {
+        input = new URLSearchParams(input.startsWith('?') ? input.slice(1) : input);
+    }
+    if (typeof URLSearchParams !== 'undefined' && input instanceof URLSearchParams) {
+        const params = {};
+        input.forEach((value, key) => {
+            params[key] = value;
+        });
+        return params;
+    }
+    return { ...input };
+}
+
+// Build a query string from params, skipping empty values
+function buildQueryString(params = {}) {
+    const searchParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        searchParams.set(key, Array.isArray(value) ? value.join(',') : value);
+    });
+    return searchParams.toString();
+}
+
+// Read a possibly nested field ('nasa_data.earth_imagery.date')
+function getFieldValue(record, field) {
+    return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+// Flatten every value of a record into lower-case text for full-text search
+function getSearchText(record) {
+    const parts = [];
+    const collect = value => {
+        if (value === null || value === undefined) return;
+        if (Array.isArray(value)) {
+            value.forEach(collect);
+        } else if (typeof value === 'object') {
+            Object.values(value).forEach(collect);
+        } else {
+            parts.push(String(value).toLowerCase());
+        }
+    };
+    collect(record);
+    return parts.join(' \u0000 ');
+}
+
+// Split a search string into terms, keeping "quoted phrases" together
+function parseSearchTerms(search) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(String(search).toLowerCase())) !== null) {
+        terms.push(match[1] || match[2]);
+    }
+    return terms;
+}
+
+// Compare two values: numbers numerically, everything else as numeric-aware strings
+function compareValues(left, right) {
+    if (typeof left === 'number' && typeof right === 'number') {
+        return left - right;
+    }
+    if (typeof left === 'boolean' || typeof right === 'boolean') {
+        return Number(left) - Number(right);
+    }
+    return String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Coerce a query-string value to the type of the field it is compared with
+function coerceFilterValue(fieldValue, rawValue) {
+    if (typeof fieldValue === 'number') {
+        const number = Number(rawValue);
+        return Number.isNaN(number) ? rawValue : number;
+    }
+    if (typeof fieldValue === 'boolean') {
+        return String(rawValue).toLowerCase() === 'true';
+    }
+    return rawValue;
+}
+
+function valuesEqual(fieldValue, rawValue) {
+    if (Array.isArray(fieldValue)) {
+        return fieldValue.some(item => valuesEqual(item, rawValue));
+    }
+    if (fieldValue === null || fieldValue === undefined) {
+        return rawValue === '' || rawValue === 'null';
+    }
+    const value = coerceFilterValue(fieldValue, rawValue);
+    if (typeof value === 'string' && typeof fieldValue === 'string') {
+        return fieldValue.toLowerCase() === value.toLowerCase();
+    }
+    return fieldValue === value;
+}
+
+// Turn the non-reserved params into a list of { field, operator, value } filters
+function parseFilters(params) {
+    return Object.entries(params)
+        .filter(([key, value]) => !QUERY_RESERVED_PARAMS.includes(key) && value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => {
+            const separator = key.lastIndexOf('__');
+            const operator = separator > 0 ? key.slice(separator + 2) : '';
+            if (QUERY_FILTER_OPERATORS.includes(operator)) {
+                return { field: key.slice(0, separator), operator, value };
+            }
+            return { field: key, operator: 'eq', value };
+        });
+}
+
+function matchesFilter(record, filter) {
+    const fieldValue = getFieldValue(record, filter.field);
+    const values = Array.isArray(filter.value) ? filter.value : [filter.value];
+
+    switch (filter.operator) {
+        case 'eq':
+            return values.some(value => valuesEqual(fieldValue, value));
+        case 'ne':
+            return !values.some(value => valuesEqual(fieldValue, value));
+        case 'in': {
+            const options = values.flatMap(value => String(value).split(',')).map(value => value.trim());
+            return options.some(value => valuesEqual(fieldValue, value));
+        }
+        case 'contains': {
+            const text = getSearchText({ value: fieldValue });
+            return values.every(value => text.includes(String(value).toLowerCase()));
+        }
+        default: {
+            if (fieldValue === null || fieldValue === undefined || fieldValue === '') return false;
+            const order = compareValues(fieldValue, coerceFilterValue(fieldValue, filter.value));
+            if (filter.operator === 'gt') return order > 0;
+            if (filter.operator === 'gte') return order >= 0;
+            if (filter.operator === 'lt') return order < 0;
+            return order <= 0;
+        }
+    }
+}
+
+// Parse 'minLon,minLat,maxLon,maxLat' into a box, or null when it is not four numbers
+function parseBoundingBox(bbox) {
+    if (!bbox) return null;
+    const values = (Array.isArray(bbox) ? bbox : String(bbox).split(',')).map(value => parseFloat(value));
+    if (values.length !== 4 || values.some(value => Number.isNaN(value))) return null;
+    const [minLon, minLat, maxLon, maxLat] = values;
+    return { minLon, minLat, maxLon, maxLat };
+}
+
+function isInBoundingBox(record, box) {
+    const latitude = parseFloat(record.latitude);
+    const longitude = parseFloat(record.longitude);
+    if (Number.isNaN(latitude) || Number.isNaN(longitude)) return false;
+    if (latitude < box.minLat || latitude > box.maxLat) return false;
+
+    // A box with minLon > maxLon crosses the antimeridian
+    return box.minLon <= box.maxLon
+        ? longitude >= box.minLon && longitude <= box.maxLon
+        : longitude >= box.minLon || longitude <= box.maxLon;
+}
+
+// Parse 'sort=-report_date,id' into [{ field, descending }]
+function parseSortKeys(sort) {
+    if (!sort) return [];
+    const keys = Array.isArray(sort) ? sort : String(sort).split(',');
+    return keys
+        .map(key => key.trim())
+        .filter(Boolean)
+        .map(key => ({
+            field: key.replace(/^[-+]/, ''),
+            descending: key.startsWith('-')
+        }));
+}
+
+function sortRecords(records, sortKeys) {
+    if (sortKeys.length === 0) return records;
+    return [...records].sort((a, b) => {
+        for (const { field, descending } of sortKeys) {
+            const left = getFieldValue(a, field);
+            const right = getFieldValue(b, field);
+            const leftMissing = left === null || left === undefined || left === '';
+            const rightMissing = right === null || right === undefined || right === '';
+
+            // Records without the field always sort last
+            if (leftMissing && rightMissing) continue;
+            if (leftMissing) return 1;
+            if (rightMissing) return -1;
+
+            const order = compareValues(left, right);
+            if (order !== 0) return descending ? -order : order;
+        }
+        return 0;
+    });
+}
+
+// Run a query against an array of records
+// Returns { data, total, page, limit, offset } where total counts all matches before paging
+function queryRecords(records, rawParams = {}, options = {}) {
+    const params = parseQueryParams(rawParams);
+    let results = records || [];
+
+    // Hide soft-deleted records unless deleted=include or deleted=only
+    if (params.deleted === 'only') {
+        results = results.filter(record => record.deleted_at);
+    } else if (params.deleted !== 'include') {
+        results = results.filter(record => !record.deleted_at);
+    }
+
+    const terms = params.search ? parseSearchTerms(params.search) : [];
+    if (terms.length > 0) {
+        results = results.filter(record => {
+            const text = getSearchText(record);
+            return terms.every(term => text.includes(term));
+        });
+    }
+
+    const filters = parseFilters(params);
+    if (filters.length > 0) {
+        results = results.filter(record => filters.every(filter => matchesFilter(record, filter)));
+    }
+
+    const box = parseBoundingBox(params.bbox);
+    if (box) {
+        results = results.filter(record => isInBoundingBox(record, box));
+    }
+
+    results = sortRecords(results, parseSortKeys(params.sort));
+
+    const defaultLimit = options.defaultLimit || QUERY_DEFAULT_LIMIT;
+    const limit = Math.max(1, parseInt(params.limit, 10) || defaultLimit);
+    const page = Math.max(1, parseInt(params.page, 10) || 1);
+    const offset = params.offset !== undefined && params.offset !== ''
+        ? Math.max(0, parseInt(params.offset, 10) || 0)
+        : (page - 1) * limit;
+
+    return {
+        data: results.slice(offset, offset + limit),
+        total: results.length,
+        page: Math.floor(offset / limit) + 1,
+        limit,
+        offset
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { queryRecords, parseQueryParams, buildQueryString, getFieldValue, QUERY_DEFAULT_LIMIT };
+}
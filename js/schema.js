@@ -0,0 +1,267 @@
+// Entity schemas and validation shared by the local data layer (browser) and the reference server (Node)
+//
+// Each table declares its fields as { type, required, enum, min, max, maxLength, format, items }.
+// format is one of 'email', 'url', 'date', 'geometry' (a GeoJSON Point or Polygon in longitude/latitude)
+// or 'extent' (a GeoJSON Polygon or MultiPolygon outlining an area).
+// Fields that are not declared (id, created_at, nasa_data, ...) are accepted as-is.
+// Validation errors are reported per field: { latitude: 'Must be between -90 and 90', ... }
+
+const SCHEMA_USER_TYPES = ['Researcher', 'Land Manager', 'Citizen Scientist', 'Government Official', 'Student', 'Administrator'];
+
+const SCHEMAS = {
+    invasive_species: {
+        scientific_name: { type: 'string', required: true, maxLength: 200 },
+        common_names: { type: 'array', items: 'string' },
+        threat_level: { type: 'string', enum: ['Severe', 'High', 'Moderate', 'Low'] },
+        native_range: { type: 'string' },
+        description: { type: 'string' },
+        flowering_period: { type: 'string' },
+        habitat_types: { type: 'array', items: 'string' },
+        climate_classes: { type: 'array', items: 'string' },
+        identification_features: { type: 'string' },
+        control_methods: { type: 'string' },
+        fire_promoting: { type: 'boolean' },
+        image_url: { type: 'string', format: 'url' },
+        backup_image_urls: { type: 'array', items: 'string' }
+    },
+    sighting_reports: {
+        species_id: { type: 'id', required: true },
+        latitude: { type: 'number', required: true, min: -90, max: 90 },
+        longitude: { type: 'number', required: true, min: -180, max: 180 },
+        location_description: { type: 'string', maxLength: 1000 },
+        population_size: { type: 'string', enum: ['Individual (<10)', 'Small (10-100)', 'Medium (100-1000)', 'Large (1000+)', 'Extensive Coverage'] },
+        threat_assessment: { type: 'string', enum: ['Low Risk', 'Moderate Risk', 'High Risk', 'Immediate Action Required'] },
+        confidence_level: { type: 'string', enum: ['Low', 'Medium', 'High', 'Verified'] },
+        reporter_name: { type: 'string', required: true, maxLength: 200 },
+        reporter_email: { type: 'string', format: 'email' },
+        reporter_type: { type: 'string', enum: SCHEMA_USER_TYPES },
+        verification_status: { type: 'string', enum: ['Pending', 'Verified', 'Needs Review', 'Rejected'] },
+        verified_by: { type: 'string' },
+        verification_date: { type: 'string', format: 'date' },
+        verification_notes: { type: 'string' },
+        report_date: { type: 'string', format: 'date' },
+        habitat_description: { type: 'string' },
+        notes: { type: 'string' },
+        follow_up_required: { type: 'boolean' },
+        sensitive_location: { type: 'boolean' },
+        nasa_enhanced: { type: 'boolean' },
+        satellite_confirmed: { type: 'boolean' },
+        satellite_verification_requested: { type: 'boolean' },
+        verification_evidence: { type: 'array', items: 'object' },
+        extent: { type: 'object', format: 'extent' },
+        extent_area_hectares: { type: 'number', min: 0 }
+    },
+    monitoring_locations: {
+        location_name: { type: 'string', required: true, maxLength: 200 },
+        latitude: { type: 'number', required: true, min: -90, max: 90 },
+        longitude: { type: 'number', required: true, min: -180, max: 180 },
+        location_type: { type: 'string' },
+        monitoring_status: { type: 'string', enum: ['Active', 'Inactive', 'Planned'] },
+        description: { type: 'string' },
+        access_instructions: { type: 'string' },
+        extent: { type: 'object', format: 'extent' },
+        extent_area_hectares: { type: 'number', min: 0 }
+    },
+    users: {
+        email: { type: 'string', required: true, format: 'email' },
+        full_name: { type: 'string', required: true, maxLength: 200 },
+        username: { type: 'string' },
+        user_type: { type: 'string', required: true, enum: SCHEMA_USER_TYPES },
+        registration_date: { type: 'string', format: 'date' },
+        last_login: { type: 'string', format: 'date' },
+        reports_submitted: { type: 'integer', min: 0 },
+        reports_verified: { type: 'integer', min: 0 },
+        active_status: { type: 'boolean' }
+    },
+    ndvi_series: {
+        report_id: { type: 'id', required: true },
+        source: { type: 'string', required: true, enum: ['modis', 'table'] },
+        product: { type: 'string', required: true },
+        latitude: { type: 'number', min: -90, max: 90 },
+        longitude: { type: 'number', min: -180, max: 180 },
+        start: { type: 'string', format: 'date' },
+        end: { type: 'string', format: 'date' },
+        observations: { type: 'array', required: true, items: 'object' },
+        retrieved_at: { type: 'string', format: 'date' }
+    },
+    detections: {
+        species_id: { type: 'id', required: true },
+        geometry: { type: 'object', required: true, format: 'geometry' },
+        latitude: { type: 'number', required: true, min: -90, max: 90 },
+        longitude: { type: 'number', required: true, min: -180, max: 180 },
+        confidence: { type: 'number', required: true, min: 0, max: 1 },
+        method: { type: 'string', required: true, maxLength: 200 },
+        acquisition_date: { type: 'string', required: true, format: 'date' },
+        source_scene_id: { type: 'string', required: true, maxLength: 200 },
+        sensor: { type: 'string', maxLength: 200 },
+        area_hectares: { type: 'number', min: 0 },
+        notes: { type: 'string' },
+        imported_at: { type: 'string', format: 'date' }
+    }
+};
+
+// Thrown when a record fails validation; errors maps each bad field to a message
+class ValidationError extends Error {
+    constructor(errors) {
+        super(`Validation failed: ${Object.keys(errors).join(', ')}`);
+        this.name = 'ValidationError';
+        this.status = 422;
+        this.errors = errors;
+    }
+}
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Check one value against its field rule; returns an error message or null
+function validateField(rule, value) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'Must be text';
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) return 'Must be a whole number';
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return 'Must be true or false';
+            break;
+        case 'id':
+            if (typeof value !== 'string' && typeof value !== 'number') return 'Must be a record id';
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return 'Must be an object';
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return 'Must be a list';
+            if (rule.items && value.some(item => typeof item !== rule.items)) return `Every entry must be ${rule.items === 'string' ? 'text' : rule.items}`;
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `Must be one of: ${rule.enum.join(', ')}`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return rule.max !== undefined ? `Must be between ${rule.min} and ${rule.max}` : `Must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return rule.min !== undefined ? `Must be between ${rule.min} and ${rule.max}` : `Must be at most ${rule.max}`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `Must be at most ${rule.maxLength} characters`;
+    }
+
+    if (rule.format === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        return 'Must be a valid email address';
+    }
+    if (rule.format === 'url' && !/^https?:\/\/\S+$/.test(value)) {
+        return 'Must be an http(s) URL';
+    }
+    if (rule.format === 'date' && Number.isNaN(Date.parse(value))) {
+        return 'Must be a valid date';
+    }
+    if (rule.format === 'geometry') {
+        return validateGeometry(value);
+    }
+    if (rule.format === 'extent') {
+        return validateExtent(value);
+    }
+    return null;
+}
+
+function isPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+        typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180 &&
+        typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90;
+}
+
+// GeoJSON Point or Polygon with [longitude, latitude] positions; returns an error message or null
+function validateGeometry(geometry) {
+    if (geometry.type === 'Point') {
+        return isPosition(geometry.coordinates) ? null : 'Point coordinates must be [longitude, latitude]';
+    }
+    if (geometry.type === 'Polygon') {
+        return isPolygonRings(geometry.coordinates) ? null : 'Polygon must be a list of closed rings of [longitude, latitude] positions';
+    }
+    return 'Must be a GeoJSON Point or Polygon';
+}
+
+function isPolygonRings(rings) {
+    return Array.isArray(rings) && rings.length > 0 &&
+        rings.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition));
+}
+
+// GeoJSON Polygon or MultiPolygon outlining an area; returns an error message or null
+function validateExtent(geometry) {
+    if (geometry.type === 'Polygon') {
+        return isPolygonRings(geometry.coordinates) ? null : 'Polygon must be a list of closed rings of [longitude, latitude] positions';
+    }
+    if (geometry.type === 'MultiPolygon') {
+        const polygons = geometry.coordinates;
+        const valid = Array.isArray(polygons) && polygons.length > 0 && polygons.every(isPolygonRings);
+        return valid ? null : 'MultiPolygon must be a list of polygons of closed [longitude, latitude] rings';
+    }
+    return 'Must be a GeoJSON Polygon or MultiPolygon';
+}
+
+// Validate a record for a table. With { partial: true } (PATCH) only the fields present are checked.
+// Returns an object of field -> message, empty when the record is valid.
+function validateRecord(table, record, options = {}) {
+    const schema = SCHEMAS[table];
+    const errors = {};
+    if (!schema) return errors;
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { _record: 'Must be an object' };
+    }
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const present = Object.prototype.hasOwnProperty.call(record, field);
+        const value = record[field];
+
+        if (isEmptyValue(value)) {
+            if (rule.required && (present || !options.partial)) {
+                errors[field] = 'Required';
+            }
+            return;
+        }
+
+        const message = validateField(rule, value);
+        if (message) {
+            errors[field] = message;
+        }
+    });
+
+    return errors;
+}
+
+// Validate and throw a ValidationError listing every bad field
+function assertValidRecord(table, record, options = {}) {
+    const errors = validateRecord(table, record, options);
+    if (Object.keys(errors).length > 0) {
+        throw new ValidationError(errors);
+    }
+    return record;
+}
+
+// Validate a batch of new records; the ValidationError lists the bad fields by record index
+function assertValidRecords(table, records) {
+    const errors = {};
+    records.forEach((record, index) => {
+        const recordErrors = validateRecord(table, record);
+        if (Object.keys(recordErrors).length > 0) {
+            errors[index] = recordErrors;
+        }
+    });
+    if (Object.keys(errors).length > 0) {
+        throw new ValidationError(errors);
+    }
+    return records;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SCHEMAS, ValidationError, validateRecord, assertValidRecord, assertValidRecords };
+}
@@ -0,0 +1,123 @@
+// Spread forecasts from dated, verified sightings
+//
+// Spread is modelled as diffusion from every verified sighting: the range front moves outwards at a
+// constant speed c (km/year), the asymptotic speed of a reaction-diffusion (Skellam) model. The speed is
+// fitted from the sightings themselves - each sighting's distance to the nearest earlier one divided by
+// the time between them, taking the median - or taken from the species' threat level when there are too
+// few dated pairs. At a horizon of t years a cell at distance d from the nearest sighting is occupied with
+// likelihood w * 2^-(d / ct)^2, where w (0-1) is the habitat suitability of the cell for the species
+// (js/habitat.js), so the front advances through suitable climate and stalls in unsuitable climate.
+
+const SPREAD_HORIZONS = [1, 3, 5];                  // years
+const SPREAD_DEFAULT_SPEED_KM_PER_YEAR = { Severe: 5, High: 3, Moderate: 1.5, Low: 0.5 };
+const SPREAD_MIN_INTERVAL_DAYS = 30;                // sightings closer in time say nothing about speed
+const SPREAD_MAX_JUMP_KM = 200;                     // longer gaps are human-assisted jumps, not diffusion
+const SPREAD_OCCUPIED_LIKELIHOOD = 0.5;
+const SPREAD_CELLS_ACROSS = 40;                     // cells across the widest forecast circle
+const SPREAD_MIN_CELL_KM = 0.25;
+const SPREAD_KM_PER_DEGREE = 111.32;
+
+function medianOf(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Front speed in km/year from sightings sorted by date; null without a usable pair
+function fitSpreadSpeed(sightings) {
+    const rates = [];
+    sightings.forEach((sighting, i) => {
+        let nearest = null;
+        sightings.slice(0, i).forEach(earlier => {
+            const days = (sighting.time - earlier.time) / (24 * 60 * 60 * 1000);
+            if (days < SPREAD_MIN_INTERVAL_DAYS) return;
+            const distance = distanceKm(sighting.latitude, sighting.longitude, earlier.latitude, earlier.longitude);
+            if (!nearest || distance < nearest.distance) nearest = { distance, years: days / 365.25 };
+        });
+        if (nearest && nearest.distance <= SPREAD_MAX_JUMP_KM) {
+            rates.push(nearest.distance / nearest.years);
+        }
+    });
+    return rates.length > 0 ? { speed: medianOf(rates), pairs: rates.length } : null;
+}
+
+// Likely occupied cells and area at each horizon for one species.
+// reports are its sighting reports; suitabilityAt(lat, lon) returns a 0-100 score or null when unknown.
+function modelSpread(species, reports, suitabilityAt = () => null) {
+    const sightings = reports
+        .map(report => ({
+            latitude: parseFloat(report.latitude),
+            longitude: parseFloat(report.longitude),
+            time: Date.parse(report.report_date || report.created_at)
+        }))
+        .filter(sighting => !Number.isNaN(sighting.latitude) && !Number.isNaN(sighting.longitude) && !Number.isNaN(sighting.time))
+        .sort((a, b) => a.time - b.time);
+
+    const fitted = fitSpreadSpeed(sightings);
+    const speed = fitted ? fitted.speed : SPREAD_DEFAULT_SPEED_KM_PER_YEAR[species.threat_level] || SPREAD_DEFAULT_SPEED_KM_PER_YEAR.Moderate;
+    const result = {
+        species_id: species.id,
+        species_name: species.scientific_name,
+        sightings: sightings.length,
+        speed_km_per_year: Math.round(speed * 100) / 100,
+        speed_source: fitted ? 'fitted' : 'threat level',
+        fitted_pairs: fitted ? fitted.pairs : 0,
+        cell_km: null,
+        cell_degrees: null,
+        horizons: []
+    };
+    if (sightings.length === 0) return result;
+
+    // One lattice for every sighting so overlapping neighbourhoods share cells
+    const maxRadius = speed * Math.max(...SPREAD_HORIZONS);
+    const cellKm = Math.max(SPREAD_MIN_CELL_KM, 2 * maxRadius / SPREAD_CELLS_ACROSS);
+    const meanLatitude = sightings.reduce((sum, sighting) => sum + sighting.latitude, 0) / sightings.length;
+    const latStep = cellKm / SPREAD_KM_PER_DEGREE;
+    const lonStep = latStep / Math.max(0.1, Math.cos(meanLatitude * Math.PI / 180));
+    result.cell_km = Math.round(cellKm * 100) / 100;
+    result.cell_degrees = { latitude: latStep, longitude: lonStep };
+
+    const weights = new Map();
+    const weightAt = (latitude, longitude) => {
+        const key = `${latitude},${longitude}`;
+        if (!weights.has(key)) {
+            const score = suitabilityAt(latitude, longitude);
+            weights.set(key, score === null || score === undefined ? 1 : score / 100);
+        }
+        return weights.get(key);
+    };
+
+    result.horizons = SPREAD_HORIZONS.map(years => {
+        const radius = speed * years;
+        const reach = Math.ceil(radius / cellKm);
+        const cells = new Map();
+
+        sightings.forEach(sighting => {
+            const row0 = Math.round(sighting.latitude / latStep);
+            const column0 = Math.round(sighting.longitude / lonStep);
+            for (let row = row0 - reach; row <= row0 + reach; row++) {
+                for (let column = column0 - reach; column <= column0 + reach; column++) {
+                    const latitude = Math.round(row * latStep * 1e6) / 1e6;
+                    const longitude = Math.round(column * lonStep * 1e6) / 1e6;
+                    const distance = distanceKm(sighting.latitude, sighting.longitude, latitude, longitude);
+                    if (distance > radius + cellKm) continue;
+
+                    const likelihood = weightAt(latitude, longitude) * Math.pow(2, -Math.pow(distance / radius, 2));
+                    const key = `${row},${column}`;
+                    if (!cells.has(key) || cells.get(key).likelihood < likelihood) {
+                        cells.set(key, { latitude, longitude, likelihood: Math.round(likelihood * 1000) / 1000 });
+                    }
+                }
+            }
+        });
+
+        const occupied = [...cells.values()].filter(cell => cell.likelihood >= SPREAD_OCCUPIED_LIKELIHOOD);
+        return {
+            years,
+            radius_km: Math.round(radius * 10) / 10,
+            cells: occupied,
+            area_km2: Math.round(occupied.length * cellKm * cellKm * 10) / 10
+        };
+    });
+    return result;
+}
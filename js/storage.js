@@ -0,0 +1,261 @@
+// Storage backends for the local data layer used by InvasiveSpeciesAPI
+
+// REST table names mapped to the keys used in the API's mockData
+const STORAGE_TABLES = {
+    invasive_species: 'species',
+    sighting_reports: 'reports',
+    monitoring_locations: 'locations',
+    users: 'users',
+    revisions: 'revisions',
+    ndvi_series: 'ndvi',
+    detections: 'detections'
+};
+
+// Bump when a new table is added so IndexedDB creates its object store
+const STORAGE_DB_VERSION = 4;
+
+// Sort records by id so numeric ids keep their creation order ('2' before '10')
+function sortRecordsById(records) {
+    return records.sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+}
+
+// Copy seed data so the store never shares references with the caller
+function cloneRecords(records) {
+    return JSON.parse(JSON.stringify(records || []));
+}
+
+// In-memory store - data is lost on reload, used when IndexedDB is unavailable
+class MemoryStore {
+    constructor() {
+        this.name = 'memory';
+        this.tables = {};
+    }
+
+    // Seed every table and return a snapshot of all data
+    async init(seedData = {}) {
+        Object.values(STORAGE_TABLES).forEach(table => {
+            this.tables[table] = new Map();
+            cloneRecords(seedData[table]).forEach(record => {
+                this.tables[table].set(String(record.id), record);
+            });
+        });
+        return this.getSnapshot();
+    }
+
+    async getSnapshot() {
+        const snapshot = {};
+        for (const table of Object.values(STORAGE_TABLES)) {
+            snapshot[table] = await this.getAll(table);
+        }
+        return snapshot;
+    }
+
+    async getAll(table) {
+        return sortRecordsById(Array.from((this.tables[table] || new Map()).values()));
+    }
+
+    async get(table, id) {
+        return (this.tables[table] && this.tables[table].get(String(id))) || null;
+    }
+
+    async put(table, record) {
+        if (!this.tables[table]) {
+            this.tables[table] = new Map();
+        }
+        this.tables[table].set(String(record.id), record);
+        return record;
+    }
+
+    async putMany(table, records) {
+        for (const record of records) {
+            await this.put(table, record);
+        }
+        return records;
+    }
+
+    async delete(table, id) {
+        if (this.tables[table]) {
+            this.tables[table].delete(String(id));
+        }
+    }
+
+    async clear() {
+        this.tables = {};
+    }
+}
+
+// IndexedDB-backed store - seeds each table once, then persists every write
+class IndexedDBStore {
+    constructor(dbName = 'ipsms_data') {
+        this.name = 'indexeddb';
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    // Open (or upgrade) the database, creating one object store per table
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, STORAGE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(STORAGE_TABLES).forEach(table => {
+                    if (!db.objectStoreNames.contains(table)) {
+                        db.createObjectStore(table, { keyPath: 'id' });
+                    }
+                });
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+    }
+
+    // Wrap a single-store request in a promise
+    runRequest(table, mode, action) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(table, mode);
+            const request = action(transaction.objectStore(table));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    // Seed tables that have never been seeded, then return a snapshot of all data
+    async init(seedData = {}) {
+        const db = await this.open();
+        const seededMeta = await this.runRequest('meta', 'readonly', store => store.get('seeded_tables'));
+        const seededTables = seededMeta ? seededMeta.value : [];
+        const pendingTables = Object.values(STORAGE_TABLES).filter(table => !seededTables.includes(table));
+
+        if (pendingTables.length > 0) {
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([...pendingTables, 'meta'], 'readwrite');
+                pendingTables.forEach(table => {
+                    const store = transaction.objectStore(table);
+                    cloneRecords(seedData[table]).forEach(record => {
+                        store.put({ ...record, id: String(record.id) });
+                    });
+                });
+                transaction.objectStore('meta').put({
+                    key: 'seeded_tables',
+                    value: [...seededTables, ...pendingTables]
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+            console.log('Seeded local database tables:', pendingTables.join(', '));
+        }
+
+        await this.migrate(seedData);
+        return this.getSnapshot();
+    }
+
+    // Fill fields added to the seed data after this database was seeded (see js/migrations.js)
+    async migrate(seedData = {}) {
+        const versionMeta = await this.runRequest('meta', 'readonly', store => store.get('data_version'));
+        const fromVersion = versionMeta ? versionMeta.value : 0;
+        if (fromVersion >= DATA_VERSION) return;
+
+        const tables = {};
+        const seedTables = {};
+        for (const [table, key] of Object.entries(STORAGE_TABLES)) {
+            tables[table] = await this.getAll(key);
+            seedTables[table] = seedData[key] || [];
+        }
+        const changes = runDataMigrations(tables, seedTables, fromVersion);
+
+        const db = await this.open();
+        const changedTables = Object.keys(changes).map(table => STORAGE_TABLES[table]);
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([...changedTables, 'meta'], 'readwrite');
+            Object.entries(changes).forEach(([table, records]) => {
+                const store = transaction.objectStore(STORAGE_TABLES[table]);
+                records.forEach(record => store.put({ ...record, id: String(record.id) }));
+            });
+            transaction.objectStore('meta').put({ key: 'data_version', value: DATA_VERSION });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        if (changedTables.length > 0) {
+            console.log(`Migrated local database to data version ${DATA_VERSION}:`, changedTables.join(', '));
+        }
+    }
+
+    async getSnapshot() {
+        const snapshot = {};
+        for (const table of Object.values(STORAGE_TABLES)) {
+            snapshot[table] = await this.getAll(table);
+        }
+        return snapshot;
+    }
+
+    async getAll(table) {
+        const records = await this.runRequest(table, 'readonly', store => store.getAll());
+        return sortRecordsById(records || []);
+    }
+
+    async get(table, id) {
+        const record = await this.runRequest(table, 'readonly', store => store.get(String(id)));
+        return record || null;
+    }
+
+    async put(table, record) {
+        await this.runRequest(table, 'readwrite', store => store.put({ ...record, id: String(record.id) }));
+        return record;
+    }
+
+    // Write several records in one transaction, so a bulk import is stored completely or not at all
+    async putMany(table, records) {
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(table, 'readwrite');
+            const store = transaction.objectStore(table);
+            records.forEach(record => store.put({ ...record, id: String(record.id) }));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        return records;
+    }
+
+    async delete(table, id) {
+        await this.runRequest(table, 'readwrite', store => store.delete(String(id)));
+    }
+
+    // Empty every table and the seed marker so the next init re-seeds from mock data
+    async clear() {
+        const db = await this.open();
+        const tables = [...Object.values(STORAGE_TABLES), 'meta'];
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(tables, 'readwrite');
+            tables.forEach(table => transaction.objectStore(table).clear());
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+// Pick the default store: IndexedDB in browsers that support it, memory otherwise
+function createDefaultStore() {
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBStore();
+    }
+    console.warn('IndexedDB not available - local data will not persist across reloads');
+    return new MemoryStore();
+}
@@ -0,0 +1,176 @@
+// Tabular exports: records flattened to columns and written as RFC 4180 CSV or an XLSX workbook
+//
+// Nested objects become dotted columns (nasa_data.ndvi, nasa_data.climate.temperature), arrays of plain
+// values are joined with '; ' (common_names) and arrays of objects are kept as JSON text, as are GeoJSON
+// geometries. A sheet is { name, columns, rows } where rows are flattened records; the workbook is a
+// zip (js/zip.js) of SpreadsheetML parts with inline strings, so no shared string table is needed.
+
+// Fields written as one JSON cell rather than spread over columns
+const TABULAR_JSON_FIELDS = ['extent', 'geometry'];
+const TABULAR_LIST_SEPARATOR = '; ';
+const XLSX_MAX_SHEET_NAME = 31;
+
+// One flat object per record, keys in the record's own order
+function flattenRecord(record, prefix = '', flat = {}) {
+    Object.entries(record || {}).forEach(([key, value]) => {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (Array.isArray(value)) {
+            const plain = value.every(item => item === null || typeof item !== 'object');
+            flat[column] = plain ? value.join(TABULAR_LIST_SEPARATOR) : JSON.stringify(value);
+        } else if (value && typeof value === 'object' && !TABULAR_JSON_FIELDS.includes(key)) {
+            flattenRecord(value, column, flat);
+        } else if (value && typeof value === 'object') {
+            flat[column] = JSON.stringify(value);
+        } else {
+            flat[column] = value;
+        }
+    });
+    return flat;
+}
+
+// Every column used by the flattened rows, in first-seen order
+function getTabularColumns(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+    return [...columns];
+}
+
+// Sheet of the records with every column, for the column picker to narrow down. Known columns come first
+// and keep the header of a sheet without rows.
+function createSheet(name, records, knownColumns = []) {
+    const rows = records.map(record => flattenRecord(record));
+    return { name, columns: [...new Set([...knownColumns, ...getTabularColumns(rows)])], rows };
+}
+
+// Rows of a { key: value } summary such as a distribution, as a two-column sheet
+function createSummarySheet(name, values, keyColumn = 'name', valueColumn = 'value') {
+    return createSheet(name, Object.entries(values).map(([key, value]) => ({ [keyColumn]: key, [valueColumn]: value })), [keyColumn, valueColumn]);
+}
+
+// Reports with species_name after species_id, so spreadsheets do not need a lookup
+function withSpeciesNames(records, species = []) {
+    const names = {};
+    species.forEach(s => {
+        names[s.id] = s.scientific_name;
+    });
+    return records.map(record => {
+        const named = {};
+        Object.entries(record).forEach(([key, value]) => {
+            named[key] = value;
+            if (key === 'species_id') named.species_name = names[value] || '';
+        });
+        return named;
+    });
+}
+
+function formatCsvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180: CRLF line breaks, fields with commas, quotes or line breaks quoted and quotes doubled
+function buildCsv(columns, rows) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(formatCsvField).join(','));
+    return lines.join('\r\n') + '\r\n';
+}
+
+// A, B, ..., Z, AA, AB, ...
+function getColumnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+    }
+    return letter;
+}
+
+function buildXlsxCell(reference, value, style = 0) {
+    const styleAttribute = style ? ` s="${style}"` : '';
+    if (value === undefined || value === null || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${reference}"${styleAttribute} t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// Worksheet with a bold, frozen header row
+function buildXlsxWorksheet(columns, rows) {
+    const header = `<row r="1">${columns.map((column, i) => buildXlsxCell(`${getColumnLetter(i)}1`, column, 1)).join('')}</row>`;
+    const body = rows.map((row, r) => `<row r="${r + 2}">${columns
+        .map((column, i) => buildXlsxCell(`${getColumnLetter(i)}${r + 2}`, row[column]))
+        .join('')}</row>`).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${header}${body}</sheetData>` +
+        '</worksheet>';
+}
+
+// Sheet names are at most 31 characters, without []:*?/\ and unique within the workbook
+function getXlsxSheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, i) => {
+        const base = String(sheet.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, XLSX_MAX_SHEET_NAME) || `Sheet${i + 1}`;
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base.slice(0, XLSX_MAX_SHEET_NAME - String(n).length - 1)} ${n}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+// XLSX workbook with one worksheet per { name, columns, rows } sheet, as a Uint8Array
+function createXlsxWorkbook(sheets) {
+    const names = getXlsxSheetNames(sheets);
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            // Style 0 is the default, style 1 the bold header
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>'
+        },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: buildXlsxWorksheet(sheet.columns, sheet.rows) }))
+    ];
+    return createZipArchive(files);
+}
@@ -0,0 +1,203 @@
+// Timeline under the species map: a month slider that limits sightings and satellite detections to a
+// date window, month-by-month playback, and a histogram of records per month
+//
+// The window is kept in timelineWindow (js/map.js) as { start, end } months ('YYYY-MM', inclusive) and
+// applied by updateMapDisplay; monitoring sites are not dated and always stay on the map.
+
+const TIMELINE_PLAY_INTERVAL_MS = 800;
+
+let timelineMonths = [];
+let timelinePlayer = null;
+
+// 'YYYY-MM' of an ISO date, or null
+function getMonthKey(date) {
+    const match = /^(\d{4})-(\d{2})/.exec(String(date || ''));
+    return match ? `${match[1]}-${match[2]}` : null;
+}
+
+// Every month from first to last inclusive
+function listMonths(first, last) {
+    const months = [];
+    let [year, month] = first.split('-').map(Number);
+    const [lastYear, lastMonth] = last.split('-').map(Number);
+    while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+        months.push(`${year}-${String(month).padStart(2, '0')}`);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return months;
+}
+
+function formatMonthKey(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+// The month a sighting or detection marker belongs to
+function getMarkerMonth(marker) {
+    if (marker.reportData) return getMonthKey(marker.reportData.report_date || marker.reportData.created_at);
+    if (marker.detectionData) return getMonthKey(marker.detectionData.acquisition_date);
+    return null;
+}
+
+// Set up the slider and histogram for the markers currently loaded; clears any window
+function buildTimeline() {
+    stopTimelinePlayback();
+    timelineWindow = null;
+
+    const container = document.getElementById('map-timeline');
+    const slider = document.getElementById('timeline-slider');
+    if (!container || !slider) return;
+
+    const dated = markers.map(getMarkerMonth).filter(Boolean).sort();
+    if (dated.length === 0) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+
+    timelineMonths = listMonths(dated[0], dated[dated.length - 1]);
+    slider.min = 0;
+    slider.max = timelineMonths.length - 1;
+    slider.value = timelineMonths.length - 1;
+    document.getElementById('timeline-enabled').checked = false;
+
+    renderTimelineHistogram();
+    updateTimelineLabel();
+}
+
+// One bar per month, sightings stacked on detections
+function renderTimelineHistogram() {
+    const histogram = document.getElementById('timeline-histogram');
+    if (!histogram) return;
+
+    const counts = {};
+    timelineMonths.forEach(month => {
+        counts[month] = { sighting: 0, detection: 0 };
+    });
+    markers.forEach(marker => {
+        const month = getMarkerMonth(marker);
+        if (month && counts[month] && counts[month][marker.markerType] !== undefined) {
+            counts[month][marker.markerType]++;
+        }
+    });
+    const maxCount = Math.max(1, ...timelineMonths.map(month => counts[month].sighting + counts[month].detection));
+
+    histogram.innerHTML = timelineMonths.map((month, index) => {
+        const { sighting, detection } = counts[month];
+        return `
+            <div class="timeline-bar flex-1 flex flex-col justify-end h-full cursor-pointer" data-index="${index}"
+                 title="${formatMonthKey(month)}: ${sighting} sighting${sighting === 1 ? '' : 's'}, ${detection} detection${detection === 1 ? '' : 's'}"
+                 onclick="selectTimelineMonth(${index})">
+                <div class="bg-green-600" style="height: ${sighting / maxCount * 100}%;"></div>
+                <div class="bg-blue-500" style="height: ${detection / maxCount * 100}%;"></div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Jump to a month from the histogram
+function selectTimelineMonth(index) {
+    document.getElementById('timeline-slider').value = index;
+    document.getElementById('timeline-enabled').checked = true;
+    updateTimelineWindow();
+}
+
+// Read the slider and window size, then refilter the map
+function updateTimelineWindow() {
+    const enabled = document.getElementById('timeline-enabled')?.checked === true;
+    const slider = document.getElementById('timeline-slider');
+    if (!slider || timelineMonths.length === 0) return;
+
+    if (enabled) {
+        const endIndex = parseInt(slider.value, 10);
+        const windowMonths = parseInt(document.getElementById('timeline-window').value, 10);
+        const startIndex = windowMonths > 0 ? Math.max(0, endIndex - windowMonths + 1) : 0;
+        timelineWindow = { start: timelineMonths[startIndex], end: timelineMonths[endIndex] };
+    } else {
+        timelineWindow = null;
+    }
+
+    updateTimelineLabel();
+    updateMapDisplay();
+}
+
+function updateTimelineLabel() {
+    const label = document.getElementById('timeline-label');
+    const histogram = document.getElementById('timeline-histogram');
+
+    if (label) {
+        if (!timelineWindow) {
+            label.textContent = 'All dates';
+        } else if (timelineWindow.start === timelineWindow.end) {
+            label.textContent = formatMonthKey(timelineWindow.end);
+        } else {
+            label.textContent = `${formatMonthKey(timelineWindow.start)} - ${formatMonthKey(timelineWindow.end)}`;
+        }
+    }
+    if (histogram) {
+        histogram.querySelectorAll('.timeline-bar').forEach(bar => {
+            const month = timelineMonths[parseInt(bar.dataset.index, 10)];
+            const inWindow = !timelineWindow || (month >= timelineWindow.start && month <= timelineWindow.end);
+            bar.style.opacity = inWindow ? '1' : '0.3';
+        });
+    }
+}
+
+// Play month by month from the start (or from the current month if mid-way) to the last month
+function toggleTimelinePlayback() {
+    if (timelinePlayer) {
+        stopTimelinePlayback();
+        return;
+    }
+
+    const slider = document.getElementById('timeline-slider');
+    if (!slider || timelineMonths.length === 0) return;
+    if (!document.getElementById('timeline-enabled').checked || parseInt(slider.value, 10) >= timelineMonths.length - 1) {
+        slider.value = 0;
+    }
+    document.getElementById('timeline-enabled').checked = true;
+    updateTimelineWindow();
+
+    const button = document.getElementById('timeline-play');
+    if (button) button.innerHTML = '<i class="fas fa-pause"></i>';
+    timelinePlayer = setInterval(() => {
+        const next = parseInt(slider.value, 10) + 1;
+        if (next >= timelineMonths.length) {
+            stopTimelinePlayback();
+            return;
+        }
+        slider.value = next;
+        updateTimelineWindow();
+    }, TIMELINE_PLAY_INTERVAL_MS);
+}
+
+function stopTimelinePlayback() {
+    if (timelinePlayer) {
+        clearInterval(timelinePlayer);
+        timelinePlayer = null;
+    }
+    const button = document.getElementById('timeline-play');
+    if (button) button.innerHTML = '<i class="fas fa-play"></i>';
+}
+
+// Called from setupMapControls (js/map.js); returns false when the page has no timeline
+function setupTimelineControls() {
+    const slider = document.getElementById('timeline-slider');
+    if (!slider) return false;
+
+    slider.addEventListener('input', () => {
+        document.getElementById('timeline-enabled').checked = true;
+        updateTimelineWindow();
+    });
+    document.getElementById('timeline-enabled').addEventListener('change', updateTimelineWindow);
+    document.getElementById('timeline-window').addEventListener('change', updateTimelineWindow);
+    document.getElementById('timeline-play').addEventListener('click', toggleTimelinePlayback);
+    return true;
+}
+
+// Make month selection available to the histogram's inline handlers
+window.selectTimelineMonth = selectTimelineMonth;
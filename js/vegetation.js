@@ -0,0 +1,264 @@
+// Vegetation index (NDVI) providers and anomaly analysis for sighting locations
+//
+// A provider returns a series for a point and date range:
+//   { provider, product, latitude, longitude, start, end, observations: [{ date, ndvi }] }
+// ModisNdviProvider reads 16-day MODIS/VIIRS composites from the ORNL DAAC MODIS web service.
+// TableNdviProvider answers from a locally supplied table - CSV rows extracted from NDVI GeoTIFFs
+// (date, ndvi and either report_id or latitude/longitude) - so NDVI also works offline.
+// Series are stored per report in the ndvi_series table.
+
+const NDVI_TABLE = 'ndvi_series';
+const NDVI_WINDOW_YEARS = 2;            // enough for one earlier season to compare against
+const NDVI_PRODUCTS = {
+    MOD13Q1: { label: 'MODIS Terra 250 m', band: '250m_16_days_NDVI' },
+    MYD13Q1: { label: 'MODIS Aqua 250 m', band: '250m_16_days_NDVI' },
+    VNP13A1: { label: 'VIIRS 500 m', band: '500_m_16_days_NDVI' }
+};
+const NDVI_SCALE = 0.0001;              // MODIS/VIIRS store NDVI as integers
+const NDVI_VALID_RANGE = [-2000, 10000];
+const NDVI_DATES_PER_REQUEST = 10;      // ORNL subset requests are limited to 10 composites
+const NDVI_TABLE_MATCH_KM = 1;          // table points farther than this from a report are ignored
+const NDVI_BASELINE_WINDOW_DAYS = 16;   // composites this close in the season are compared across years
+const NDVI_ANOMALY_THRESHOLD = 0.1;
+const NDVI_GREEN_UP_SHIFT_DAYS = 14;
+const NDVI_GREEN_UP_MIN_SPAN_DAYS = 180; // partial years (e.g. the report's own) have no meaningful green-up
+
+class ModisNdviProvider {
+    // request(endpoint, options) is InvasiveSpeciesAPI.makeRequest, which routes 'nasa/modis/...' to ORNL
+    constructor(request, product = 'MOD13Q1') {
+        this.name = 'modis';
+        this.request = request;
+        this.product = NDVI_PRODUCTS[product] ? product : 'MOD13Q1';
+    }
+
+    async getSeries(latitude, longitude, start, end) {
+        const location = `latitude=${latitude}&longitude=${longitude}`;
+        const options = { headers: { Accept: 'application/json' } };
+
+        // Composite dates available at this location, then their values in batches
+        const available = await this.request(`nasa/modis/${this.product}/dates?${location}`, options);
+        const dates = (available.dates || []).filter(date => date.calendar_date >= start && date.calendar_date <= end);
+        const observations = [];
+
+        for (let i = 0; i < dates.length; i += NDVI_DATES_PER_REQUEST) {
+            const batch = dates.slice(i, i + NDVI_DATES_PER_REQUEST);
+            const params = new URLSearchParams({
+                band: NDVI_PRODUCTS[this.product].band,
+                startDate: batch[0].modis_date,
+                endDate: batch[batch.length - 1].modis_date,
+                kmAboveBelow: 0,
+                kmLeftRight: 0
+            });
+            const response = await this.request(`nasa/modis/${this.product}/subset?${location}&${params}`, options);
+            const scale = parseFloat(response.scale) || NDVI_SCALE;
+
+            (response.subset || []).forEach(composite => {
+                const value = composite.data ? composite.data[0] : null;
+                if (value === null || value < NDVI_VALID_RANGE[0] || value > NDVI_VALID_RANGE[1]) return;
+                observations.push({ date: composite.calendar_date, ndvi: roundNdvi(value * scale) });
+            });
+        }
+
+        return { provider: this.name, product: this.product, latitude, longitude, start, end, observations };
+    }
+}
+
+class TableNdviProvider {
+    // rows: parsed table rows, or a function that loads them the first time they are needed
+    constructor(rows) {
+        this.name = 'table';
+        this.product = 'local';
+        this.rows = Array.isArray(rows) ? rows : null;
+        this.loadRows = Array.isArray(rows) ? null : rows;
+    }
+
+    async getRows() {
+        if (!this.rows) {
+            this.rows = await this.loadRows();
+        }
+        return this.rows;
+    }
+
+    // Rows for the report when the table has report ids, otherwise the nearest point within NDVI_TABLE_MATCH_KM
+    async getSeries(latitude, longitude, start, end, { reportId } = {}) {
+        const rows = await this.getRows();
+        let matches = reportId !== undefined ? rows.filter(row => row.report_id === String(reportId)) : [];
+
+        if (matches.length === 0) {
+            let nearest = null;
+            rows.forEach(row => {
+                if (row.latitude === null || row.longitude === null) return;
+                const distance = distanceKm(latitude, longitude, row.latitude, row.longitude);
+                if (distance <= NDVI_TABLE_MATCH_KM && (!nearest || distance < nearest.distance)) {
+                    nearest = { distance, latitude: row.latitude, longitude: row.longitude };
+                }
+            });
+            matches = nearest ? rows.filter(row => row.latitude === nearest.latitude && row.longitude === nearest.longitude) : [];
+        }
+
+        const observations = matches
+            .filter(row => row.date >= start && row.date <= end)
+            .map(row => ({ date: row.date, ndvi: row.ndvi }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        return { provider: this.name, product: this.product, latitude, longitude, start, end, observations };
+    }
+}
+
+// Pick the configured provider ('modis' or 'table')
+function createNdviProvider(name, request, { product, tableURL } = {}) {
+    if (name === 'table') {
+        return new TableNdviProvider(async () => {
+            const response = await fetch(tableURL);
+            if (!response.ok) {
+                throw new Error(`NDVI table ${tableURL} returned status ${response.status}`);
+            }
+            return parseNdviTable(await response.text());
+        });
+    }
+    return new ModisNdviProvider(request, product);
+}
+
+function roundNdvi(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// 'YYYY-MM-DD' from ISO dates or MODIS 'AYYYYDDD' composite dates
+function normalizeNdviDate(value) {
+    const modisDate = /^A(\d{4})(\d{3})$/.exec(value);
+    if (modisDate) {
+        const date = new Date(Date.UTC(parseInt(modisDate[1], 10), 0, parseInt(modisDate[2], 10)));
+        return date.toISOString().split('T')[0];
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time).toISOString().split('T')[0];
+}
+
+// Parse a CSV table with a header row: date and ndvi (or value) columns, plus report_id or latitude/longitude.
+// Integer NDVI as stored in MODIS/VIIRS GeoTIFFs (-2000..10000) is rescaled to -0.2..1.
+function parseNdviTable(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) {
+        throw new Error('NDVI table is empty');
+    }
+
+    const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+    const column = (...names) => header.findIndex(name => names.includes(name));
+    const columns = {
+        date: column('date', 'calendar_date', 'modis_date'),
+        ndvi: column('ndvi', 'value'),
+        reportId: column('report_id'),
+        latitude: column('latitude', 'lat'),
+        longitude: column('longitude', 'lon', 'lng')
+    };
+    if (columns.date === -1 || columns.ndvi === -1) {
+        throw new Error('NDVI table needs a header with date and ndvi columns');
+    }
+    if (columns.reportId === -1 && (columns.latitude === -1 || columns.longitude === -1)) {
+        throw new Error('NDVI table needs a report_id column or latitude and longitude columns');
+    }
+
+    const number = (cells, index) => index === -1 || cells[index] === '' ? null : parseFloat(cells[index]);
+    return lines.slice(1).map(line => {
+        const cells = line.split(',').map(cell => cell.trim());
+        let ndvi = number(cells, columns.ndvi);
+        if (ndvi !== null && Math.abs(ndvi) > 1) {
+            ndvi *= NDVI_SCALE;
+        }
+        return {
+            date: normalizeNdviDate(cells[columns.date]),
+            ndvi: ndvi === null || Number.isNaN(ndvi) ? null : roundNdvi(ndvi),
+            report_id: columns.reportId === -1 ? null : cells[columns.reportId],
+            latitude: number(cells, columns.latitude),
+            longitude: number(cells, columns.longitude)
+        };
+    }).filter(row => row.date && row.ndvi !== null);
+}
+
+// The NDVI_WINDOW_YEARS years up to the report date
+function getNdviWindow(date) {
+    const requested = date ? new Date(date) : new Date();
+    const end = Number.isNaN(requested.getTime()) ? new Date() : requested;
+    const start = new Date(Date.UTC(end.getUTCFullYear() - NDVI_WINDOW_YEARS, end.getUTCMonth(), end.getUTCDate()));
+    return {
+        start: start.toISOString().split('T')[0],
+        end: end.toISOString().split('T')[0]
+    };
+}
+
+function getDayOfYear(date) {
+    const time = Date.parse(`${date}T00:00:00Z`);
+    return Math.floor((time - Date.UTC(new Date(time).getUTCFullYear(), 0, 1)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+// Add a baseline (mean NDVI at the same time of year in the other years) and the anomaly against it
+function computeNdviAnomalies(observations) {
+    return observations.map(observation => {
+        const year = observation.date.slice(0, 4);
+        const dayOfYear = getDayOfYear(observation.date);
+        const comparable = observations.filter(other => {
+            if (other.date.slice(0, 4) === year) return false;
+            const gap = Math.abs(getDayOfYear(other.date) - dayOfYear);
+            return Math.min(gap, 365 - gap) <= NDVI_BASELINE_WINDOW_DAYS;
+        });
+        const baseline = comparable.length > 0
+            ? roundNdvi(comparable.reduce((total, other) => total + other.ndvi, 0) / comparable.length)
+            : null;
+        return {
+            ...observation,
+            baseline,
+            anomaly: baseline === null ? null : roundNdvi(observation.ndvi - baseline)
+        };
+    });
+}
+
+// Green-up date per well-covered year: the first composite above halfway between the year's minimum and maximum
+function findGreenUpDates(observations) {
+    const years = {};
+    observations.forEach(observation => {
+        const year = observation.date.slice(0, 4);
+        years[year] = years[year] || [];
+        years[year].push(observation);
+    });
+
+    return Object.keys(years).sort().filter(year => {
+        const days = years[year].map(observation => getDayOfYear(observation.date));
+        return Math.max(...days) - Math.min(...days) >= NDVI_GREEN_UP_MIN_SPAN_DAYS;
+    }).map(year => {
+        const values = years[year].map(observation => observation.ndvi);
+        const threshold = (Math.min(...values) + Math.max(...values)) / 2;
+        const greenUp = years[year].find(observation => observation.ndvi >= threshold);
+        return { year, date: greenUp.date, day_of_year: getDayOfYear(greenUp.date) };
+    });
+}
+
+// Anomalies, green-up timing and plain-language notes for the verification modal
+function analyzeNdviSeries(observations) {
+    const sorted = [...observations].sort((a, b) => a.date.localeCompare(b.date));
+    if (sorted.length === 0) {
+        return { observations: [], latest: null, peak: null, green_up: [], green_up_shift_days: null, flagged: 0, notes: [] };
+    }
+
+    const withAnomalies = computeNdviAnomalies(sorted);
+    const greenUp = findGreenUpDates(sorted);
+    const flagged = withAnomalies.filter(observation => observation.anomaly !== null && observation.anomaly >= NDVI_ANOMALY_THRESHOLD);
+    const shift = greenUp.length > 1 ? greenUp[greenUp.length - 1].day_of_year - greenUp[greenUp.length - 2].day_of_year : null;
+
+    const notes = [];
+    if (shift !== null && shift <= -NDVI_GREEN_UP_SHIFT_DAYS) {
+        notes.push(`Green-up ${-shift} days earlier than the year before - winter annuals such as cheatgrass green up ahead of native vegetation.`);
+    }
+    if (flagged.length > 0) {
+        notes.push(`NDVI at least ${NDVI_ANOMALY_THRESHOLD} above the seasonal baseline on ${flagged.length} composite${flagged.length === 1 ? '' : 's'} - dense canopy growth such as kudzu produces this.`);
+    }
+
+    return {
+        observations: withAnomalies,
+        latest: sorted[sorted.length - 1],
+        peak: sorted.reduce((peak, observation) => observation.ndvi > peak.ndvi ? observation : peak),
+        green_up: greenUp,
+        green_up_shift_days: shift,
+        flagged: flagged.length,
+        notes
+    };
+}
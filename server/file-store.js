@@ -0,0 +1,163 @@
+// File-based JSON store backing the reference REST server
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_VERSION, runDataMigrations } = require('../js/migrations');
+
+const TABLES = ['invasive_species', 'sighting_reports', 'monitoring_locations', 'users', 'revisions', 'ndvi_series', 'detections'];
+
+class FileStore {
+    constructor(filePath, seedPath) {
+        this.filePath = filePath;
+        this.seedPath = seedPath;
+        this.data = null;
+    }
+
+    // Load the data file, creating it from the seed file on first run
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } else {
+            this.data = JSON.parse(fs.readFileSync(this.seedPath, 'utf8'));
+            console.log(`Seeding ${this.filePath} from ${this.seedPath}`);
+        }
+
+        // Make sure every table exists even if the file predates it
+        TABLES.forEach(table => {
+            if (!Array.isArray(this.data[table])) {
+                this.data[table] = [];
+            }
+        });
+
+        this.migrate();
+        this.save();
+        return this;
+    }
+
+    // Fill fields added to the seed file after this data file was created (see js/migrations.js)
+    migrate() {
+        const meta = this.data.meta || {};
+        const fromVersion = meta.data_version || 0;
+        if (fromVersion >= DATA_VERSION) {
+            return;
+        }
+
+        const seed = JSON.parse(fs.readFileSync(this.seedPath, 'utf8'));
+        const changes = runDataMigrations(this.data, seed, fromVersion);
+        Object.entries(changes).forEach(([table, records]) => {
+            records.forEach(record => {
+                const index = this.data[table].findIndex(existing => String(existing.id) === String(record.id));
+                this.data[table][index] = record;
+            });
+            console.log(`Migrated ${records.length} ${table} record(s) to data version ${DATA_VERSION}`);
+        });
+        this.data.meta = { ...meta, data_version: DATA_VERSION };
+    }
+
+    // Write through a temporary file so a crash never leaves half-written JSON
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    hasTable(table) {
+        return TABLES.includes(table);
+    }
+
+    list(table) {
+        return this.data[table];
+    }
+
+    get(table, id) {
+        return this.data[table].find(record => String(record.id) === String(id)) || null;
+    }
+
+    // Next numeric id, so ids stay unique even after deletions
+    nextId(table) {
+        const maxId = this.data[table].reduce((max, record) => {
+            const numericId = parseInt(record.id, 10);
+            return Number.isNaN(numericId) ? max : Math.max(max, numericId);
+        }, 0);
+        return String(maxId + 1);
+    }
+
+    insert(table, record) {
+        return this.insertMany(table, [record])[0];
+    }
+
+    // Insert several records with a single write of the data file
+    insertMany(table, records) {
+        const now = new Date().toISOString();
+        const created = records.map(record => {
+            const newRecord = {
+                ...record,
+                id: record.id && !this.get(table, record.id) ? String(record.id) : this.nextId(table),
+                created_at: record.created_at || now,
+                updated_at: now
+            };
+            this.data[table].push(newRecord);
+            return newRecord;
+        });
+        this.save();
+        return created;
+    }
+
+    // Merge changes into a record (PATCH) or replace it entirely (PUT)
+    update(table, id, changes, replace = false) {
+        const index = this.data[table].findIndex(record => String(record.id) === String(id));
+        if (index === -1 || this.data[table][index].deleted_at) {
+            return null;
+        }
+
+        const existing = this.data[table][index];
+        const base = replace ? { created_at: existing.created_at } : existing;
+        const updated = {
+            ...base,
+            ...changes,
+            id: existing.id,
+            updated_at: new Date().toISOString()
+        };
+
+        this.data[table][index] = updated;
+        this.save();
+        return updated;
+    }
+
+    // Move a record to the trash; it stays in the file until removed for good
+    softDelete(table, id, deletedBy) {
+        const record = this.get(table, id);
+        if (!record) {
+            return null;
+        }
+        record.deleted_at = new Date().toISOString();
+        record.deleted_by = deletedBy || 'Unknown';
+        this.save();
+        return record;
+    }
+
+    restore(table, id) {
+        const record = this.get(table, id);
+        if (!record) {
+            return null;
+        }
+        delete record.deleted_at;
+        delete record.deleted_by;
+        record.updated_at = new Date().toISOString();
+        this.save();
+        return record;
+    }
+
+    remove(table, id) {
+        const index = this.data[table].findIndex(record => String(record.id) === String(id));
+        if (index === -1) {
+            return false;
+        }
+        this.data[table].splice(index, 1);
+        this.save();
+        return true;
+    }
+}
+
+module.exports = { FileStore, TABLES };
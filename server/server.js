@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+// Reference REST server implementing the tables/* endpoints called by InvasiveSpeciesAPI
+// Also serves the static front-end so the app can run with useMockData = false
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('./file-store');
+const { queryRecords } = require('../js/query');
+const { assertValidRecord, assertValidRecords } = require('../js/schema');
+const { HISTORY_TABLE, isAuditedTable, buildRevision } = require('../js/history');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+// Outside ROOT_DIR so the database can never be served as a static file
+const DEFAULT_DATA_FILE = path.join(os.homedir(), '.ipsms', 'db.json');
+const SEED_FILE = path.join(__dirname, 'seed.json');
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_BATCH_RECORDS = 1000;
+
+// Front-end files and directories served from ROOT_DIR; everything else (server/, docs, patches) is not
+const STATIC_FILES = ['index.html', 'test-map.html', 'config.json'];
+const STATIC_DIRS = ['js', 'css', 'fixtures'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.geojson': 'application/geo+json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Error carrying the HTTP status to send back
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        // Over the limit the rest is read and thrown away, so the client gets the 413 instead of a reset connection
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                chunks.length = 0;
+                reject(new HttpError(413, 'Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) return;
+            const raw = Buffer.concat(chunks).toString('utf8');
+            if (!raw) {
+                resolve({});
+                return;
+            }
+            try {
+                const body = JSON.parse(raw);
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    reject(new HttpError(400, 'Request body must be a JSON object'));
+                    return;
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+// Name of the signed-in user sent by the client, used to attribute revisions
+function getRequestUser(req) {
+    const header = req.headers['x-user-name'];
+    if (!header) return 'Anonymous';
+    try {
+        return decodeURIComponent(header);
+    } catch (error) {
+        return header;
+    }
+}
+
+// Append a revision when a record of an audited table changes (see js/history.js)
+function recordRevision(store, req, table, before, after, action) {
+    if (!isAuditedTable(table)) return;
+    const revision = buildRevision(table, before, after, action, getRequestUser(req));
+    if (revision) {
+        store.insert(HISTORY_TABLE, revision);
+    }
+}
+
+// Revisions for many records created at once, stored with a single write
+function recordCreations(store, req, table, created) {
+    if (!isAuditedTable(table)) return;
+    const revisions = created.map(record => buildRevision(table, null, record, 'create', getRequestUser(req))).filter(Boolean);
+    if (revisions.length > 0) {
+        store.insertMany(HISTORY_TABLE, revisions);
+    }
+}
+
+// Create every record of a { records: [...] } body, or none of them when one is invalid
+async function handleBatchRequest(store, req, res, table) {
+    const body = await readJsonBody(req);
+    if (!Array.isArray(body.records)) {
+        throw new HttpError(400, 'Batch body must be { records: [...] }');
+    }
+    if (body.records.length > MAX_BATCH_RECORDS) {
+        throw new HttpError(413, `At most ${MAX_BATCH_RECORDS} records per batch`);
+    }
+    const created = store.insertMany(table, assertValidRecords(table, body.records));
+    recordCreations(store, req, table, created);
+    sendJson(res, 201, { data: created, total: created.length });
+}
+
+// Route a tables/<table>[/batch | /<id>[/restore]] request
+async function handleTableRequest(store, req, res, table, id, action, searchParams) {
+    if (!store.hasTable(table)) {
+        throw new HttpError(404, `Unknown table: ${table}`);
+    }
+    if (table === HISTORY_TABLE && req.method !== 'GET') {
+        throw new HttpError(405, 'Revisions are read-only');
+    }
+
+    if (id === 'batch' && action === undefined && req.method === 'POST') {
+        await handleBatchRequest(store, req, res, table);
+        return;
+    }
+
+    if (action !== undefined) {
+        if (action !== 'restore' || req.method !== 'POST') {
+            throw new HttpError(404, 'Not found');
+        }
+        // Copy first: restore and softDelete change the stored record in place
+        const existing = store.get(table, id);
+        const before = existing && { ...existing };
+        const restored = store.restore(table, id);
+        if (!restored) throw new HttpError(404, 'Not found');
+        recordRevision(store, req, table, before, restored, 'restore');
+        sendJson(res, 200, { data: restored });
+        return;
+    }
+
+    switch (req.method) {
+        case 'GET': {
+            if (id) {
+                // Trashed records are only returned with ?deleted=include
+                const record = store.get(table, id);
+                if (!record || (record.deleted_at && searchParams.get('deleted') !== 'include')) {
+                    throw new HttpError(404, 'Not found');
+                }
+                sendJson(res, 200, { data: record });
+            } else {
+                sendJson(res, 200, { ...queryRecords(store.list(table), searchParams), table });
+            }
+            return;
+        }
+        case 'POST': {
+            if (id) throw new HttpError(405, 'POST is only allowed on the table collection');
+            const body = assertValidRecord(table, await readJsonBody(req));
+            const created = store.insert(table, body);
+            recordRevision(store, req, table, null, created, 'create');
+            sendJson(res, 201, { data: created });
+            return;
+        }
+        case 'PATCH':
+        case 'PUT': {
+            if (!id) throw new HttpError(405, `${req.method} requires a record id`);
+            const body = assertValidRecord(table, await readJsonBody(req), { partial: req.method === 'PATCH' });
+            const before = store.get(table, id);
+            const updated = store.update(table, id, body, req.method === 'PUT');
+            if (!updated) throw new HttpError(404, 'Not found');
+            recordRevision(store, req, table, before, updated, 'update');
+            sendJson(res, 200, { data: updated });
+            return;
+        }
+        case 'DELETE': {
+            if (!id) throw new HttpError(405, 'DELETE requires a record id');
+            const existing = store.get(table, id);
+            const before = existing && { ...existing };
+            if (searchParams.get('permanent') === 'true') {
+                if (!store.remove(table, id)) throw new HttpError(404, 'Not found');
+                recordRevision(store, req, table, before, null, 'purge');
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+            const body = await readJsonBody(req);
+            const deleted = store.softDelete(table, id, body.deleted_by);
+            if (!deleted) throw new HttpError(404, 'Not found');
+            recordRevision(store, req, table, before, deleted, 'delete');
+            sendJson(res, 200, { data: deleted });
+            return;
+        }
+        default:
+            throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+}
+
+// Serve a file from the project root, refusing anything outside it
+function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+
+    const relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    const filePath = path.resolve(ROOT_DIR, relativePath);
+    if (!filePath.startsWith(ROOT_DIR + path.sep) || relativePath.split('/').some(part => part.startsWith('.'))) {
+        throw new HttpError(403, 'Forbidden');
+    }
+    const [topLevel] = path.relative(ROOT_DIR, filePath).split(path.sep);
+    const isFrontEnd = path.relative(ROOT_DIR, filePath) === topLevel
+        ? STATIC_FILES.includes(topLevel)
+        : STATIC_DIRS.includes(topLevel);
+    if (!isFrontEnd) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+function createServer(options = {}) {
+    const store = new FileStore(options.dataFile || DEFAULT_DATA_FILE, options.seedFile || SEED_FILE).load();
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        try {
+            if (parts[0] === 'tables') {
+                if (parts.length < 2 || parts.length > 4) {
+                    throw new HttpError(404, 'Not found');
+                }
+                await handleTableRequest(store, req, res, parts[1], parts[2], parts[3], url.searchParams);
+            } else {
+                serveStatic(req, res, url.pathname);
+            }
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                console.error(`${req.method} ${req.url} failed:`, error);
+            }
+            if (!res.headersSent) {
+                sendJson(res, status, error.errors ? { error: error.message, errors: error.errors } : { error: error.message });
+            }
+        }
+    });
+
+    server.store = store;
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || 8000;
+    const dataFile = process.env.IPSMS_DATA_FILE || DEFAULT_DATA_FILE;
+    createServer({ dataFile }).listen(port, () => {
+        console.log(`IPSMS server running at http://localhost:${port}`);
+        console.log(`Data file: ${dataFile}`);
+    });
+}
+
+module.exports = { createServer };